@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Thrown when a data file or its journal cannot be parsed.
+ * We refuse to start rather than silently treating the data as empty.
+ */
+class DataFileCorruptError extends Error {
+  constructor(filePath, cause) {
+    super(`Data file is corrupt: ${filePath} (${cause.message})`);
+    this.name = 'DataFileCorruptError';
+    this.filePath = filePath;
+  }
+}
+
+/**
+ * Crash-safe JSON collection store (an array of records keyed by idField).
+ *
+ * - Every change is appended to "<file>.journal" and fsynced before it is
+ *   acknowledged, so a crash never loses an acknowledged write.
+ * - The snapshot is rewritten via a temp file + atomic rename, so the JSON
+ *   file is always either the old or the new version, never half written.
+ * - Writes go through a single queue, so concurrent requests cannot
+ *   overwrite each other's changes.
+ * - On load the journal is replayed on top of the snapshot and compacted.
+ *
+ * The store assumes it is the only writer of its files.
+ */
+class JsonFileStore {
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.journalPath = `${filePath}.journal`;
+    this.idField = options.idField || '_id';
+    this.compactEvery = options.compactEvery || 50;
+    this.records = null;
+    this.journalEntries = 0;
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Load the snapshot, replay the journal and compact.
+   * Throws DataFileCorruptError if either file is unreadable.
+   */
+  load() {
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+
+    let records = [];
+    if (fs.existsSync(this.filePath)) {
+      try {
+        records = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      } catch (error) {
+        throw new DataFileCorruptError(this.filePath, error);
+      }
+      if (!Array.isArray(records)) {
+        throw new DataFileCorruptError(this.filePath, new Error('expected a JSON array'));
+      }
+    }
+
+    const entries = this.readJournal();
+    entries.forEach(entry => { records = this.apply(records, entry); });
+    this.records = records;
+
+    if (entries.length > 0 || !fs.existsSync(this.filePath)) {
+      this.writeSnapshotSync();
+      fs.writeFileSync(this.journalPath, '');
+      if (entries.length > 0) {
+        console.log(`Replayed ${entries.length} journal entries into ${path.basename(this.filePath)}`);
+      }
+    }
+    this.journalEntries = 0;
+    return this;
+  }
+
+  readJournal() {
+    if (!fs.existsSync(this.journalPath)) return [];
+
+    const lines = fs.readFileSync(this.journalPath, 'utf8').split('\n');
+    const entries = [];
+    lines.forEach((line, index) => {
+      if (!line.trim()) return;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // A torn final line means we crashed mid-append: that write was never acknowledged
+        const isLastLine = lines.slice(index + 1).every(rest => !rest.trim());
+        if (!isLastLine) throw new DataFileCorruptError(this.journalPath, error);
+      }
+    });
+    return entries;
+  }
+
+  /**
+   * Apply one journal entry. Entries are idempotent so replaying a journal
+   * over a snapshot that already contains some of them is safe.
+   */
+  apply(records, entry) {
+    const index = records.findIndex(record => String(record[this.idField]) === String(entry.id));
+
+    switch (entry.op) {
+      case 'insert':
+        if (index === -1) return [...records, entry.record];
+        return records.map((record, i) => (i === index ? entry.record : record));
+      case 'update':
+        if (index === -1) return records;
+        return records.map((record, i) => (i === index ? { ...record, ...entry.changes } : record));
+      case 'remove':
+        if (index === -1) return records;
+        return records.filter((record, i) => i !== index);
+      default:
+        throw new DataFileCorruptError(this.journalPath, new Error(`unknown journal op "${entry.op}"`));
+    }
+  }
+
+  ensureLoaded() {
+    if (!this.records) this.load();
+  }
+
+  /**
+   * Current records (copies, so callers cannot mutate the store)
+   */
+  all() {
+    this.ensureLoaded();
+    return this.records.map(record => ({ ...record }));
+  }
+
+  findById(id) {
+    this.ensureLoaded();
+    const record = this.records.find(item => String(item[this.idField]) === String(id));
+    return record ? { ...record } : null;
+  }
+
+  /**
+   * Insert a record. Pass a function to build the record from the current
+   * records inside the write queue (e.g. to derive the next id safely).
+   */
+  insert(record) {
+    return this.commit(() => {
+      const value = typeof record === 'function' ? record(this.all()) : record;
+      return { op: 'insert', id: value[this.idField], record: value };
+    });
+  }
+
+  update(id, changes) {
+    return this.commit(() => ({ op: 'update', id, changes }));
+  }
+
+  remove(id) {
+    return this.commit(() => ({ op: 'remove', id }));
+  }
+
+  /**
+   * Queue a change: journal it (fsync), apply it in memory and compact
+   * when the journal grows. Resolves with the affected record or null.
+   */
+  commit(buildEntry) {
+    const task = this.queue.then(async () => {
+      this.ensureLoaded();
+      const entry = buildEntry();
+      const before = this.findById(entry.id);
+      if (entry.op !== 'insert' && !before) return null;
+
+      await this.appendJournal({ ...entry, at: new Date().toISOString() });
+      this.records = this.apply(this.records, entry);
+      this.journalEntries++;
+
+      if (this.journalEntries >= this.compactEvery) {
+        await this.compact();
+      }
+
+      return entry.op === 'remove' ? before : this.findById(entry.id);
+    });
+
+    // Keep the queue alive even if this write fails
+    this.queue = task.catch(() => {});
+    return task;
+  }
+
+  async appendJournal(entry) {
+    const handle = await fs.promises.open(this.journalPath, 'a');
+    try {
+      await handle.write(JSON.stringify(entry) + '\n');
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+  }
+
+  tempPath() {
+    return `${this.filePath}.${process.pid}.${Date.now()}.tmp`;
+  }
+
+  async compact() {
+    const tmp = this.tempPath();
+    const handle = await fs.promises.open(tmp, 'w');
+    try {
+      await handle.write(JSON.stringify(this.records, null, 2));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(tmp, this.filePath);
+    await fs.promises.writeFile(this.journalPath, '');
+    this.journalEntries = 0;
+  }
+
+  writeSnapshotSync() {
+    const tmp = this.tempPath();
+    const fd = fs.openSync(tmp, 'w');
+    try {
+      fs.writeSync(fd, JSON.stringify(this.records, null, 2));
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmp, this.filePath);
+  }
+
+  /**
+   * Wait for pending writes and fold the journal into the snapshot
+   */
+  flush() {
+    const task = this.queue.then(() => (this.records && this.journalEntries > 0 ? this.compact() : null));
+    this.queue = task.catch(() => {});
+    return task;
+  }
+}
+
+module.exports = { JsonFileStore, DataFileCorruptError };
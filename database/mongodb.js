@@ -26,4 +26,14 @@ function getMoviesCollection() {
   return db.collection('movies');
 }
 
-module.exports = { connectToDatabase, getMoviesCollection };
\ No newline at end of file
+function getUsersCollection() {
+  if (!db) throw new Error('Database not connected');
+  return db.collection('users');
+}
+
+function getApiTokensCollection() {
+  if (!db) throw new Error('Database not connected');
+  return db.collection('api_tokens');
+}
+
+module.exports = { connectToDatabase, getMoviesCollection, getUsersCollection, getApiTokensCollection };
\ No newline at end of file
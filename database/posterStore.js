@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Poster image files under public/posters, served as /posters/<name>.
+ *
+ * Uploaded posters are named after a hash of their content, so the same
+ * image uploaded twice is stored once, and a URL never changes meaning.
+ * Only these content-hashed files are garbage-collected; the hand-named
+ * posters shipped with the seed data are left alone.
+ */
+
+const POSTERS_DIR = path.join(__dirname, '..', 'public', 'posters');
+const POSTERS_URL = '/posters/';
+const UPLOADED_NAME = /^[a-f0-9]{32}\.(jpg|png|gif|webp)$/;
+
+// Identify images by their leading bytes, never by name or Content-Type
+const SIGNATURES = [
+  { ext: 'jpg', mime: 'image/jpeg', matches: bytes => bytes.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])) },
+  { ext: 'png', mime: 'image/png', matches: bytes => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { ext: 'gif', mime: 'image/gif', matches: bytes => ['GIF87a', 'GIF89a'].includes(bytes.subarray(0, 6).toString('latin1')) },
+  { ext: 'webp', mime: 'image/webp', matches: bytes => bytes.subarray(0, 4).toString('latin1') === 'RIFF' && bytes.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+/**
+ * Detect the image type of a buffer. Returns { ext, mime } or null.
+ */
+function detectImageType(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+  const signature = SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? { ext: signature.ext, mime: signature.mime } : null;
+}
+
+/**
+ * Store an image buffer (already type-checked) and return its URL
+ */
+async function savePoster(buffer, ext) {
+  const hash = crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 32);
+  const name = `${hash}.${ext}`;
+  const filePath = path.join(POSTERS_DIR, name);
+
+  await fs.promises.mkdir(POSTERS_DIR, { recursive: true });
+  if (!fs.existsSync(filePath)) {
+    // Write to a temp file and rename so a poster is never served half-written
+    const tmp = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tmp, buffer);
+    await fs.promises.rename(tmp, filePath);
+  }
+
+  return POSTERS_URL + name;
+}
+
+function uploadedName(url) {
+  if (typeof url !== 'string' || !url.startsWith(POSTERS_URL)) return null;
+  const name = url.slice(POSTERS_URL.length);
+  return UPLOADED_NAME.test(name) ? name : null;
+}
+
+async function unlinkPoster(name) {
+  try {
+    await fs.promises.unlink(path.join(POSTERS_DIR, name));
+    return true;
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    return false;
+  }
+}
+
+/**
+ * Whether a poster URL still points at a file (always true for non-local URLs)
+ */
+function posterExists(url) {
+  if (typeof url !== 'string' || !url.startsWith(POSTERS_URL)) return true;
+  const name = path.basename(url.slice(POSTERS_URL.length));
+  return fs.existsSync(path.join(POSTERS_DIR, name));
+}
+
+/**
+ * Delete an uploaded poster once no movie points at it any more
+ */
+async function removePosterIfUnused(repository, url) {
+  const name = uploadedName(url);
+  if (!name) return false;
+
+  const references = await repository.count({ poster: url });
+  return references === 0 ? unlinkPoster(name) : false;
+}
+
+/**
+ * Delete every uploaded poster no movie points at (e.g. left behind by a
+ * crash between saving a file and updating the movie). Returns the names removed.
+ */
+async function collectUnusedPosters(repository) {
+  if (!fs.existsSync(POSTERS_DIR)) return [];
+
+  const movies = await repository.find({ poster: { $exists: true } }, { fields: ['poster'] });
+  const inUse = new Set(movies.map(movie => uploadedName(movie.poster)).filter(Boolean));
+
+  const removed = [];
+  for (const name of await fs.promises.readdir(POSTERS_DIR)) {
+    if (UPLOADED_NAME.test(name) && !inUse.has(name) && await unlinkPoster(name)) {
+      removed.push(name);
+    }
+  }
+  return removed;
+}
+
+module.exports = {
+  POSTERS_URL,
+  detectImageType,
+  savePoster,
+  posterExists,
+  removePosterIfUnused,
+  collectUnusedPosters
+};
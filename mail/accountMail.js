@@ -0,0 +1,62 @@
+const User = require('../models/User');
+const { getUsersCollection } = require('../database/mongodb');
+const { sendMail, appUrl } = require('./mailer');
+
+/**
+ * Account emails with one-time links: password reset and email confirmation.
+ * Only the hash of each token is stored on the user (see User.createOneTimeToken).
+ */
+
+const RESET_TOKEN_TTL_MS = (parseFloat(process.env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000;
+const VERIFY_TOKEN_TTL_MS = (parseFloat(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+/**
+ * Store a new reset token for the user (replacing any earlier one) and mail the link.
+ * forced: an admin requires a new password, rather than the user asking for one.
+ */
+async function sendPasswordReset(user, { forced = false } = {}) {
+  const { token, tokenHash, expiresAt } = User.createOneTimeToken(RESET_TOKEN_TTL_MS);
+  await getUsersCollection().updateOne(
+    { _id: user._id },
+    { $set: { passwordReset: { tokenHash, expiresAt } } }
+  );
+
+  const minutes = Math.round(RESET_TOKEN_TTL_MS / 60000);
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Movie Library password',
+    text: `Hi ${user.username},\n\n` +
+      (forced
+        ? `An administrator requires you to choose a new password for your Movie Library account.\n` +
+          `You cannot log in until you do. Open this link within ${minutes} minutes:\n\n`
+        : `Someone asked to reset the password for your Movie Library account.\n` +
+          `To choose a new password, open this link within ${minutes} minutes:\n\n`) +
+      `${appUrl(`/reset-password?token=${token}`)}\n\n` +
+      (forced
+        ? `The link works once. If it expires, ask for a new one on the login page.\n`
+        : `The link works once. If you did not ask for this, ignore this message.\n`)
+  });
+}
+
+/**
+ * Mail a confirmation link for a token created by createOneTimeToken
+ */
+async function sendEmailVerification(user, token) {
+  const hours = Math.round(VERIFY_TOKEN_TTL_MS / 3600000);
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your Movie Library email address',
+    text: `Hi ${user.username},\n\n` +
+      `Please confirm this email address for your Movie Library account ` +
+      `by opening this link within ${hours} hours:\n\n` +
+      `${appUrl(`/verify-email?token=${token}`)}\n\n` +
+      `If you did not create an account, ignore this message.\n`
+  });
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MS,
+  VERIFY_TOKEN_TTL_MS,
+  sendPasswordReset,
+  sendEmailVerification
+};
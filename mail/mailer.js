@@ -0,0 +1,111 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Outgoing mail.
+ *
+ * Every transport implements the same promise API:
+ *   send({ from, to, subject, text }) -> { id }
+ * The transport is selected with MAIL_TRANSPORT:
+ *   outbox (default) - one JSON file per message in MAIL_OUTBOX_DIR (data/outbox)
+ *   console          - print messages to the server log
+ */
+
+const DEFAULT_FROM = 'Movie Library <no-reply@movielibrary.local>';
+
+function messageId() {
+  return `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+}
+
+/**
+ * Writes messages to a local directory instead of sending them, so mail
+ * can be read (or picked up by tests) without an SMTP server.
+ */
+class OutboxTransport {
+  constructor(options = {}) {
+    // Relative directories are taken from the project root
+    this.dir = path.resolve(__dirname, '..', options.dir || path.join('data', 'outbox'));
+  }
+
+  async send(message) {
+    const id = messageId();
+    const file = path.join(this.dir, `${id}.json`);
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    // Write to a temp file and rename so a reader never sees half a message
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tmp, JSON.stringify({ id, ...message }, null, 2), 'utf8');
+    await fs.promises.rename(tmp, file);
+    return { id };
+  }
+}
+
+class ConsoleTransport {
+  async send(message) {
+    const id = messageId();
+    console.log(`Mail ${id} to ${message.to}: ${message.subject}\n${message.text}`);
+    return { id };
+  }
+}
+
+/**
+ * Create a transport (type: "outbox" or "console", default MAIL_TRANSPORT)
+ */
+function createTransport(options = {}) {
+  const type = (options.type || process.env.MAIL_TRANSPORT || 'outbox').toLowerCase();
+
+  if (type === 'console') {
+    return new ConsoleTransport();
+  }
+  if (type !== 'outbox') {
+    console.log(`Unknown MAIL_TRANSPORT "${type}" - writing mail to the outbox`);
+  }
+  return new OutboxTransport({ dir: options.dir || process.env.MAIL_OUTBOX_DIR });
+}
+
+let transport;
+
+function getTransport() {
+  if (!transport) transport = createTransport();
+  return transport;
+}
+
+/**
+ * Replace the transport used by sendMail (e.g. with a real SMTP transport)
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send a message through the configured transport
+ */
+async function sendMail({ to, subject, text }) {
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    sentAt: new Date().toISOString()
+  };
+  return getTransport().send(message);
+}
+
+/**
+ * Absolute URL of a page of this app, for links in mail
+ */
+function appUrl(pathname) {
+  const base = process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+  return base.replace(/\/+$/, '') + pathname;
+}
+
+module.exports = {
+  OutboxTransport,
+  ConsoleTransport,
+  createTransport,
+  getTransport,
+  setTransport,
+  sendMail,
+  appUrl
+};
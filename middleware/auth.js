@@ -1,16 +1,102 @@
 const User = require('../models/User');
+const { permissionsForRole, tokenScopeFor } = require('../security/permissions');
+
+/**
+ * Whether the request targets the JSON API.
+ * Uses originalUrl so it also works inside routers mounted under /api.
+ */
+function isApiRequest(req) {
+  return (req.originalUrl || req.path).startsWith('/api/');
+}
+
+/**
+ * Middleware: Authenticate "Authorization: Bearer <token>" requests
+ * Mount after the session middleware. A valid personal API token replaces
+ * the session for this request with one for the token's owner (never saved),
+ * and sets req.apiToken; an invalid one is rejected outright.
+ */
+async function authenticateApiToken(req, res, next) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  if (!match) return next();
+
+  try {
+    const { ObjectId } = require('mongodb');
+    const { getUsersCollection } = require('../database/mongodb');
+    const { findApiToken } = require('../security/apiTokens');
+
+    const token = await findApiToken(match[1]);
+    const user = token && await getUsersCollection().findOne({ _id: new ObjectId(token.userId) });
+    if (!user) {
+      return res.status(401).json({ error: 'Invalid or expired API token' });
+    }
+    const blocked = User.loginBlockedReason(user);
+    if (blocked) {
+      return res.status(403).json({ error: blocked });
+    }
+
+    req.apiToken = { id: token._id.toString(), name: token.name, scopes: token.scopes };
+    req.session = {
+      userId: user._id.toString(),
+      user: { username: user.username, email: user.email },
+      role: user.role,
+      emailVerified: User.isEmailVerified(user),
+      twoFactor: token.twoFactor
+    };
+    req.sessionSave = () => {};
+    req.sessionDestroy = () => {};
+    next();
+  } catch (error) {
+    console.error('API token authentication error:', error);
+    res.status(503).json({ error: 'Database unavailable' });
+  }
+}
+
+/**
+ * Middleware Factory: Name the scope API tokens need to write in this area
+ * (e.g. router.use(tokenScope('movies:write'))). Reads always need "read";
+ * writes outside any declared area are closed to tokens.
+ */
+function tokenScope(scope) {
+  return (req, res, next) => {
+    req.tokenWriteScope = scope;
+    next();
+  };
+}
+
+/**
+ * The scope an API token needs for this request, or null if tokens may not be used
+ */
+function requiredTokenScope(req) {
+  return ['GET', 'HEAD'].includes(req.method) ? 'read' : req.tokenWriteScope || null;
+}
+
+function hasTokenScope(req, scope) {
+  return Boolean(req.apiToken) && req.apiToken.scopes.includes(scope);
+}
+
+/**
+ * Reject token requests whose token lacks the scope (returns true if it did)
+ */
+function rejectTokenScope(req, res, scope) {
+  if (!req.apiToken || (scope && hasTokenScope(req, scope))) return false;
+  res.status(403).json({
+    error: scope ? `API token is missing the "${scope}" scope` : 'API tokens cannot be used here'
+  });
+  return true;
+}
 
 /**
  * Middleware: Require authentication
- * Checks if user is logged in
+ * Checks if user is logged in (or sends an API token with the right scope)
  */
 function requireAuth(req, res, next) {
   if (req.session && req.session.userId) {
+    if (rejectTokenScope(req, res, requiredTokenScope(req))) return;
     return next();
   }
   
   // Return 401 for API requests
-  if (req.path.startsWith('/api/')) {
+  if (isApiRequest(req)) {
     return res.status(401).json({ error: 'Authentication required' });
   }
   
@@ -19,27 +105,124 @@ function requireAuth(req, res, next) {
 }
 
 /**
- * Middleware: Require admin role
- * Checks if user is logged in AND has admin role
+ * Whether admins must use two-factor authentication (REQUIRE_ADMIN_2FA)
+ */
+function adminTwoFactorRequired() {
+  return String(process.env.REQUIRE_ADMIN_2FA).toLowerCase() === 'true';
+}
+
+/**
+ * Permissions of the logged-in role. An admin who has not passed 2FA while
+ * REQUIRE_ADMIN_2FA is on only gets a regular user's.
+ */
+function sessionPermissions(req) {
+  if (!req.session || !req.session.userId) return [];
+  if (req.session.role === 'admin' && adminTwoFactorRequired() && req.session.twoFactor !== true) {
+    return permissionsForRole('user');
+  }
+  return permissionsForRole(req.session.role);
+}
+
+/**
+ * Whether the request may use a permission: the role grants it and, for
+ * API token requests, the token has the matching scope
+ */
+function hasPermission(req, permission) {
+  if (req.apiToken && !hasTokenScope(req, tokenScopeFor(permission))) return false;
+  return sessionPermissions(req).includes(permission);
+}
+
+/**
+ * Explain a missing permission with the most useful 403
  */
-function requireAdmin(req, res, next) {
-  // First check authentication
-  if (!req.session || !req.session.userId) {
-    if (req.path.startsWith('/api/')) {
-      return res.status(401).json({ error: 'Authentication required' });
+function denyPermission(req, res, permission) {
+  let error = 'Permission denied';
+  if (req.apiToken && sessionPermissions(req).includes(permission)) {
+    error = `API token is missing the "${tokenScopeFor(permission)}" scope`;
+  } else if (req.session.role === 'admin' && permissionsForRole('admin').includes(permission)) {
+    // Admins without a second factor can still enroll, but not act as admin
+    error = 'Two-factor authentication required for admin accounts';
+  }
+
+  if (isApiRequest(req)) {
+    return res.status(403).json({ error, permission });
+  }
+  res.status(403).send(`Forbidden: ${error}`);
+}
+
+/**
+ * Middleware Factory: Require permissions (all of them)
+ * e.g. router.post('/admin/import', requirePermission('movies:import'), ...)
+ *
+ * @param {...string} permissions - Names from security/permissions.js
+ * @returns {Function} Express middleware function
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.session || !req.session.userId) {
+      if (isApiRequest(req)) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+      return res.redirect('/login');
     }
-    return res.redirect('/login');
+
+    const missing = permissions.find(permission => !hasPermission(req, permission));
+    if (missing) return denyPermission(req, res, missing);
+    next();
+  };
+}
+
+/**
+ * Middleware: Require a real login session, not an API token
+ * (e.g. for managing the tokens themselves)
+ */
+function requireSession(req, res, next) {
+  if (req.apiToken) {
+    return res.status(403).json({ error: 'Log in to do this; API tokens cannot be used here' });
   }
-  
-  // Then check admin role
-  if (req.session.role !== 'admin') {
-    if (req.path.startsWith('/api/')) {
-      return res.status(403).json({ error: 'Admin access required' });
+  requireAuth(req, res, next);
+}
+
+/**
+ * Whether unverified users are kept from creating content (REQUIRE_EMAIL_VERIFICATION)
+ */
+function emailVerificationRequired() {
+  return String(process.env.REQUIRE_EMAIL_VERIFICATION).toLowerCase() === 'true';
+}
+
+/**
+ * Middleware: Require a confirmed email address
+ * Only enforced when REQUIRE_EMAIL_VERIFICATION=true; use after requireAuth.
+ * The session caches a positive answer; otherwise the user is looked up,
+ * so a confirmation made in another browser counts straight away.
+ */
+async function requireVerifiedEmail(req, res, next) {
+  if (!emailVerificationRequired() || hasPermission(req, 'users:manage') || req.session.emailVerified === true) {
+    return next();
+  }
+
+  try {
+    const { ObjectId } = require('mongodb');
+    const { getUsersCollection } = require('../database/mongodb');
+    const user = await getUsersCollection().findOne(
+      { _id: new ObjectId(req.session.userId) },
+      { projection: { emailVerified: 1 } }
+    );
+
+    if (User.isEmailVerified(user)) {
+      req.session.emailVerified = true;
+      req.sessionSave();
+      return next();
+    }
+
+    if (isApiRequest(req)) {
+      return res.status(403).json({ error: 'Email verification required' });
     }
-    return res.status(403).send('Forbidden: Admin access required');
+    res.status(403).send('Forbidden: Please confirm your email address first');
+  } catch (error) {
+    console.error('Email verification check error:', error);
+    res.status(503).json({ error: 'Database unavailable' });
   }
-  
-  next();
 }
 
 /**
@@ -59,30 +242,48 @@ async function attachUser(req, res, next) {
   next();
 }
 
+// Resources checkOwnership knows: the permission prefix, how to find the
+// resource for a request, and who owns it
+const OWNED_RESOURCES = {
+  movie: {
+    permissions: 'movies',
+    load: req => {
+      const { getMovieRepository } = require('../repositories');
+      const { activeOnly } = require('../repositories/movieQuery');
+      return getMovieRepository().findOne(activeOnly({ _id: req.params.id }));
+    },
+    owner: movie => movie.createdBy
+  },
+  review: {
+    permissions: 'reviews',
+    // Loaded (and checked against the movie) by loadReview in routes/reviewRoutes.js
+    load: req => req.review,
+    owner: review => review.userId
+  }
+};
+
 /**
  * Middleware Factory: Check resource ownership
- * Returns middleware that checks if user owns the resource or is admin
+ * Passes with the "<resources>:<action>:any" permission, or with
+ * "<resources>:<action>:own" for a resource the user created.
  * 
- * @param {string} resourceType - Type of resource ('movie', etc.)
+ * @param {string} resourceType - Type of resource ('movie' or 'review')
+ * @param {string} action - 'update' or 'delete'
  * @returns {Function} Express middleware function
  */
-function checkOwnership(resourceType) {
+function checkOwnership(resourceType, action) {
+  const { permissions, load, owner } = OWNED_RESOURCES[resourceType];
+  const anyPermission = `${permissions}:${action}:any`;
+  const ownPermission = `${permissions}:${action}:own`;
+
   return async (req, res, next) => {
     try {
-      // Admin can access everything
-      if (req.session.role === 'admin') {
+      // Editors, moderators and admins may have it for everything
+      if (hasPermission(req, anyPermission)) {
         return next();
       }
       
-      // Get the resource based on type
-      let resource;
-      if (resourceType === 'movie') {
-        const Movie = require('../models/Movie');
-        resource = await Movie.findById(req.params.id);
-      }
-      // Add more resource types as needed
-      // else if (resourceType === 'review') { ... }
-      
+      const resource = await load(req);
       if (!resource) {
         return res.status(404).json({ 
           error: `${resourceType.charAt(0).toUpperCase() + resourceType.slice(1)} not found` 
@@ -90,11 +291,16 @@ function checkOwnership(resourceType) {
       }
       
       // Check if user owns the resource
-      if (resource.createdBy.toString() !== req.session.userId.toString()) {
+      const ownerId = owner(resource);
+      if (!ownerId || ownerId.toString() !== req.session.userId.toString()) {
         return res.status(403).json({ 
-          error: `Access denied: You can only modify your own ${resourceType}s` 
+          error: `Access denied: You can only ${action} your own ${resourceType}s` 
         });
       }
+
+      if (!hasPermission(req, ownPermission)) {
+        return denyPermission(req, res, ownPermission);
+      }
       
       // User owns the resource, allow access
       next();
@@ -132,8 +338,15 @@ function isAuthenticated(req, res, next) {
 }
 
 module.exports = { 
+  authenticateApiToken,
+  tokenScope,
   requireAuth, 
-  requireAdmin, 
+  requireSession,
+  requirePermission,
+  hasPermission,
+  requireVerifiedEmail,
+  emailVerificationRequired,
+  adminTwoFactorRequired,
   attachUser, 
   checkOwnership,
   attachRole,
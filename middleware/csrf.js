@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+
+/**
+ * CSRF protection for cookie sessions (synchronizer token).
+ *
+ * Each session holds a random csrfToken. State-changing requests
+ * (anything but GET/HEAD/OPTIONS) made with a session must send it back in
+ * the X-CSRF-Token header or, for HTML forms, a _csrf field. Pages get the
+ * token from the movielib_csrf cookie, which JavaScript can read but other
+ * sites cannot; public/js/csrf.js adds it to requests automatically.
+ *
+ * Requests without a session have no cookie authority to abuse, and API
+ * token requests (Authorization: Bearer) send no cookies, so neither is checked.
+ * Mount after the session and API token middleware.
+ */
+
+const CSRF_COOKIE = 'movielib_csrf';
+const CSRF_HEADER = 'x-csrf-token';
+const CSRF_FIELD = '_csrf';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function readCookie(req, name) {
+  const match = (req.headers.cookie || '')
+    .split(';')
+    .map(cookie => cookie.trim().split('='))
+    .find(([key]) => key === name);
+  return match ? match[1] : null;
+}
+
+function tokensMatch(expected, actual) {
+  if (typeof expected !== 'string' || typeof actual !== 'string') return false;
+  const a = Buffer.from(expected);
+  const b = Buffer.from(actual);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function csrfCookie(token, maxAgeSeconds) {
+  // Not HttpOnly: the page's own scripts copy it into requests
+  const parts = [`${CSRF_COOKIE}=${token}`, `Max-Age=${maxAgeSeconds}`, 'Path=/', 'SameSite=Strict'];
+  if (process.env.NODE_ENV === 'production') parts.push('Secure');
+  return parts.join('; ');
+}
+
+/**
+ * Middleware Factory: Issue and check CSRF tokens
+ *
+ * @param {Object} options - { maxAge } of the token cookie in ms (match the session's)
+ * @returns {Function} Express middleware function
+ */
+function csrfProtection(options = {}) {
+  const maxAgeSeconds = Math.floor((options.maxAge || 24 * 60 * 60 * 1000) / 1000);
+
+  return (req, res, next) => {
+    if (req.apiToken) return next();
+
+    // Set the cookie after SimpleSession's own Set-Cookie, which replaces the header
+    const sendToken = () => {
+      if (readCookie(req, CSRF_COOKIE) !== req.session.csrfToken) {
+        res.append('Set-Cookie', csrfCookie(req.session.csrfToken, maxAgeSeconds));
+      }
+    };
+
+    // Every saved session gets a token
+    const save = req.sessionSave;
+    req.sessionSave = () => {
+      if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+      }
+      save();
+      sendToken();
+    };
+
+    const destroy = req.sessionDestroy;
+    req.sessionDestroy = () => {
+      destroy();
+      res.append('Set-Cookie', `${CSRF_COOKIE}=; Max-Age=0; Path=/; SameSite=Strict`);
+    };
+
+    if (!req.sessionId) return next();
+
+    // Sessions from before tokens existed get one now
+    if (!req.session.csrfToken) {
+      req.sessionSave();
+    } else {
+      sendToken();
+    }
+
+    if (SAFE_METHODS.includes(req.method)) return next();
+
+    const sent = req.get(CSRF_HEADER) || (req.body && req.body[CSRF_FIELD]);
+    if (tokensMatch(req.session.csrfToken, sent)) return next();
+
+    if ((req.originalUrl || req.path).startsWith('/api/')) {
+      return res.status(403).json({ error: 'Invalid or missing CSRF token' });
+    }
+    res.status(403).send('Forbidden: Invalid or missing CSRF token. Reload the page and try again.');
+  };
+}
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  CSRF_FIELD,
+  csrfProtection
+};
@@ -0,0 +1,51 @@
+const { catalogVersion } = require('../repositories/catalogVersion');
+
+/**
+ * Middleware Factory: HTTP caching for catalog reads
+ *
+ * Sets ETag and Last-Modified from the catalog version and answers
+ * If-None-Match / If-Modified-Since with 304 before the route reads
+ * anything. Cache-Control is "public, no-cache" for anonymous requests
+ * (any cache may keep the answer but must revalidate it) and
+ * "private, no-cache" once logged in. Error responses get no validators.
+ *
+ * options.uncacheable(req): answers that depend on more than the catalog
+ * (e.g. the user's own lists) are sent with "private, no-store" instead.
+ */
+function catalogCache({ uncacheable = () => false } = {}) {
+  return (req, res, next) => {
+    if (uncacheable(req)) {
+      res.set('Cache-Control', 'private, no-store');
+      return next();
+    }
+
+    const { etag, lastModified, ahead } = catalogVersion();
+    res.set({
+      ETag: etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': req.session.userId ? 'private, no-cache' : 'public, no-cache'
+    });
+
+    // A held-back Last-Modified can match one sent before the latest
+    // change, so then only a matching ETag counts
+    if (req.fresh && (!ahead || req.get('If-None-Match'))) {
+      return res.status(304).end();
+    }
+    // res.send() checks freshness again; keep it from trusting the date too
+    if (ahead) delete req.headers['if-modified-since'];
+
+    // A 404 or 400 must not be revalidated as if it were the movie
+    const writeHead = res.writeHead;
+    res.writeHead = function(statusCode, ...rest) {
+      const status = typeof statusCode === 'number' ? statusCode : res.statusCode;
+      if (status < 200 || status >= 300) {
+        res.removeHeader('ETag');
+        res.removeHeader('Last-Modified');
+      }
+      return writeHead.call(this, statusCode, ...rest);
+    };
+    next();
+  };
+}
+
+module.exports = { catalogCache };
@@ -0,0 +1,72 @@
+/**
+ * Middleware Factory: Read ?limit= and ?cursor= into req.pagination
+ *
+ * With defaultLimit unset, a request without limit or cursor is not
+ * paginated (req.pagination = null) and gets the full list.
+ */
+function parsePagination({ defaultLimit, maxLimit = 100 } = {}) {
+  return (req, res, next) => {
+    const { limit, cursor } = req.query;
+
+    if (cursor !== undefined && typeof cursor !== 'string') {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    if (limit === undefined && !cursor && !defaultLimit) {
+      req.pagination = null;
+      return next();
+    }
+
+    let pageSize = defaultLimit || 20;
+    if (limit !== undefined) {
+      pageSize = Number(limit);
+      if (!Number.isInteger(pageSize) || pageSize < 1) {
+        return res.status(400).json({ error: 'limit must be a positive integer' });
+      }
+    }
+
+    req.pagination = {
+      limit: Math.min(pageSize, maxLimit),
+      cursor: cursor || undefined
+    };
+    next();
+  };
+}
+
+/**
+ * URL of the current request with a different cursor (or none)
+ */
+function pageLink(req, cursor) {
+  const url = new URL(req.originalUrl, 'http://localhost');
+  url.searchParams.delete('cursor');
+  url.searchParams.delete('page');
+  if (cursor) url.searchParams.set('cursor', cursor);
+  return url.pathname + url.search;
+}
+
+/**
+ * Set Link (rel="first"/"prev"/"next") and X-Total-Count headers for a page
+ */
+function setPaginationHeaders(req, res, page) {
+  const links = [`<${pageLink(req)}>; rel="first"`];
+  if (page.prev) links.push(`<${pageLink(req, page.prev)}>; rel="prev"`);
+  if (page.next) links.push(`<${pageLink(req, page.next)}>; rel="next"`);
+
+  res.set('Link', links.join(', '));
+  res.set('X-Total-Count', String(page.total));
+}
+
+/**
+ * The pagination block included in JSON responses
+ */
+function paginationInfo(page) {
+  return {
+    limit: page.limit,
+    total: page.total,
+    next: page.next,
+    prev: page.prev,
+    hasMore: page.hasMore
+  };
+}
+
+module.exports = { parsePagination, setPaginationHeaders, paginationInfo, pageLink };
@@ -0,0 +1,257 @@
+/**
+ * In-memory rate limiting with escalating lockouts.
+ *
+ * Each limiter counts attempts per key (e.g. "ip:1.2.3.4" or "user:alice")
+ * in a sliding window. maxAttempts within windowMs locks the key out; every
+ * further lockout ("strike") doubles in length up to maxLockoutMs, until the
+ * key has stayed out of trouble for strikeResetMs.
+ *
+ * State lives in this process only: it is lost on restart and not shared
+ * between several server processes.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// Every limiter, by name, so admins can see and clear lockouts in one place
+const limiters = new Map();
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value <= 0 ? fallback : value;
+}
+
+class RateLimiter {
+  constructor({
+    name,
+    windowMs = 15 * MINUTE_MS,
+    maxAttempts = 5,
+    lockoutMs = 15 * MINUTE_MS,
+    maxLockoutMs = 24 * 60 * MINUTE_MS,
+    strikeResetMs = 24 * 60 * MINUTE_MS
+  }) {
+    this.name = name;
+    this.windowMs = windowMs;
+    this.maxAttempts = maxAttempts;
+    this.lockoutMs = lockoutMs;
+    this.maxLockoutMs = maxLockoutMs;
+    this.strikeResetMs = strikeResetMs;
+    this.entries = new Map();
+    this.lastSweep = Date.now();
+    limiters.set(name, this);
+  }
+
+  /**
+   * Drop expired attempts, lockouts and strikes; returns the live entry or null
+   */
+  prune(key, now = Date.now()) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    entry.attempts = entry.attempts.filter(at => at > now - this.windowMs);
+    if (entry.lockedUntil && entry.lockedUntil <= now) entry.lockedUntil = null;
+    if (entry.strikes && entry.lastLockoutAt <= now - this.strikeResetMs) entry.strikes = 0;
+
+    if (entry.attempts.length === 0 && !entry.lockedUntil && !entry.strikes) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  sweep(now = Date.now()) {
+    if (now - this.lastSweep < this.windowMs) return;
+    this.lastSweep = now;
+    for (const key of [...this.entries.keys()]) this.prune(key, now);
+  }
+
+  /**
+   * Seconds until none of keys is locked out any more (0 if none is now)
+   */
+  retryAfter(keys) {
+    const now = Date.now();
+    return [].concat(keys).reduce((longest, key) => {
+      const entry = this.prune(key, now);
+      const remaining = entry && entry.lockedUntil ? Math.ceil((entry.lockedUntil - now) / 1000) : 0;
+      return Math.max(longest, remaining);
+    }, 0);
+  }
+
+  /**
+   * Count an attempt against each key, locking out the ones over the limit.
+   * Returns the longest resulting lockout in seconds (0 if none).
+   */
+  hit(keys) {
+    const now = Date.now();
+    this.sweep(now);
+
+    for (const key of [].concat(keys)) {
+      const entry = this.prune(key, now) || { attempts: [], lockedUntil: null, strikes: 0, lastLockoutAt: null };
+      entry.attempts.push(now);
+
+      if (entry.attempts.length >= this.maxAttempts) {
+        const duration = Math.min(this.lockoutMs * Math.pow(2, entry.strikes), this.maxLockoutMs);
+        entry.strikes++;
+        entry.lastLockoutAt = now;
+        entry.lockedUntil = now + duration;
+        entry.attempts = [];
+        console.log(`Rate limit (${this.name}): ${key} locked out for ${Math.round(duration / 1000)}s`);
+      }
+      this.entries.set(key, entry);
+    }
+    return this.retryAfter(keys);
+  }
+
+  /**
+   * Forget a key entirely (attempts, lockout and strikes)
+   */
+  reset(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Keys currently locked out
+   */
+  lockouts() {
+    const now = Date.now();
+    const locked = [];
+    for (const key of [...this.entries.keys()]) {
+      const entry = this.prune(key, now);
+      if (!entry || !entry.lockedUntil) continue;
+      locked.push({
+        limiter: this.name,
+        key,
+        lockedUntil: new Date(entry.lockedUntil).toISOString(),
+        retryAfter: Math.ceil((entry.lockedUntil - now) / 1000),
+        strikes: entry.strikes
+      });
+    }
+    return locked;
+  }
+}
+
+/**
+ * Reject a locked-out request with the same response whatever the reason
+ */
+function sendLocked(req, res, retryAfter) {
+  res.set('Retry-After', String(retryAfter));
+  if ((req.originalUrl || req.path).startsWith('/api/')) {
+    return res.status(429).json({ error: 'Too many attempts, please try again later' });
+  }
+  res.status(429).send('Too many attempts, please try again later');
+}
+
+/**
+ * Middleware Factory: rate limit a route
+ *
+ * @param {RateLimiter} limiter
+ * @param {Object} options
+ * @param {Function} options.keys - req => key or array of keys (default: client IP)
+ * @param {boolean} options.countAll - count every request here (default true);
+ *   with false the route counts failures itself via limiter.hit()
+ * @returns {Function} Express middleware function
+ */
+function rateLimit(limiter, { keys = req => `ip:${req.ip}`, countAll = true } = {}) {
+  return (req, res, next) => {
+    const requestKeys = keys(req);
+    const retryAfter = limiter.retryAfter(requestKeys);
+    if (retryAfter > 0) return sendLocked(req, res, retryAfter);
+
+    if (countAll) limiter.hit(requestKeys);
+    next();
+  };
+}
+
+/**
+ * Lockouts across every limiter
+ */
+function listLockouts() {
+  return [...limiters.values()].flatMap(limiter => limiter.lockouts());
+}
+
+/**
+ * Clear one key of one limiter, or everything when no limiter is given
+ */
+function clearLockouts(name, key) {
+  if (!name) {
+    const count = listLockouts().length;
+    limiters.forEach(limiter => limiter.entries.clear());
+    return count;
+  }
+  const limiter = limiters.get(name);
+  return limiter && limiter.reset(key) ? 1 : 0;
+}
+
+const LOGIN_WINDOW_MS = envNumber('LOGIN_WINDOW_MINUTES', 15) * MINUTE_MS;
+const LOGIN_MAX_ATTEMPTS = envNumber('LOGIN_MAX_ATTEMPTS', 5);
+const LOGIN_LOCKOUT_MS = envNumber('LOGIN_LOCKOUT_MINUTES', 15) * MINUTE_MS;
+
+// Failed logins per username
+const loginLimiter = new RateLimiter({
+  name: 'login',
+  windowMs: LOGIN_WINDOW_MS,
+  maxAttempts: LOGIN_MAX_ATTEMPTS,
+  lockoutMs: LOGIN_LOCKOUT_MS
+});
+
+// Failed logins per IP, across usernames; allows for several users behind one address
+const loginIpLimiter = new RateLimiter({
+  name: 'login-ip',
+  windowMs: LOGIN_WINDOW_MS,
+  maxAttempts: LOGIN_MAX_ATTEMPTS * 4,
+  lockoutMs: LOGIN_LOCKOUT_MS
+});
+
+// Registrations per IP
+const registerLimiter = new RateLimiter({
+  name: 'register',
+  windowMs: 60 * MINUTE_MS,
+  maxAttempts: 10,
+  lockoutMs: 60 * MINUTE_MS
+});
+
+// Password reset requests per IP
+const passwordResetLimiter = new RateLimiter({
+  name: 'password-reset',
+  windowMs: 60 * MINUTE_MS,
+  maxAttempts: 5,
+  lockoutMs: 60 * MINUTE_MS
+});
+
+// Verification email resends per user and per IP
+const verificationLimiter = new RateLimiter({
+  name: 'verification',
+  windowMs: 60 * MINUTE_MS,
+  maxAttempts: 3,
+  lockoutMs: 60 * MINUTE_MS
+});
+
+// Contact form submissions per IP
+const contactLimiter = new RateLimiter({
+  name: 'contact',
+  windowMs: 10 * MINUTE_MS,
+  maxAttempts: 5,
+  lockoutMs: 30 * MINUTE_MS
+});
+
+// Contact form submissions per IP over a day, for senders who pace themselves
+const contactDailyLimiter = new RateLimiter({
+  name: 'contact-daily',
+  windowMs: 24 * 60 * MINUTE_MS,
+  maxAttempts: 20,
+  lockoutMs: 24 * 60 * MINUTE_MS
+});
+
+module.exports = {
+  RateLimiter,
+  rateLimit,
+  sendLocked,
+  listLockouts,
+  clearLockouts,
+  loginLimiter,
+  loginIpLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+  verificationLimiter,
+  contactLimiter,
+  contactDailyLimiter
+};
@@ -1,3 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Session stores used by SimpleSession.
+ *
+ * Every store implements the same callback API:
+ *   get(sid, callback(err, session))
+ *   set(sid, session, callback(err))
+ *   destroy(sid, callback(err))
+ *   touch(sid, session, callback(err))
+ *   destroyByUser(userId, callback(err, count))
+ * where session is { data, expiresAt } and expired sessions are never returned.
+ * destroyByUser ends every session logged in as the user, or halfway
+ * through a two-factor login as them, e.g. after a password reset
+ * or when an admin disables the account.
+ */
+
+function belongsToUser(data, userId) {
+  return Boolean(data) && (data.userId === userId ||
+    Boolean(data.pendingLogin) && data.pendingLogin.userId === userId);
+}
+
+function isExpired(session) {
+  return !session || !session.expiresAt || new Date(session.expiresAt).getTime() <= Date.now();
+}
+
 class MemorySessionStore {
   constructor() {
     this.sessions = new Map();
@@ -5,7 +32,7 @@ class MemorySessionStore {
 
   get(sid, callback) {
     const session = this.sessions.get(sid);
-    callback(null, session);
+    callback(null, isExpired(session) ? undefined : session);
   }
 
   set(sid, session, callback) {
@@ -26,17 +53,212 @@ class MemorySessionStore {
     callback(null);
   }
 
-  cleanupExpired(maxAge) {
-    const now = Date.now();
+  destroyByUser(userId, callback) {
+    let count = 0;
     for (const [sid, session] of this.sessions.entries()) {
-      if (session.cookie && session.cookie.expires) {
-        const expires = new Date(session.cookie.expires).getTime();
-        if (expires < now) {
-          this.sessions.delete(sid);
-        }
+      if (belongsToUser(session.data, userId)) {
+        this.sessions.delete(sid);
+        count++;
+      }
+    }
+    callback(null, count);
+  }
+
+  cleanupExpired() {
+    for (const [sid, session] of this.sessions.entries()) {
+      if (isExpired(session)) {
+        this.sessions.delete(sid);
+      }
+    }
+  }
+}
+
+/**
+ * File-backed store: one JSON file per session in a shared directory.
+ * Files are written via temp file + rename, so several server processes
+ * on the same host can share sessions safely.
+ */
+class FileSessionStore {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(__dirname, '..', 'data', 'sessions');
+    // Session files hold logged-in user ids; only the server's user may read them
+    if (!fs.existsSync(this.dir)) fs.mkdirSync(this.dir, { recursive: true, mode: 0o700 });
+  }
+
+  filePath(sid) {
+    // Session ids are hex, but never let a cookie value escape the directory
+    if (!/^[a-f0-9]+$/i.test(sid)) throw new Error('Invalid session id');
+    return path.join(this.dir, `${sid}.json`);
+  }
+
+  get(sid, callback) {
+    let file;
+    try {
+      file = this.filePath(sid);
+    } catch (error) {
+      return callback(null, undefined);
+    }
+
+    fs.readFile(file, 'utf8', (err, content) => {
+      if (err) return callback(err.code === 'ENOENT' ? null : err, undefined);
+
+      let session;
+      try {
+        session = JSON.parse(content);
+      } catch (parseError) {
+        return callback(null, undefined);
+      }
+
+      if (isExpired(session)) {
+        return this.destroy(sid, () => callback(null, undefined));
       }
+      callback(null, session);
+    });
+  }
+
+  set(sid, session, callback) {
+    let file;
+    try {
+      file = this.filePath(sid);
+    } catch (error) {
+      return callback(error);
+    }
+
+    const tmp = `${file}.${process.pid}.${Date.now()}.tmp`;
+    fs.writeFile(tmp, JSON.stringify(session), { encoding: 'utf8', mode: 0o600 }, err => {
+      if (err) return callback(err);
+      fs.rename(tmp, file, callback);
+    });
+  }
+
+  destroy(sid, callback) {
+    let file;
+    try {
+      file = this.filePath(sid);
+    } catch (error) {
+      return callback(null);
     }
+
+    fs.unlink(file, err => callback(err && err.code !== 'ENOENT' ? err : null));
+  }
+
+  touch(sid, session, callback) {
+    this.get(sid, (err, existing) => {
+      if (err || !existing) return callback(err || null);
+      this.set(sid, session, callback);
+    });
+  }
+
+  destroyByUser(userId, callback) {
+    fs.readdir(this.dir, (err, files) => {
+      if (err) return callback(err.code === 'ENOENT' ? null : err, 0);
+
+      const sids = files.filter(name => name.endsWith('.json')).map(name => name.slice(0, -'.json'.length));
+      let count = 0;
+      const next = index => {
+        if (index === sids.length) return callback(null, count);
+        this.get(sids[index], (getErr, session) => {
+          if (getErr || !session || !belongsToUser(session.data, userId)) return next(index + 1);
+          this.destroy(sids[index], destroyErr => {
+            if (destroyErr) return callback(destroyErr, count);
+            count++;
+            next(index + 1);
+          });
+        });
+      };
+      next(0);
+    });
+  }
+
+  cleanupExpired() {
+    fs.readdir(this.dir, (err, files) => {
+      if (err) return;
+      files.filter(name => name.endsWith('.json')).forEach(name => {
+        const sid = name.slice(0, -'.json'.length);
+        // get() removes the file when the session has expired
+        this.get(sid, () => {});
+      });
+    });
+  }
+}
+
+/**
+ * MongoDB store: sessions live in a collection with a TTL index on
+ * expiresAt, so MongoDB removes expired sessions on its own.
+ * Shared by every server process connected to the same database.
+ */
+class MongoSessionStore {
+  constructor(collection) {
+    this.collection = collection;
+    this.collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+      .catch(error => console.error('Failed to create session TTL index:', error.message));
+  }
+
+  get(sid, callback) {
+    this.collection.findOne({ _id: sid })
+      .then(doc => {
+        // The TTL monitor runs about once a minute, so check expiry here too
+        if (!doc || isExpired(doc)) return callback(null, undefined);
+        callback(null, { data: doc.data, expiresAt: doc.expiresAt.getTime() });
+      })
+      .catch(callback);
+  }
+
+  set(sid, session, callback) {
+    this.collection.replaceOne(
+      { _id: sid },
+      { data: session.data, expiresAt: new Date(session.expiresAt) },
+      { upsert: true }
+    )
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback) {
+    this.collection.deleteOne({ _id: sid })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, session, callback) {
+    this.collection.updateOne({ _id: sid }, { $set: { expiresAt: new Date(session.expiresAt) } })
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroyByUser(userId, callback) {
+    this.collection.deleteMany({
+      $or: [{ 'data.userId': userId }, { 'data.pendingLogin.userId': userId }]
+    })
+      .then(result => callback(null, result.deletedCount))
+      .catch(callback);
   }
 }
 
-module.exports = MemorySessionStore;
+/**
+ * Create the store selected by SESSION_STORE: "memory", "file" (default)
+ * or "mongodb" (falls back to the file store when MongoDB is unavailable)
+ */
+function createSessionStore(options = {}) {
+  const type = (options.type || process.env.SESSION_STORE || 'file').toLowerCase();
+
+  if (type === 'memory') {
+    return new MemorySessionStore();
+  }
+
+  if (type === 'mongodb' || type === 'mongo') {
+    if (options.db) {
+      return new MongoSessionStore(options.db.collection('sessions'));
+    }
+    console.log('SESSION_STORE is mongodb but MongoDB is unavailable - using file session store');
+  }
+
+  return new FileSessionStore({ dir: options.dir });
+}
+
+module.exports = {
+  MemorySessionStore,
+  FileSessionStore,
+  MongoSessionStore,
+  createSessionStore
+};
@@ -1,13 +1,30 @@
 const crypto = require('crypto');
+const { MemorySessionStore } = require('./sessionStore');
 
 class SimpleSession {
   constructor(options = {}) {
     this.secret = options.secret || crypto.randomBytes(32).toString('hex');
     this.cookieName = options.cookieName || 'sessionId';
     this.maxAge = options.maxAge || 24 * 60 * 60 * 1000; 
-    this.sessions = new Map();
+    this.store = options.store || new MemorySessionStore();
 
-    setInterval(() => this.cleanupExpired(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupExpired(), 60 * 60 * 1000).unref();
+  }
+
+  /**
+   * Replace the session store (e.g. once the database is connected)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  /**
+   * Run a store operation and return a promise for it
+   */
+  storeCall(method, ...args) {
+    return new Promise((resolve, reject) => {
+      this.store[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+    });
   }
 
   generateSessionId() {
@@ -57,20 +74,20 @@ class SimpleSession {
   middleware() {
     return (req, res, next) => {
       const sessionId = this.parseCookie(req.headers.cookie);
-      
-      if (sessionId && this.sessions.has(sessionId)) {
-        const sessionData = this.sessions.get(sessionId);
-
-        if (sessionData.expiresAt > Date.now()) {
-          req.session = sessionData.data;
-          req.sessionId = sessionId;
-        } else {
-          this.sessions.delete(sessionId);
-          req.session = {};
-        }
-      } else {
-        req.session = {};
-      }
+      const pendingWrites = [];
+
+      req.session = {};
+
+      // Hold the response until session writes reach the store, so the
+      // next request (possibly served by another process) sees them
+      const end = res.end;
+      res.end = (...args) => {
+        if (pendingWrites.length === 0) return end.apply(res, args);
+        Promise.all(pendingWrites)
+          .catch(error => console.error('Session store error:', error))
+          .then(() => end.apply(res, args));
+        return res;
+      };
 
       req.sessionSave = () => {
         let sid = req.sessionId;
@@ -80,10 +97,10 @@ class SimpleSession {
           req.sessionId = sid;
         }
 
-        this.sessions.set(sid, {
+        pendingWrites.push(this.storeCall('set', sid, {
           data: req.session,
           expiresAt: Date.now() + this.maxAge
-        });
+        }));
 
         const signature = this.sign(sid);
         const cookieValue = `${sid}.${signature}`;
@@ -105,7 +122,8 @@ class SimpleSession {
 
       req.sessionDestroy = () => {
         if (req.sessionId) {
-          this.sessions.delete(req.sessionId);
+          pendingWrites.push(this.storeCall('destroy', req.sessionId));
+          req.sessionId = null;
         }
         req.session = {};
 
@@ -114,16 +132,42 @@ class SimpleSession {
         ]);
       };
 
-      next();
+      // End all sessions of a user, e.g. after a password reset or when an admin disables them
+      req.sessionDestroyUser = userId => {
+        const destroyed = this.destroyUserSessions(userId);
+        pendingWrites.push(destroyed);
+        return destroyed;
+      };
+
+      if (!sessionId) return next();
+
+      this.storeCall('get', sessionId)
+        .then(sessionData => {
+          if (sessionData && sessionData.expiresAt > Date.now()) {
+            req.session = sessionData.data;
+            req.sessionId = sessionId;
+          }
+          next();
+        })
+        .catch(error => {
+          // Treat an unreachable store as "not logged in" rather than failing the request
+          console.error('Session store error:', error);
+          next();
+        });
     };
   }
 
+  /**
+   * End every session of a user (in all processes sharing the store).
+   * Resolves to the number of sessions ended.
+   */
+  destroyUserSessions(userId) {
+    return this.storeCall('destroyByUser', String(userId));
+  }
+
   cleanupExpired() {
-    const now = Date.now();
-    for (const [sessionId, sessionData] of this.sessions.entries()) {
-      if (sessionData.expiresAt < now) {
-        this.sessions.delete(sessionId);
-      }
+    if (typeof this.store.cleanupExpired === 'function') {
+      this.store.cleanupExpired();
     }
   }
 }
@@ -0,0 +1,139 @@
+const { validateSchema, coerceParameter } = require('../openapi/schemaValidator');
+
+const METHODS = ['get', 'post', 'put', 'delete', 'patch'];
+
+/**
+ * Turn an OpenAPI path ("/api/movies/{id}/reviews/{reviewId}") into a
+ * regex with the parameter names in order
+ */
+function compilePath(template) {
+  const names = [];
+  const source = template
+    .split(/(\{[^}]+\})/)
+    .map(part => {
+      const match = part.match(/^\{([^}]+)\}$/);
+      if (!match) return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      names.push(match[1]);
+      return '([^/]+)';
+    })
+    .join('');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+/**
+ * Every operation in the document, literal paths before templated ones
+ * so /api/movies/stats is not taken for /api/movies/{id}
+ */
+function compileOperations(document) {
+  const operations = [];
+  Object.keys(document.paths).forEach(template => {
+    const { regex, names } = compilePath(template);
+    METHODS.forEach(method => {
+      const operation = document.paths[template][method];
+      if (operation) operations.push({ method, template, regex, names, operation });
+    });
+  });
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+function findOperation(operations, method, path) {
+  for (const entry of operations) {
+    if (entry.method !== method) continue;
+    const match = entry.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    entry.names.forEach((name, index) => {
+      try {
+        params[name] = decodeURIComponent(match[index + 1]);
+      } catch (error) {
+        params[name] = match[index + 1];
+      }
+    });
+    return { ...entry, params };
+  }
+  return null;
+}
+
+function parameterValue(parameter, req, params) {
+  if (parameter.in === 'path') return params[parameter.name];
+  if (parameter.in === 'header') return req.get(parameter.name);
+  return req.query[parameter.name];
+}
+
+function checkParameters(operation, req, params, document) {
+  const problems = [];
+  (operation.parameters || []).forEach(parameter => {
+    const raw = parameterValue(parameter, req, params);
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) problems.push({ in: parameter.in, field: parameter.name, message: 'is required' });
+      return;
+    }
+    const value = coerceParameter(parameter.schema, raw, document);
+    validateSchema(parameter.schema, value, document, parameter.name).forEach(problem => {
+      problems.push({ in: parameter.in, ...problem });
+    });
+  });
+  return problems;
+}
+
+function checkBody(operation, req, document) {
+  const content = operation.requestBody && operation.requestBody.content;
+  if (!content || !content['application/json'] || !req.is('application/json')) return [];
+
+  const schema = content['application/json'].schema;
+  const body = req.body === undefined ? {} : req.body;
+  return validateSchema(schema, body, document).map(problem => ({
+    in: 'body',
+    field: problem.field,
+    message: problem.message
+  }));
+}
+
+function describe(problem) {
+  return problem.field ? `${problem.field} ${problem.message}` : `Request body ${problem.message}`;
+}
+
+/**
+ * Middleware Factory: Check each /api request against its operation in
+ * the OpenAPI document (openapi/document.js): path parameters, query
+ * parameters (converted from strings first) and JSON bodies.
+ * getDocument() is asked for the document on every request; its
+ * operations are compiled again whenever it returns a new one.
+ *
+ * Invalid requests get 400 { error, details: [{ in, field, message }] }
+ * listing every problem. Requests for operations that need a login are
+ * only checked once logged in, so they still get a 401 first. Paths
+ * the document does not know are left to the routers.
+ */
+function validateRequests(getDocument) {
+  let document = null;
+  let operations = [];
+
+  return (req, res, next) => {
+    if (!req.path.startsWith('/api/')) return next();
+
+    const latest = getDocument();
+    if (latest !== document) {
+      document = latest;
+      operations = compileOperations(document);
+    }
+
+    const found = findOperation(operations, req.method.toLowerCase(), req.path);
+    if (!found) return next();
+
+    const { operation, params } = found;
+    if (operation.security && !req.session.userId) return next();
+
+    const problems = [
+      ...checkParameters(operation, req, params, document),
+      ...checkBody(operation, req, document)
+    ];
+    if (problems.length === 0) return next();
+
+    res.status(400).json({ error: describe(problems[0]), details: problems });
+  };
+}
+
+module.exports = { validateRequests };
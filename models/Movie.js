@@ -1,25 +1,33 @@
 const mongoose = require('mongoose');
+const { MIN_YEAR, AGE_RATINGS, maxYear, normalizeMovieInput, validateMovie } = require('./movieSchema');
 
 const MovieSchema = new mongoose.Schema({
   title: { 
     type: String, 
     required: [true, 'Title is required'],
     trim: true,
-    minlength: [1, 'Title cannot be empty']
+    minlength: [1, 'Title cannot be empty'],
+    maxlength: [200, 'Title cannot exceed 200 characters']
   },
+  // Same rules as models/movieSchema.js
   year: { 
     type: Number, 
     required: [true, 'Year is required'],
-    min: [1888, 'Year must be at least 1888'],
-    max: [2030, 'Year cannot exceed 2030']
+    min: [MIN_YEAR, `Year must be at least ${MIN_YEAR}`],
+    validate: {
+      validator: year => year <= maxYear(),
+      message: () => `Year cannot exceed ${maxYear()}`
+    }
   },
   director: { 
     type: String,
-    trim: true 
+    trim: true,
+    maxlength: [100, 'Director cannot exceed 100 characters']
   },
   genre: [{
     type: String,
-    trim: true 
+    trim: true,
+    maxlength: [50, 'Genre cannot exceed 50 characters']
   }],
   rating: { 
     type: Number,
@@ -28,10 +36,28 @@ const MovieSchema = new mongoose.Schema({
   },
   age_rating: { 
     type: String,
-    enum: ['0+', '6+', '12+', '16+', '18+', null]
+    enum: [...AGE_RATINGS, null]
   },
   description: { 
-    type: String 
+    type: String,
+    maxlength: [2000, 'Description cannot exceed 2000 characters']
+  },
+  // Public URL under /posters/ (uploads are content-hashed, see database/posterStore.js)
+  poster: {
+    type: String,
+    default: null
+  },
+  // Community score, computed from reviews (see routes/reviewRoutes.js)
+  communityRating: {
+    type: Number,
+    min: 0,
+    max: 10,
+    default: null
+  },
+  communityVotes: {
+    type: Number,
+    min: 0,
+    default: 0
   },
   // Relationship: Movie belongs to a User (creator)
   createdBy: { 
@@ -50,10 +76,54 @@ const MovieSchema = new mongoose.Schema({
 });
 
 // Create indexes for better query performance
-MovieSchema.index({ title: 'text', director: 'text' });
+// Weighted like the in-app search (repositories/movieSearch.js)
+MovieSchema.index(
+  { title: 'text', director: 'text', genre: 'text', description: 'text' },
+  { weights: { title: 5, director: 3, genre: 2, description: 1 }, name: 'movie_text_search' }
+);
 MovieSchema.index({ year: 1 });
 MovieSchema.index({ genre: 1 });
 MovieSchema.index({ createdBy: 1 });
 MovieSchema.index({ rating: 1 });
+MovieSchema.index({ communityRating: -1 });
+MovieSchema.index({ communityVotes: -1 });
+
+/**
+ * Static method: Validate movie data from a request or an import row
+ * against the shared movie schema (models/movieSchema.js).
+ * With partial = true (updates) only the fields present are checked.
+ * Returns [{ field, message }] (empty when valid).
+ */
+MovieSchema.statics.validateMovieData = function(data, { partial = false } = {}) {
+  return validateMovie(data, { partial });
+};
+
+/**
+ * Static method: Build stored movie fields from validated request data
+ * With partial = true (updates) only the fields present are returned
+ */
+MovieSchema.statics.createMovieObject = function(data, { partial = false } = {}) {
+  const movie = normalizeMovieInput(data);
+
+  if (!partial) {
+    return {
+      title: movie.title,
+      year: movie.year,
+      director: movie.director || 'Unknown',
+      genre: movie.genre && movie.genre.length > 0 ? movie.genre : ['Unknown'],
+      rating: movie.rating !== undefined ? movie.rating : null,
+      age_rating: movie.age_rating || null,
+      description: movie.description || '',
+      poster: movie.poster || null,
+      communityRating: null,
+      communityVotes: 0
+    };
+  }
+
+  const changes = { ...movie };
+  if (changes.director !== undefined) changes.director = changes.director || 'Unknown';
+  if (changes.description !== undefined) changes.description = changes.description || '';
+  return changes;
+};
 
 module.exports = mongoose.model('Movie', MovieSchema);
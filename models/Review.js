@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+const ReviewSchema = new mongoose.Schema({
+  // Relationship: Review belongs to a Movie and a User (author)
+  movieId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Movie',
+    required: [true, 'Movie is required']
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Author name at the time of writing, so lists don't need a user lookup
+  username: {
+    type: String,
+    trim: true
+  },
+  score: {
+    type: Number,
+    required: [true, 'Score is required'],
+    min: [0, 'Score must be at least 0'],
+    max: [10, 'Score cannot exceed 10']
+  },
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [5000, 'Review text cannot exceed 5000 characters']
+  },
+  spoiler: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  // Automatically manage createdAt and updatedAt
+  timestamps: true
+});
+
+// One review per user per movie
+ReviewSchema.index({ movieId: 1, userId: 1 }, { unique: true });
+ReviewSchema.index({ movieId: 1, createdAt: -1 });
+
+/**
+ * Static method: Validate review data
+ * With partial = true (edits) only the fields present are checked
+ * Returns array of error messages
+ */
+ReviewSchema.statics.validateReviewData = function(data, { partial = false } = {}) {
+  const errors = [];
+  const { score, text, spoiler } = data;
+
+  if (!partial || score !== undefined) {
+    const scoreNum = typeof score === 'string' && score.trim() !== '' ? Number(score) : score;
+    if (typeof scoreNum !== 'number' || isNaN(scoreNum) || scoreNum < 0 || scoreNum > 10) {
+      errors.push('Score must be a number between 0 and 10');
+    }
+  }
+
+  if (text !== undefined && text !== null) {
+    if (typeof text !== 'string') {
+      errors.push('Review text must be a string');
+    } else if (text.trim().length > 5000) {
+      errors.push('Review text cannot exceed 5000 characters');
+    }
+  }
+
+  if (spoiler !== undefined && typeof spoiler !== 'boolean') {
+    errors.push('Spoiler flag must be true or false');
+  }
+
+  return errors;
+};
+
+/**
+ * Static method: Build stored review fields from request data
+ */
+ReviewSchema.statics.createReviewObject = function(data, { partial = false } = {}) {
+  const review = {};
+
+  if (!partial || data.score !== undefined) review.score = Math.round(Number(data.score) * 10) / 10;
+  if (!partial || data.text !== undefined) review.text = data.text ? data.text.trim() : '';
+  if (!partial || data.spoiler !== undefined) review.spoiler = data.spoiler === true;
+
+  return review;
+};
+
+module.exports = mongoose.model('Review', ReviewSchema);
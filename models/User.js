@@ -1,5 +1,9 @@
 const mongoose = require('mongoose');
 const crypto = require('crypto');
+const { promisify } = require('util');
+const { ROLES } = require('../security/permissions');
+
+const pbkdf2 = promisify(crypto.pbkdf2);
 
 const UserSchema = new mongoose.Schema({
   username: { 
@@ -20,9 +24,54 @@ const UserSchema = new mongoose.Schema({
   },
   role: { 
     type: String, 
-    enum: ['user', 'admin'], 
+    enum: Object.keys(ROLES), 
     default: 'user'
   },
+  // false until the address is confirmed; missing on accounts created
+  // before verification existed, which count as verified
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Pending email confirmation: only a hash of the emailed token is stored
+  emailVerification: {
+    tokenHash: String,
+    expiresAt: Date
+  },
+  // Pending password reset: only a hash of the emailed token is stored
+  passwordReset: {
+    tokenHash: String,
+    expiresAt: Date
+  },
+  // TOTP two-factor authentication. recoveryCodes holds hashes of the
+  // unused one-time codes; lastUsedStep stops a code being replayed.
+  twoFactor: {
+    enabled: Boolean,
+    secret: String,
+    pendingSecret: String,
+    recoveryCodes: [String],
+    lastUsedStep: Number,
+    enabledAt: Date
+  },
+  // Set by an admin: a disabled account cannot log in or use API tokens
+  disabled: {
+    type: Boolean,
+    default: false
+  },
+  disabledAt: Date,
+  disabledReason: String,
+  // Set by an admin: login is refused until the password is reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  // Movie ids saved by the user
+  favorites: [{
+    type: String
+  }],
+  watchlist: [{
+    type: String
+  }],
   createdAt: { 
     type: Date, 
     default: Date.now 
@@ -41,17 +90,19 @@ UserSchema.pre('save', function(next) {
 
 /**
  * Static method: Validate user data for registration
- * Returns array of error messages
+ * Returns array of error messages (options.requireEmail: email must be given)
  */
-UserSchema.statics.validateUserData = function(username, password, email) {
+UserSchema.statics.validateUserData = function(username, password, email, options = {}) {
   const errors = [];
   
   if (!username || username.trim().length < 3) {
     errors.push('Username must be at least 3 characters long');
   }
   
-  if (!password || password.length < 6) {
-    errors.push('Password must be at least 6 characters long');
+  errors.push(...this.validatePassword(password));
+  
+  if (options.requireEmail && !email) {
+    errors.push('Email is required');
   }
   
   if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
@@ -61,6 +112,17 @@ UserSchema.statics.validateUserData = function(username, password, email) {
   return errors;
 };
 
+/**
+ * Static method: Validate a new password (registration or reset)
+ * Returns array of error messages
+ */
+UserSchema.statics.validatePassword = function(password) {
+  if (typeof password !== 'string' || password.length < 6) {
+    return ['Password must be at least 6 characters long'];
+  }
+  return [];
+};
+
 /**
  * Static method: Hash password for new user using PBKDF2
  */
@@ -71,36 +133,119 @@ UserSchema.statics.hashPassword = function(password) {
 };
 
 /**
- * Static method: Verify password against hash
+ * Static method: Hash password without blocking the event loop
  */
-UserSchema.statics.verifyPassword = function(password, hashedPassword) {
-  const [salt, hash] = hashedPassword.split(':');
-  const hashCheck = crypto.pbkdf2Sync(password, salt, 10000, 64, 'sha256').toString('hex');
-  return hash === hashCheck;
+UserSchema.statics.hashPasswordAsync = async function(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await pbkdf2(password, salt, 10000, 64, 'sha256');
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+/**
+ * Static method: Verify password against hash (async, constant-time compare)
+ */
+UserSchema.statics.verifyPassword = async function(password, hashedPassword) {
+  const [salt, hash] = String(hashedPassword || '').split(':');
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const hashCheck = await pbkdf2(String(password), salt, 10000, 64, 'sha256');
+  return expected.length === hashCheck.length && crypto.timingSafeEqual(expected, hashCheck);
 };
 
 /**
  * Static method: Create new user object with hashed password
  */
-UserSchema.statics.createUserObject = function(username, password, email) {
-  const hashedPassword = this.hashPassword(password);
+UserSchema.statics.createUserObject = async function(username, password, email) {
+  const hashedPassword = await this.hashPasswordAsync(password);
   
   return {
     username: username.trim(),
     password: hashedPassword,
     email: email ? email.trim().toLowerCase() : null,
+    emailVerified: false,
     role: 'user',
+    favorites: [],
+    watchlist: [],
     createdAt: new Date(),
     updatedAt: new Date()
   };
 };
 
+/**
+ * Static method: Hash a one-time token (e.g. a password reset token) for storage
+ */
+UserSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+/**
+ * Static method: Create a single-use token valid for ttlMs.
+ * Returns { token, tokenHash, expiresAt }; send the token, store the rest.
+ */
+UserSchema.statics.createOneTimeToken = function(ttlMs) {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    tokenHash: this.hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMs)
+  };
+};
+
+/**
+ * Static method: Whether a user's email counts as confirmed
+ */
+UserSchema.statics.isEmailVerified = function(user) {
+  return Boolean(user) && user.emailVerified !== false;
+};
+
+/**
+ * Static method: Whether login needs a second factor for this user
+ */
+UserSchema.statics.isTwoFactorEnabled = function(user) {
+  return Boolean(user && user.twoFactor && user.twoFactor.enabled);
+};
+
+/**
+ * Static method: Why the account may not log in or use API tokens
+ * ('Account disabled', 'Password reset required'), or null if it may
+ */
+UserSchema.statics.loginBlockedReason = function(user) {
+  if (user && user.disabled) return 'Account disabled';
+  if (user && user.passwordResetRequired) return 'Password reset required';
+  return null;
+};
+
+/**
+ * Static method: Create a set of one-time recovery codes ("xxxx-xxxx").
+ * Returns { codes, hashes }; show the codes once, store only the hashes.
+ */
+UserSchema.statics.createRecoveryCodes = function(count = 10) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const hex = crypto.randomBytes(4).toString('hex');
+    codes.push(`${hex.slice(0, 4)}-${hex.slice(4)}`);
+  }
+  return { codes, hashes: codes.map(code => this.hashRecoveryCode(code)) };
+};
+
+/**
+ * Static method: Hash a recovery code, ignoring case, spaces and dashes
+ */
+UserSchema.statics.hashRecoveryCode = function(code) {
+  return this.hashToken(String(code).toLowerCase().replace(/[\s-]/g, ''));
+};
+
 /**
  * Static method: Sanitize user object (remove sensitive data)
  */
 UserSchema.statics.sanitizeUser = function(user) {
   const sanitized = user.toObject ? user.toObject() : { ...user };
   delete sanitized.password;
+  delete sanitized.passwordReset;
+  delete sanitized.emailVerification;
+  sanitized.twoFactorEnabled = Boolean(sanitized.twoFactor && sanitized.twoFactor.enabled);
+  delete sanitized.twoFactor;
   return sanitized;
 };
 
@@ -0,0 +1,145 @@
+const { validateSchema } = require('../openapi/schemaValidator');
+
+/**
+ * The one set of rules for movie data: API create and update, bulk
+ * imports, the Mongoose model and the OpenAPI document all use it.
+ *
+ * movieSchema() is a JSON Schema of a stored movie's catalog fields.
+ * Input is normalized before it is checked (see normalizeMovieInput), so
+ * forms and CSV files may send numbers as strings, one genre as a plain
+ * string and "" for "none".
+ */
+
+const MIN_YEAR = 1888;
+const AGE_RATINGS = ['0+', '6+', '12+', '14+', '16+', '18+'];
+
+const REQUIRED_FIELDS = ['title', 'year'];
+const NUMBER_FIELDS = ['year', 'rating'];
+const TEXT_FIELDS = ['title', 'director', 'age_rating', 'description', 'poster'];
+
+const POSTER_PATTERN = '^/posters/[^/\\\\]+$';
+
+// Films are announced a few years ahead
+function maxYear() {
+  return new Date().getFullYear() + 5;
+}
+
+function movieSchema() {
+  return {
+    type: 'object',
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      year: { type: 'integer', minimum: MIN_YEAR, maximum: maxYear() },
+      director: { type: ['string', 'null'], maxLength: 100 },
+      genre: { type: 'array', maxItems: 10, items: { type: 'string', minLength: 1, maxLength: 50 } },
+      rating: { type: ['number', 'null'], minimum: 0, maximum: 10 },
+      age_rating: { type: ['string', 'null'], enum: [...AGE_RATINGS, null] },
+      description: { type: ['string', 'null'], maxLength: 2000 },
+      poster: {
+        type: ['string', 'null'],
+        pattern: POSTER_PATTERN,
+        'x-pattern-message': 'must be a /posters/ path (upload files with PUT /api/movies/:id/poster)'
+      }
+    },
+    required: REQUIRED_FIELDS
+  };
+}
+
+/**
+ * What clients may send, for the OpenAPI document: the stored types plus
+ * the string forms normalizeMovieInput accepts. Ranges, lengths and
+ * enums are the same.
+ */
+function movieInputSchema({ partial = false } = {}) {
+  const schema = movieSchema();
+  const { properties } = schema;
+  properties.year = { ...properties.year, type: ['integer', 'string', 'null'] };
+  properties.rating = { ...properties.rating, type: ['number', 'string', 'null'] };
+  properties.genre = { ...properties.genre, type: ['array', 'string', 'null'] };
+  properties.age_rating = { ...properties.age_rating, enum: [...AGE_RATINGS, '', null] };
+  if (partial) delete schema.required;
+  return schema;
+}
+
+/**
+ * Copy the known movie fields from request or import data, converted to
+ * the stored types where that is unambiguous: text is trimmed, "" means
+ * null, numeric strings become numbers and a single genre becomes a list.
+ * Anything else is left as sent, for validateMovie to report.
+ */
+function normalizeMovieInput(data = {}) {
+  const movie = {};
+
+  TEXT_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    const value = typeof data[field] === 'string' ? data[field].trim() : data[field];
+    movie[field] = value === '' && field !== 'title' ? null : value;
+  });
+
+  NUMBER_FIELDS.forEach(field => {
+    if (data[field] === undefined) return;
+    const value = data[field];
+    if (value === '' || value === null || (typeof value === 'number' && isNaN(value))) {
+      movie[field] = null;
+    } else if (typeof value === 'string' && !isNaN(Number(value))) {
+      movie[field] = Number(value);
+    } else {
+      movie[field] = value;
+    }
+  });
+
+  if (data.genre !== undefined) {
+    const genres = data.genre === null || data.genre === '' ? [] : [].concat(data.genre);
+    movie.genre = genres
+      .map(genre => (typeof genre === 'string' ? genre.trim() : genre))
+      .filter(genre => genre !== '');
+  }
+
+  return movie;
+}
+
+/**
+ * Check movie data against movieSchema(). With partial = true (updates)
+ * only the fields present are checked; required fields still cannot be
+ * cleared. Returns [{ field, message }] (empty when valid).
+ */
+function validateMovie(data, { partial = false } = {}) {
+  const movie = normalizeMovieInput(data);
+  const schema = movieSchema();
+  const problems = [];
+
+  REQUIRED_FIELDS.forEach(field => {
+    if (movie[field] === null || (!partial && movie[field] === undefined)) {
+      problems.push({ field, message: 'is required' });
+    }
+    if (movie[field] === null) delete movie[field];
+  });
+
+  problems.push(...validateSchema({ ...schema, required: [] }, movie));
+
+  // Report fields in schema order
+  const order = Object.keys(schema.properties);
+  return problems.sort((a, b) => order.indexOf(a.field.split('.')[0]) - order.indexOf(b.field.split('.')[0]));
+}
+
+/**
+ * Error response body for validateMovie problems, shaped like the
+ * request validator's (middleware/validateRequest.js)
+ */
+function movieErrorResponse(problems, location = 'body') {
+  return {
+    error: `${problems[0].field} ${problems[0].message}`,
+    details: problems.map(problem => ({ in: location, ...problem }))
+  };
+}
+
+module.exports = {
+  MIN_YEAR,
+  AGE_RATINGS,
+  maxYear,
+  movieSchema,
+  movieInputSchema,
+  normalizeMovieInput,
+  validateMovie,
+  movieErrorResponse
+};
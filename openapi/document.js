@@ -0,0 +1,1003 @@
+const { ROLES, PERMISSIONS } = require('../security/permissions');
+const { SCOPES } = require('../security/apiTokens');
+const { MESSAGE_STATUSES, MESSAGE_FOLDERS } = require('../repositories/contactMessages');
+const { LISTS } = require('../routes/userListRoutes');
+const { AGE_RATINGS, movieInputSchema } = require('../models/movieSchema');
+
+/**
+ * OpenAPI 3.1 description of the JSON API (/api/*).
+ *
+ * This is the one list of endpoints: it is served at /api/openapi.json,
+ * rendered at /api/docs, and middleware/validateRequest.js checks every
+ * request's path parameters, query and JSON body against it. Add new
+ * routes here too.
+ *
+ * x-permission names the permission an operation needs (security/permissions.js).
+ */
+
+const AUTH = [{ cookieAuth: [] }, { bearerAuth: [] }];
+// Token management refuses API tokens (requireSession)
+const SESSION_ONLY = [{ cookieAuth: [] }];
+
+const ERROR_RESPONSES = {
+  400: 'BadRequest',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'NotFound',
+  429: 'TooManyRequests',
+  503: 'ServiceUnavailable'
+};
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+
+const json = schema => ({ 'application/json': { schema } });
+
+const string = (extra = {}) => ({ type: 'string', ...extra });
+const integer = (extra = {}) => ({ type: 'integer', ...extra });
+const boolean = (extra = {}) => ({ type: 'boolean', ...extra });
+
+function object(properties, required = [], extra = {}) {
+  return { type: 'object', properties, ...(required.length > 0 ? { required } : {}), ...extra };
+}
+
+function pathParam(name, description, schema = string()) {
+  return { name, in: 'path', required: true, description, schema };
+}
+
+function queryParam(name, description, schema = string()) {
+  return { name, in: 'query', description, schema };
+}
+
+const PAGINATION_QUERY = [
+  queryParam('limit', 'Page size (pages are only used when limit or cursor is given, unless noted)', integer({ minimum: 1 })),
+  queryParam('cursor', 'Opaque cursor from pagination.next or pagination.prev')
+];
+
+const MOVIE_FILTER_QUERY = [
+  queryParam('genre', 'Genre contains (case-insensitive)'),
+  queryParam('director', 'Director contains (case-insensitive)'),
+  queryParam('title', 'Title contains (case-insensitive)'),
+  queryParam('year', 'Exact year', integer()),
+  queryParam('year_min', 'Earliest year', integer()),
+  queryParam('year_max', 'Latest year', integer()),
+  queryParam('rating_min', 'Lowest rating', { type: 'number', minimum: 0, maximum: 10 })
+];
+
+const MOVIE_SORT_QUERY = [
+  queryParam('sortBy', 'Field to sort by, e.g. title, year, rating, communityRating, createdAt'),
+  queryParam('order', 'Sort direction', string({ enum: ['asc', 'desc'] }))
+];
+
+const MOVIE_ID = pathParam('id', 'Movie id');
+
+// Catalog reads can be revalidated (middleware/httpCache.js)
+const CONDITIONAL_HEADERS = [
+  { name: 'If-None-Match', in: 'header', description: 'ETag from an earlier response', schema: string() },
+  { name: 'If-Modified-Since', in: 'header', description: 'Last-Modified from an earlier response', schema: string() }
+];
+
+const CACHE_HEADERS = {
+  ETag: { description: 'Catalog version', schema: string() },
+  'Last-Modified': { description: 'Time of the last catalog change', schema: string() },
+  'Cache-Control': { description: 'public, no-cache (anonymous); private, no-cache (logged in); private, no-store (favorites/watchlist)', schema: string() }
+};
+
+/**
+ * Build an operation.
+ * options: { tag, summary, description, auth (true | 'session'), permission,
+ *   params, body, bodyContent, bodyRequired, ok: [status, description, schema],
+ *   conditional (ETag / Last-Modified, 304), errors }
+ */
+function operation(options) {
+  const op = { tags: [options.tag], summary: options.summary };
+  if (options.description) op.description = options.description;
+
+  if (options.auth) op.security = options.auth === 'session' ? SESSION_ONLY : AUTH;
+  if (options.permission) op['x-permission'] = options.permission;
+
+  if (options.params) op.parameters = options.params;
+  if (options.body || options.bodyContent) {
+    op.requestBody = {
+      required: options.bodyRequired !== false,
+      content: options.bodyContent || json(options.body)
+    };
+  }
+
+  const [status, description, schema] = options.ok || [200, 'Success', ref('MessageResponse')];
+  op.responses = { [status]: { description, ...(schema ? { content: json(schema) } : {}) } };
+  if (options.conditional) {
+    op.parameters = [...(op.parameters || []), ...CONDITIONAL_HEADERS];
+    op.responses[status].headers = CACHE_HEADERS;
+    op.responses[304] = { description: 'Not modified since the ETag or date you sent', headers: CACHE_HEADERS };
+  }
+
+  const errors = new Set(options.errors || []);
+  if (options.auth) errors.add(401);
+  if (options.permission) errors.add(403);
+  if (options.params || options.body) errors.add(400);
+  [...errors].sort().forEach(code => {
+    op.responses[code] = { $ref: `#/components/responses/${ERROR_RESPONSES[code]}` };
+  });
+  op.responses[500] = { $ref: '#/components/responses/ServerError' };
+  return op;
+}
+
+const schemas = {
+  Error: object({
+    error: string({ description: 'What went wrong' }),
+    details: {
+      type: 'array',
+      description: 'Every problem found, for validation errors',
+      items: {
+        anyOf: [
+          string(),
+          object({ in: string({ enum: ['path', 'query', 'header', 'body'] }), field: string(), message: string() })
+        ]
+      }
+    },
+    permission: string({ description: 'The missing permission, for 403 Permission denied' })
+  }, ['error']),
+
+  MessageResponse: object({ message: string() }, ['message'], { additionalProperties: true }),
+
+  Pagination: object({
+    limit: integer(),
+    total: integer(),
+    next: string({ type: ['string', 'null'] }),
+    prev: string({ type: ['string', 'null'] }),
+    hasMore: boolean()
+  }),
+
+  Movie: object({
+    _id: string(),
+    title: string(),
+    year: integer(),
+    director: string(),
+    genre: { type: 'array', items: string() },
+    rating: { type: ['number', 'null'] },
+    age_rating: { type: ['string', 'null'], enum: [...AGE_RATINGS, null] },
+    description: string(),
+    poster: { type: ['string', 'null'] },
+    communityRating: { type: ['number', 'null'] },
+    communityVotes: integer(),
+    createdBy: { type: ['string', 'null'] },
+    updatedBy: { type: ['string', 'null'] },
+    createdAt: string({ format: 'date-time' }),
+    updatedAt: string({ format: 'date-time' })
+  }, ['_id', 'title', 'year']),
+
+  // Generated from the shared movie rules when the document is built (see movieSchemas)
+  MovieInput: {},
+  MovieUpdate: {},
+
+  MovieList: object({
+    count: integer(),
+    total: integer(),
+    movies: { type: 'array', items: ref('Movie') },
+    pagination: ref('Pagination')
+  }),
+
+  HistoryVersion: object({
+    movieId: string(),
+    version: integer(),
+    action: string({ enum: ['baseline', 'create', 'update', 'delete', 'revert'] }),
+    changes: {
+      type: 'object',
+      description: 'Changed fields: { field: { from, to } }',
+      additionalProperties: object({ from: {}, to: {} })
+    },
+    snapshot: ref('Movie'),
+    actor: { type: ['object', 'null'], properties: { userId: { type: ['string', 'null'] }, username: { type: ['string', 'null'] } } },
+    at: string({ format: 'date-time' })
+  }),
+
+  Review: object({
+    _id: string(),
+    movieId: string(),
+    userId: string(),
+    username: { type: ['string', 'null'] },
+    score: { type: 'number' },
+    text: string(),
+    spoiler: boolean(),
+    createdAt: string({ format: 'date-time' }),
+    updatedAt: string({ format: 'date-time' })
+  }),
+
+  ReviewInput: object({
+    score: { type: ['number', 'string'], description: '0 to 10' },
+    text: { type: ['string', 'null'], maxLength: 5000 },
+    spoiler: boolean()
+  }, ['score']),
+
+  ReviewUpdate: object({
+    score: { type: ['number', 'string'], description: '0 to 10' },
+    text: { type: ['string', 'null'], maxLength: 5000 },
+    spoiler: boolean()
+  }),
+
+  User: object({
+    id: string(),
+    username: string(),
+    email: { type: ['string', 'null'] },
+    emailVerified: boolean(),
+    role: string({ enum: Object.keys(ROLES) }),
+    twoFactorEnabled: boolean(),
+    disabled: boolean(),
+    createdAt: string({ format: 'date-time' })
+  }),
+
+  ApiToken: object({
+    id: string(),
+    name: string(),
+    prefix: string(),
+    scopes: { type: 'array', items: string({ enum: SCOPES }) },
+    createdAt: string({ format: 'date-time' }),
+    lastUsedAt: { type: ['string', 'null'], format: 'date-time' },
+    expiresAt: { type: ['string', 'null'], format: 'date-time' }
+  }),
+
+  ContactMessage: object({
+    id: string(),
+    name: string(),
+    email: string(),
+    message: string(),
+    timestamp: string({ format: 'date-time' }),
+    status: string({ enum: MESSAGE_STATUSES }),
+    folder: string({ enum: MESSAGE_FOLDERS }),
+    spam: { type: ['object', 'null'], properties: { score: { type: 'number' }, reasons: { type: 'array', items: string() } } },
+    notes: { type: 'array', items: object({ id: string(), text: string(), author: {}, createdAt: string() }) },
+    replies: { type: 'array', items: object({ id: string(), subject: string(), text: string(), mailId: string(), sentBy: {}, sentAt: string() }) }
+  })
+};
+
+const errorResponse = description => ({ description, content: json(ref('Error')) });
+
+const components = {
+  securitySchemes: {
+    cookieAuth: {
+      type: 'apiKey',
+      in: 'cookie',
+      name: 'movielib_session',
+      description: 'Session from POST /api/auth/login. Writes also need the X-CSRF-Token header (value of the movielib_csrf cookie).'
+    },
+    bearerAuth: {
+      type: 'http',
+      scheme: 'bearer',
+      description: 'Personal API token (POST /api/auth/tokens), limited to its scopes'
+    }
+  },
+  schemas,
+  responses: {
+    BadRequest: errorResponse('Invalid request (validation errors list every problem in details)'),
+    Unauthorized: errorResponse('Authentication required'),
+    Forbidden: errorResponse('Permission denied, missing token scope or invalid CSRF token'),
+    NotFound: errorResponse('Not found'),
+    TooManyRequests: errorResponse('Too many attempts; see the Retry-After header'),
+    ServiceUnavailable: errorResponse('Database unavailable'),
+    ServerError: errorResponse('Internal server error')
+  }
+};
+
+const paths = {
+  // ----- Movies -----
+  '/api/movies': {
+    get: operation({
+      tag: 'Movies',
+      summary: 'List movies with filters and sorting',
+      description: 'Without limit or cursor the whole (filtered) catalog is returned. favorites/watchlist need a login.',
+      params: [
+        ...MOVIE_FILTER_QUERY,
+        ...MOVIE_SORT_QUERY,
+        queryParam('fields', 'Comma-separated fields to return'),
+        queryParam('favorites', 'Only your favorites', string({ enum: ['true', 'false'] })),
+        queryParam('watchlist', 'Only your watchlist', string({ enum: ['true', 'false'] })),
+        ...PAGINATION_QUERY
+      ],
+      ok: [200, 'Movies', ref('MovieList')],
+      conditional: true,
+      errors: [401]
+    }),
+    post: operation({
+      tag: 'Movies',
+      summary: 'Add a movie',
+      auth: true,
+      permission: 'movies:create',
+      body: ref('MovieInput'),
+      ok: [201, 'The new movie', ref('Movie')]
+    })
+  },
+  '/api/movies/stats': {
+    get: operation({
+      tag: 'Movies',
+      summary: 'Catalog statistics',
+      ok: [200, 'Totals by year and genre', object({ total: integer(), byYear: { type: 'array' }, byGenre: { type: 'array' } })]
+    })
+  },
+  '/api/movies/search': {
+    get: operation({
+      tag: 'Movies',
+      summary: 'Relevance-ranked search with highlights',
+      description: 'Paged by default (10 per page, at most 50).',
+      params: [
+        { ...queryParam('q', 'Search text'), required: true },
+        ...MOVIE_FILTER_QUERY,
+        ...PAGINATION_QUERY
+      ],
+      ok: [200, 'Ranked results', object({
+        query: string(),
+        count: integer(),
+        total: integer(),
+        results: { type: 'array', items: object({ score: { type: 'number' }, highlights: { type: 'object' }, movie: ref('Movie') }) },
+        pagination: ref('Pagination')
+      })]
+    })
+  },
+  '/api/movies/admin/all': {
+    get: operation({
+      tag: 'Movie administration',
+      summary: 'Every movie with full details, newest first',
+      auth: true,
+      permission: 'movies:export',
+      params: PAGINATION_QUERY,
+      ok: [200, 'Movies', ref('MovieList')]
+    })
+  },
+  '/api/movies/admin/export': {
+    get: operation({
+      tag: 'Movie administration',
+      summary: 'Download the catalog as CSV or JSON',
+      auth: true,
+      permission: 'movies:export',
+      params: [queryParam('format', 'File format', string({ enum: ['csv', 'json'] })), ...MOVIE_FILTER_QUERY, ...MOVIE_SORT_QUERY],
+      ok: [200, 'The export file (Content-Disposition: attachment)', null]
+    })
+  },
+  '/api/movies/admin/import': {
+    post: operation({
+      tag: 'Movie administration',
+      summary: 'Bulk import movies',
+      description: 'Every row is validated; the report lists what was created, updated, skipped or rejected.',
+      auth: true,
+      permission: 'movies:import',
+      params: [
+        queryParam('format', 'Body format (default: from Content-Type)', string({ enum: ['csv', 'json'] })),
+        queryParam('mode', 'What to do with duplicates (same title and year)', string({ enum: ['skip', 'overwrite', 'merge'] })),
+        queryParam('dryRun', 'Validate only', string({ enum: ['true', 'false'] }))
+      ],
+      bodyContent: {
+        'text/csv': { schema: string() },
+        // Rows are checked one by one and reported, so one bad row does not reject the file
+        'application/json': { schema: { type: ['array', 'object'], items: { type: 'object' } } }
+      },
+      ok: [200, 'Import report', object({ format: string() }, [], { additionalProperties: true })]
+    })
+  },
+  '/api/movies/admin/trash': {
+    get: operation({
+      tag: 'Movie administration',
+      summary: 'Movies in the trash, most recently deleted first',
+      auth: true,
+      permission: 'movies:trash',
+      params: PAGINATION_QUERY,
+      ok: [200, 'Trashed movies with their purgeAt date', ref('MovieList')]
+    })
+  },
+  '/api/movies/admin/trash/{id}/restore': {
+    post: operation({
+      tag: 'Movie administration',
+      summary: 'Restore a movie from the trash',
+      auth: true,
+      permission: 'movies:trash',
+      params: [MOVIE_ID],
+      errors: [404]
+    })
+  },
+  '/api/movies/admin/trash/{id}': {
+    delete: operation({
+      tag: 'Movie administration',
+      summary: 'Permanently delete a trashed movie',
+      auth: true,
+      permission: 'movies:purge',
+      params: [MOVIE_ID],
+      errors: [404]
+    })
+  },
+  '/api/movies/admin/{id}': {
+    delete: operation({
+      tag: 'Movie administration',
+      summary: 'Move any movie to the trash',
+      auth: true,
+      permission: 'movies:delete:any',
+      params: [MOVIE_ID],
+      errors: [404]
+    })
+  },
+  '/api/movies/{id}': {
+    get: operation({
+      tag: 'Movies',
+      summary: 'One movie',
+      params: [MOVIE_ID],
+      ok: [200, 'The movie', ref('Movie')],
+      conditional: true,
+      errors: [404]
+    }),
+    put: operation({
+      tag: 'Movies',
+      summary: 'Update a movie (owner, or movies:update:any)',
+      auth: true,
+      params: [MOVIE_ID],
+      body: ref('MovieUpdate'),
+      ok: [200, 'The updated movie', ref('Movie')],
+      errors: [403, 404]
+    }),
+    delete: operation({
+      tag: 'Movies',
+      summary: 'Move a movie to the trash (owner, or movies:delete:any)',
+      auth: true,
+      params: [MOVIE_ID],
+      errors: [403, 404]
+    })
+  },
+  '/api/movies/{id}/poster': {
+    put: operation({
+      tag: 'Movies',
+      summary: 'Upload a poster (JPEG, PNG, GIF or WebP)',
+      auth: true,
+      params: [MOVIE_ID],
+      bodyContent: {
+        'multipart/form-data': { schema: object({ poster: string({ format: 'binary' }) }, ['poster']) }
+      },
+      ok: [200, 'The updated movie', ref('Movie')],
+      errors: [403, 404]
+    }),
+    delete: operation({
+      tag: 'Movies',
+      summary: 'Remove the poster',
+      auth: true,
+      params: [MOVIE_ID],
+      ok: [200, 'The updated movie', ref('Movie')],
+      errors: [403, 404]
+    })
+  },
+  '/api/movies/{id}/history': {
+    get: operation({
+      tag: 'Movie history',
+      summary: 'Versions of a movie, newest first',
+      auth: true,
+      params: [MOVIE_ID, ...PAGINATION_QUERY],
+      ok: [200, 'Versions', object({
+        movieId: string(),
+        count: integer(),
+        versions: { type: 'array', items: ref('HistoryVersion') },
+        pagination: ref('Pagination')
+      })],
+      errors: [404]
+    })
+  },
+  '/api/movies/{id}/history/{version}/revert': {
+    post: operation({
+      tag: 'Movie history',
+      summary: 'Restore a movie to an earlier version',
+      auth: true,
+      permission: 'movies:revert',
+      params: [MOVIE_ID, pathParam('version', 'Version number', integer({ minimum: 1 }))],
+      errors: [404]
+    })
+  },
+
+  // ----- Reviews -----
+  '/api/movies/{id}/reviews': {
+    get: operation({
+      tag: 'Reviews',
+      summary: 'Reviews of a movie, newest first',
+      params: [
+        MOVIE_ID,
+        queryParam('page', 'Page number', integer({ minimum: 1 })),
+        queryParam('limit', 'Page size (at most 100)', integer({ minimum: 1 }))
+      ],
+      ok: [200, 'Reviews', object({ reviews: { type: 'array', items: ref('Review') } }, [], { additionalProperties: true })],
+      errors: [404]
+    }),
+    post: operation({
+      tag: 'Reviews',
+      summary: 'Review a movie (one review per user)',
+      auth: true,
+      permission: 'reviews:create',
+      params: [MOVIE_ID],
+      body: ref('ReviewInput'),
+      ok: [201, 'The new review', ref('Review')],
+      errors: [404]
+    })
+  },
+  '/api/movies/{id}/reviews/{reviewId}': {
+    put: operation({
+      tag: 'Reviews',
+      summary: 'Update your review',
+      auth: true,
+      params: [MOVIE_ID, pathParam('reviewId', 'Review id')],
+      body: ref('ReviewUpdate'),
+      ok: [200, 'The updated review', ref('Review')],
+      errors: [403, 404]
+    }),
+    delete: operation({
+      tag: 'Reviews',
+      summary: 'Delete a review (author, or reviews:delete:any)',
+      auth: true,
+      params: [MOVIE_ID, pathParam('reviewId', 'Review id')],
+      errors: [403, 404]
+    })
+  },
+
+  // ----- Favorites & watchlist -----
+  '/api/me/{list}': {
+    get: operation({
+      tag: 'Lists',
+      summary: 'Movies in your favorites or watchlist',
+      auth: true,
+      params: [pathParam('list', 'Which list', string({ enum: LISTS })), ...PAGINATION_QUERY],
+      ok: [200, 'The list', object({ list: string(), ids: { type: 'array', items: string() }, count: integer(), movies: { type: 'array', items: ref('Movie') } })],
+      errors: [404, 503]
+    })
+  },
+  '/api/me/{list}/{movieId}': {
+    put: operation({
+      tag: 'Lists',
+      summary: 'Add a movie to a list',
+      auth: true,
+      params: [pathParam('list', 'Which list', string({ enum: LISTS })), pathParam('movieId', 'Movie id')],
+      errors: [404, 503]
+    }),
+    delete: operation({
+      tag: 'Lists',
+      summary: 'Remove a movie from a list',
+      auth: true,
+      params: [pathParam('list', 'Which list', string({ enum: LISTS })), pathParam('movieId', 'Movie id')],
+      errors: [404, 503]
+    })
+  },
+
+  // ----- Authentication -----
+  '/api/auth/register': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Create an account and log in',
+      body: object({ username: string(), password: string(), email: { type: ['string', 'null'] } }, ['username', 'password']),
+      ok: [201, 'The new user', object({ message: string(), user: ref('User') })],
+      errors: [429, 503]
+    })
+  },
+  '/api/auth/login': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Log in',
+      description: 'With 2FA enabled the response has twoFactorRequired: true; finish with POST /api/auth/login/2fa.',
+      body: object({ username: string(), password: string() }, ['username', 'password']),
+      ok: [200, 'Logged in, or a second factor is needed', object({ message: string(), user: ref('User'), twoFactorRequired: boolean() })],
+      errors: [401, 403, 429, 503]
+    })
+  },
+  '/api/auth/login/2fa': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Finish a login with an authenticator or recovery code',
+      body: object({ code: { type: ['string', 'integer'] }, recoveryCode: string() }),
+      ok: [200, 'Logged in', object({ message: string(), user: ref('User') })],
+      errors: [401, 403, 429]
+    })
+  },
+  '/api/auth/logout': {
+    post: operation({ tag: 'Authentication', summary: 'Log out' })
+  },
+  '/api/auth/me': {
+    get: operation({
+      tag: 'Authentication',
+      summary: 'The logged-in user and their permissions',
+      auth: true,
+      ok: [200, 'Current user', object({ user: ref('User'), permissions: { type: 'array', items: string({ enum: Object.keys(PERMISSIONS) }) } })],
+      errors: [503]
+    })
+  },
+  '/api/auth/forgot-password': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Mail a password reset link',
+      description: 'Always answers the same way, whether or not the account exists.',
+      body: object({ username: string(), email: string() }),
+      errors: [429]
+    })
+  },
+  '/api/auth/reset-password': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Set a new password with a reset token',
+      body: object({ token: string(), password: string() }, ['token', 'password']),
+      errors: [503]
+    })
+  },
+  '/api/auth/verify-email': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Confirm an email address with a verification token',
+      body: object({ token: string() }, ['token']),
+      errors: [503]
+    })
+  },
+  '/api/auth/resend-verification': {
+    post: operation({
+      tag: 'Authentication',
+      summary: 'Mail a new verification link',
+      description: 'Accounts without an email address send one to add it.',
+      auth: true,
+      body: object({ email: string({ format: 'email' }) }),
+      bodyRequired: false,
+      errors: [429, 503]
+    })
+  },
+
+  // ----- Two-factor authentication -----
+  '/api/auth/2fa': {
+    get: operation({
+      tag: 'Two-factor authentication',
+      summary: 'Whether 2FA is on, and recovery codes left',
+      auth: true,
+      ok: [200, '2FA status', object({ enabled: boolean(), recoveryCodesLeft: integer(), required: boolean() }, [], { additionalProperties: true })],
+      errors: [503]
+    })
+  },
+  '/api/auth/2fa/setup': {
+    post: operation({
+      tag: 'Two-factor authentication',
+      summary: 'Start setup: a new secret and otpauth:// URL',
+      auth: true,
+      ok: [200, 'Secret to add to an authenticator app', object({ secret: string(), otpauthUrl: string() }, [], { additionalProperties: true })],
+      errors: [400, 503]
+    })
+  },
+  '/api/auth/2fa/enable': {
+    post: operation({
+      tag: 'Two-factor authentication',
+      summary: 'Confirm setup with a code; returns recovery codes',
+      auth: true,
+      body: object({ code: { type: ['string', 'integer'] } }, ['code']),
+      ok: [200, 'Enabled', object({ message: string(), recoveryCodes: { type: 'array', items: string() } })],
+      errors: [503]
+    })
+  },
+  '/api/auth/2fa/recovery-codes': {
+    post: operation({
+      tag: 'Two-factor authentication',
+      summary: 'Replace the recovery codes',
+      auth: true,
+      body: object({ code: { type: ['string', 'integer'] } }, ['code']),
+      ok: [200, 'New recovery codes', object({ message: string(), recoveryCodes: { type: 'array', items: string() } })],
+      errors: [503]
+    })
+  },
+  '/api/auth/2fa/disable': {
+    post: operation({
+      tag: 'Two-factor authentication',
+      summary: 'Turn 2FA off (password and a code)',
+      auth: true,
+      body: object({ password: string(), code: { type: ['string', 'integer'] }, recoveryCode: string() }, ['password']),
+      errors: [403, 503]
+    })
+  },
+
+  // ----- API tokens -----
+  '/api/auth/tokens': {
+    get: operation({
+      tag: 'API tokens',
+      summary: 'Your API tokens (never the secrets)',
+      auth: 'session',
+      ok: [200, 'Tokens', object({ tokens: { type: 'array', items: ref('ApiToken') }, scopes: { type: 'array', items: string() } })],
+      errors: [503]
+    }),
+    post: operation({
+      tag: 'API tokens',
+      summary: 'Create a token; the secret is shown once',
+      auth: 'session',
+      body: object({
+        name: string(),
+        scopes: { type: 'array', items: string() },
+        expiresInDays: { type: ['number', 'string', 'null'] }
+      }, ['name', 'scopes']),
+      ok: [201, 'The token and its secret', object({ message: string(), token: string(), apiToken: ref('ApiToken') }, [], { additionalProperties: true })],
+      errors: [503]
+    })
+  },
+  '/api/auth/tokens/{id}': {
+    delete: operation({
+      tag: 'API tokens',
+      summary: 'Revoke a token',
+      auth: 'session',
+      params: [pathParam('id', 'Token id')],
+      errors: [404, 503]
+    })
+  },
+
+  // ----- Login lockouts -----
+  '/api/auth/admin/lockouts': {
+    get: operation({
+      tag: 'User administration',
+      summary: 'Current rate-limit lockouts',
+      auth: true,
+      permission: 'users:manage',
+      ok: [200, 'Lockouts', object({ lockouts: { type: 'array', items: { type: 'object' } } })]
+    }),
+    delete: operation({
+      tag: 'User administration',
+      summary: 'Clear every lockout',
+      auth: true,
+      permission: 'users:manage'
+    })
+  },
+  '/api/auth/admin/lockouts/{limiter}/{key}': {
+    delete: operation({
+      tag: 'User administration',
+      summary: 'Clear one lockout, e.g. /login/user:alice',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('limiter', 'Limiter name'), pathParam('key', 'Locked key')],
+      errors: [404]
+    })
+  },
+
+  // ----- User management -----
+  '/api/auth/users': {
+    get: operation({
+      tag: 'User administration',
+      summary: 'List users, newest first',
+      auth: true,
+      permission: 'users:manage',
+      params: [
+        queryParam('q', 'Username starts with'),
+        queryParam('role', 'Role', string({ enum: Object.keys(ROLES) })),
+        queryParam('disabled', 'Disabled or enabled accounts only', string({ enum: ['true', 'false'] })),
+        queryParam('page', 'Page number', integer({ minimum: 1 })),
+        queryParam('limit', 'Page size (at most 100)', integer({ minimum: 1 }))
+      ],
+      ok: [200, 'Users', object({ count: integer(), users: { type: 'array', items: ref('User') }, pagination: { type: 'object' } })],
+      errors: [503]
+    })
+  },
+  '/api/auth/users/{id}': {
+    get: operation({
+      tag: 'User administration',
+      summary: 'One user with their permissions and API tokens',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('id', 'User id')],
+      ok: [200, 'The user', object({ user: ref('User'), permissions: { type: 'array', items: string() }, apiTokens: { type: 'array', items: ref('ApiToken') } })],
+      errors: [404, 503]
+    }),
+    delete: operation({
+      tag: 'User administration',
+      summary: 'Delete a user; their movies are reassigned or anonymized',
+      auth: true,
+      permission: 'users:manage',
+      params: [
+        pathParam('id', 'User id'),
+        queryParam('movies', 'What happens to their movies', string({ enum: ['anonymize', 'reassign'] })),
+        queryParam('reassignTo', 'User id to give the movies to (movies=reassign)')
+      ],
+      errors: [404, 503]
+    })
+  },
+  '/api/auth/users/{id}/role': {
+    put: operation({
+      tag: 'User administration',
+      summary: 'Change a user\'s role',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('id', 'User id')],
+      body: object({ role: string({ enum: Object.keys(ROLES) }) }, ['role']),
+      errors: [404, 503]
+    })
+  },
+  '/api/auth/users/{id}/disable': {
+    post: operation({
+      tag: 'User administration',
+      summary: 'Disable an account and end its sessions',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('id', 'User id')],
+      body: object({ reason: string({ maxLength: 500 }) }),
+      bodyRequired: false,
+      errors: [404, 503]
+    })
+  },
+  '/api/auth/users/{id}/enable': {
+    post: operation({
+      tag: 'User administration',
+      summary: 'Enable a disabled account',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('id', 'User id')],
+      errors: [404, 503]
+    })
+  },
+  '/api/auth/users/{id}/password-reset': {
+    post: operation({
+      tag: 'User administration',
+      summary: 'Require a new password and mail a reset link',
+      auth: true,
+      permission: 'users:manage',
+      params: [pathParam('id', 'User id')],
+      errors: [404, 503]
+    })
+  },
+
+  // ----- Contact inbox -----
+  '/api/contact/form-token': {
+    get: operation({
+      tag: 'Contact',
+      summary: 'Signed load time for the contact form',
+      ok: [200, 'Form token', object({ token: string() })]
+    })
+  },
+  '/api/messages': {
+    get: operation({
+      tag: 'Contact',
+      summary: 'Contact messages in a folder, newest first',
+      auth: true,
+      permission: 'messages:read',
+      params: [
+        queryParam('folder', 'Folder (default inbox)', string({ enum: MESSAGE_FOLDERS })),
+        queryParam('status', 'Status', string({ enum: MESSAGE_STATUSES })),
+        queryParam('q', 'Name, email or text contains'),
+        ...PAGINATION_QUERY
+      ],
+      ok: [200, 'Messages', object({
+        folder: string(),
+        count: integer(),
+        counts: { type: 'object' },
+        folders: { type: 'object' },
+        messages: { type: 'array', items: ref('ContactMessage') },
+        pagination: ref('Pagination')
+      })]
+    })
+  },
+  '/api/messages/{id}': {
+    get: operation({
+      tag: 'Contact',
+      summary: 'One message with its notes and replies',
+      auth: true,
+      permission: 'messages:read',
+      params: [pathParam('id', 'Message id')],
+      ok: [200, 'The message', ref('ContactMessage')],
+      errors: [404]
+    }),
+    delete: operation({
+      tag: 'Contact',
+      summary: 'Delete a message',
+      auth: true,
+      permission: 'messages:manage',
+      params: [pathParam('id', 'Message id')],
+      errors: [404]
+    })
+  },
+  '/api/messages/{id}/status': {
+    put: operation({
+      tag: 'Contact',
+      summary: 'Set a message\'s status',
+      auth: true,
+      permission: 'messages:manage',
+      params: [pathParam('id', 'Message id')],
+      body: object({ status: string({ enum: MESSAGE_STATUSES }) }, ['status']),
+      errors: [404]
+    })
+  },
+  '/api/messages/{id}/folder': {
+    put: operation({
+      tag: 'Contact',
+      summary: 'Move a message to the inbox or the spam folder',
+      auth: true,
+      permission: 'messages:manage',
+      params: [pathParam('id', 'Message id')],
+      body: object({ folder: string({ enum: MESSAGE_FOLDERS }) }, ['folder']),
+      errors: [404]
+    })
+  },
+  '/api/messages/{id}/notes': {
+    post: operation({
+      tag: 'Contact',
+      summary: 'Add an internal note',
+      auth: true,
+      permission: 'messages:manage',
+      params: [pathParam('id', 'Message id')],
+      body: object({ text: string({ minLength: 1, maxLength: 5000 }) }, ['text']),
+      ok: [201, 'The updated message', object({ message: string(), contactMessage: ref('ContactMessage') })],
+      errors: [404]
+    })
+  },
+  '/api/messages/{id}/reply': {
+    post: operation({
+      tag: 'Contact',
+      summary: 'Mail a reply to the author',
+      auth: true,
+      permission: 'messages:manage',
+      params: [pathParam('id', 'Message id')],
+      body: object({ text: string({ minLength: 1, maxLength: 5000 }), subject: string({ maxLength: 200 }) }, ['text']),
+      ok: [201, 'The updated message', object({ message: string(), contactMessage: ref('ContactMessage') })],
+      errors: [404]
+    })
+  },
+
+  // ----- Site -----
+  '/api/info': {
+    get: operation({
+      tag: 'Site',
+      summary: 'Project info and whether you are logged in',
+      ok: [200, 'Info', object({ project: string(), version: string(), movieCount: integer(), authenticated: boolean(), user: { type: ['object', 'null'] } })]
+    })
+  },
+  '/api/seed': {
+    get: operation({
+      tag: 'Site',
+      summary: 'Every movie in the store',
+      ok: [200, 'Movies', object({ message: string(), count: integer(), movies: { type: 'array', items: ref('Movie') } })]
+    })
+  },
+  '/api/openapi.json': {
+    get: operation({
+      tag: 'Site',
+      summary: 'This document',
+      ok: [200, 'OpenAPI 3.1 document', { type: 'object' }]
+    })
+  },
+  '/api/docs': {
+    get: operation({
+      tag: 'Site',
+      summary: 'This document as an HTML page',
+      ok: [200, 'HTML page', null]
+    })
+  }
+};
+
+/**
+ * Movie input schemas from models/movieSchema.js. The latest allowed year
+ * moves with the calendar, so they are generated for each document.
+ */
+function movieSchemas() {
+  return {
+    MovieInput: movieInputSchema(),
+    MovieUpdate: {
+      ...movieInputSchema({ partial: true }),
+      description: 'Any MovieInput fields; only those sent are changed'
+    }
+  };
+}
+
+/**
+ * The OpenAPI document (a fresh copy, so callers cannot change the shared one)
+ */
+function buildOpenApiDocument() {
+  return JSON.parse(JSON.stringify({
+    openapi: '3.1.0',
+    info: {
+      title: 'Movie Library API',
+      version: require('../package.json').version,
+      description: 'Movies, reviews, lists, accounts and the contact inbox. ' +
+        'Errors are JSON: { "error": "...", "details": [...] }.'
+    },
+    servers: [{ url: '/' }],
+    paths,
+    components: { ...components, schemas: { ...schemas, ...movieSchemas() } }
+  }));
+}
+
+let current = null;
+
+/**
+ * The document for request validation: built once and rebuilt when the
+ * year changes, so the movie year bound never goes stale
+ */
+function currentOpenApiDocument() {
+  const year = new Date().getFullYear();
+  if (!current || current.year !== year) {
+    current = { year, document: buildOpenApiDocument() };
+  }
+  return current.document;
+}
+
+module.exports = { buildOpenApiDocument, currentOpenApiDocument };
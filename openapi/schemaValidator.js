@@ -0,0 +1,164 @@
+/**
+ * Validation against the JSON Schema subset used in openapi/document.js:
+ * type (one or a list, including "null"), enum, const, string lengths,
+ * pattern and format (email, date-time), number ranges, array items and
+ * lengths, object properties, required and additionalProperties, anyOf,
+ * oneOf and $ref to #/components/schemas.
+ *
+ * Problems come back as { field, message } with field a dotted path
+ * ("genre.2"), empty for the value itself.
+ */
+
+const FORMATS = {
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  'date-time': value => !isNaN(Date.parse(value))
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describeType(type) {
+  if (type === 'null') return 'null';
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function describeTypes(types) {
+  const names = types.map(describeType);
+  return names.length === 1 ? names[0] : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+}
+
+function joinPath(base, key) {
+  return base === '' ? String(key) : `${base}.${key}`;
+}
+
+/**
+ * Resolve a local $ref ("#/components/schemas/Movie") in the document
+ */
+function resolveRef(ref, document) {
+  const target = ref.replace(/^#\//, '').split('/').reduce((node, key) => (node ? node[key] : undefined), document);
+  if (!target) throw new Error(`Unresolved schema reference: ${ref}`);
+  return target;
+}
+
+/**
+ * Validate value against schema. document resolves $refs.
+ * Returns a list of problems (empty when valid).
+ */
+function validateSchema(schema, value, document = {}, field = '') {
+  if (!schema) return [];
+  if (schema.$ref) return validateSchema(resolveRef(schema.$ref, document), value, document, field);
+
+  const problem = message => [{ field, message }];
+
+  if (schema.anyOf) {
+    const valid = schema.anyOf.some(option => validateSchema(option, value, document, field).length === 0);
+    if (!valid) return problem(schema.description ? `must be ${schema.description}` : 'does not match any allowed form');
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter(option => validateSchema(option, value, document, field).length === 0).length;
+    if (matches !== 1) return problem(schema.description ? `must be ${schema.description}` : 'must match exactly one allowed form');
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      return problem(`must be ${describeTypes(types)}`);
+    }
+  }
+
+  if ('const' in schema && value !== schema.const) {
+    return problem(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return problem(`must be one of: ${schema.enum.map(item => (item === null ? 'null' : item)).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      return problem(schema.minLength === 1 ? 'cannot be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      return problem(`cannot exceed ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      return problem(schema['x-pattern-message'] || `must match ${schema.pattern}`);
+    }
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+      return problem(`must be a valid ${schema.format}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) return problem(`must be at least ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) return problem(`cannot exceed ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      return problem(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return problem(`cannot have more than ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      return value.flatMap((item, index) => validateSchema(schema.items, item, document, joinPath(field, index)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    const problems = [];
+
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) problems.push({ field: joinPath(field, name), message: 'is required' });
+    });
+
+    Object.keys(value).forEach(name => {
+      if (value[name] === undefined) return;
+      if (properties[name]) {
+        problems.push(...validateSchema(properties[name], value[name], document, joinPath(field, name)));
+      } else if (schema.additionalProperties === false) {
+        problems.push({ field: joinPath(field, name), message: 'is not allowed' });
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validateSchema(schema.additionalProperties, value[name], document, joinPath(field, name)));
+      }
+    });
+    return problems;
+  }
+
+  return [];
+}
+
+/**
+ * Convert a query or path parameter string to the type its schema asks
+ * for ("2010" -> 2010, "true" -> true). Values that do not convert are
+ * returned as they are, so validation reports them.
+ */
+function coerceParameter(schema, value, document = {}) {
+  if (schema && schema.$ref) return coerceParameter(resolveRef(schema.$ref, document), value, document);
+  if (!schema || typeof value !== 'string') return value;
+
+  const types = [].concat(schema.type || []);
+  if ((types.includes('integer') || types.includes('number')) && value.trim() !== '' && !isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+}
+
+module.exports = {
+  validateSchema,
+  coerceParameter,
+  resolveRef
+};
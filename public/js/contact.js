@@ -3,6 +3,14 @@ document.addEventListener('DOMContentLoaded', function() {
   const sendBtn = form.querySelector('.btn-send');
   const clearBtn = form.querySelector('.btn-clear');
 
+  // The server refuses messages sent without this token or too soon after it
+  fetch('/api/contact/form-token')
+    .then(response => response.json())
+    .then(data => {
+      document.getElementById('formToken').value = data.token;
+    })
+    .catch(() => {});
+
   const fields = ['name', 'email', 'message'];
   fields.forEach(fieldName => {
     const field = document.getElementById(fieldName);
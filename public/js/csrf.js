@@ -0,0 +1,48 @@
+// Sends the session's CSRF token (from the movielib_csrf cookie) with every
+// state-changing request: as the X-CSRF-Token header on same-origin fetch()
+// calls, and as a hidden _csrf field in POST forms. Load before other scripts.
+(function() {
+  const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+  function csrfToken() {
+    const match = document.cookie.match(/(?:^|;\s*)movielib_csrf=([^;]+)/);
+    return match ? match[1] : null;
+  }
+
+  const originalFetch = window.fetch;
+  window.fetch = function(input, init) {
+    init = init || {};
+    const request = input instanceof Request ? input : null;
+    const method = (init.method || (request ? request.method : 'GET')).toUpperCase();
+    const url = new URL(request ? request.url : String(input), window.location.href);
+    const token = csrfToken();
+
+    if (token && !SAFE_METHODS.includes(method) && url.origin === window.location.origin) {
+      const headers = new Headers(init.headers || (request ? request.headers : undefined));
+      if (!headers.has('X-CSRF-Token')) headers.set('X-CSRF-Token', token);
+      init = Object.assign({}, init, { headers: headers });
+    }
+    return originalFetch.call(this, input, init);
+  };
+
+  // Filled in on load (form.submit() skips submit events) and refreshed on submit
+  function addTokenField(form) {
+    if ((form.getAttribute('method') || 'GET').toUpperCase() !== 'POST') return;
+    let field = form.querySelector('input[name="_csrf"]');
+    if (!field) {
+      field = document.createElement('input');
+      field.type = 'hidden';
+      field.name = '_csrf';
+      form.appendChild(field);
+    }
+    field.value = csrfToken() || '';
+  }
+
+  document.addEventListener('DOMContentLoaded', function() {
+    document.querySelectorAll('form').forEach(addTokenField);
+  });
+
+  document.addEventListener('submit', function(e) {
+    addTokenField(e.target);
+  }, true);
+})();
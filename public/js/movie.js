@@ -1,18 +1,97 @@
 document.addEventListener('DOMContentLoaded', function() {
-  document.querySelectorAll('.btn-favorite').forEach(button => {
-    button.addEventListener('click', function() {
-      const movieName = this.dataset.movie;
+  // Movie ids saved on the server, per list
+  const saved = {
+    favorites: new Set(),
+    watchlist: new Set()
+  };
+
+  const buttonLists = {
+    'btn-favorite': {
+      list: 'favorites',
+      savedClass: 'favorited',
+      on: '<i class="fas fa-heart"></i> In Favorites',
+      off: '<i class="far fa-heart"></i> Add to Favorites'
+    },
+    'btn-watchlist': {
+      list: 'watchlist',
+      savedClass: 'watchlisted',
+      on: '<i class="fas fa-bookmark"></i> Want to Watch',
+      off: '<i class="far fa-bookmark"></i> Watch Later'
+    }
+  };
+
+  function configFor(button) {
+    const className = Object.keys(buttonLists).find(name => button.classList.contains(name));
+    return className ? buttonLists[className] : null;
+  }
+
+  function renderButton(button) {
+    const config = configFor(button);
+    const movieId = button.dataset.movieId;
+    if (!config || !movieId) return;
+
+    const isSaved = saved[config.list].has(movieId);
+    button.classList.toggle(config.savedClass, isSaved);
+    button.innerHTML = isSaved ? config.on : config.off;
+  }
+
+  function refreshListButtons() {
+    document.querySelectorAll('.btn-favorite, .btn-watchlist').forEach(renderButton);
+  }
+
+  async function loadSavedState() {
+    await Promise.all(Object.keys(saved).map(async list => {
+      try {
+        const response = await fetch(`/api/me/${list}`);
+        if (!response.ok) return;
+        const data = await response.json();
+        saved[list] = new Set(data.ids || []);
+      } catch (error) {
+        console.error(`Failed to load ${list}:`, error);
+      }
+    }));
+    refreshListButtons();
+  }
+
+  document.addEventListener('click', async function(e) {
+    const button = e.target.closest('.btn-favorite, .btn-watchlist');
+    if (!button) return;
 
-      if (this.classList.contains('favorited')) {
-        this.classList.remove('favorited');
-        this.innerHTML = '<i class="far fa-heart"></i> Add to Favorites';
-        alert(`Removed "${movieName}" from favorites`);
+    const config = configFor(button);
+    const movieId = button.dataset.movieId;
+    const movieName = button.dataset.movie || 'this movie';
+    if (!config || !movieId) return;
+
+    const isSaved = saved[config.list].has(movieId);
+    button.disabled = true;
+
+    try {
+      const response = await fetch(`/api/me/${config.list}/${encodeURIComponent(movieId)}`, {
+        method: isSaved ? 'DELETE' : 'PUT'
+      });
+
+      if (response.status === 401) {
+        alert('Please log in to save movies.');
+        return;
+      }
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        alert(error.error || `Could not update ${config.list}`);
+        return;
+      }
+
+      if (isSaved) {
+        saved[config.list].delete(movieId);
       } else {
-        this.classList.add('favorited');
-        this.innerHTML = '<i class="fas fa-heart"></i> In Favorites';
-        alert(`Added "${movieName}" to favorites!`);
+        saved[config.list].add(movieId);
       }
-    });
+      refreshListButtons();
+      console.log(`${isSaved ? 'Removed' : 'Added'} "${movieName}" ${isSaved ? 'from' : 'to'} ${config.list}`);
+    } catch (error) {
+      alert('Network error occurred');
+    } finally {
+      button.disabled = false;
+    }
   });
 
   document.querySelectorAll('.btn-info').forEach(button => {
@@ -21,4 +100,10 @@ document.addEventListener('DOMContentLoaded', function() {
       alert(`Movie information for "${movieName}" will be available in future versions.`);
     });
   });
-});
\ No newline at end of file
+
+  // Pages that render movie cards dynamically call this after rendering
+  window.refreshListButtons = refreshListButtons;
+  window.loadSavedLists = loadSavedState;
+
+  loadSavedState();
+});
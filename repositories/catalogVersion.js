@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+
+/**
+ * Catalog version: a counter that moves on every write to the movie
+ * repository, so GET responses can be revalidated (ETag, Last-Modified)
+ * without reading or serializing the catalog.
+ *
+ * The counter lives in this process; the random prefix keeps ETags from
+ * one run from matching the next. Changes made outside the server (another
+ * server on the same MongoDB, npm run catalog) are not seen.
+ */
+
+const instance = crypto.randomBytes(6).toString('hex');
+
+let version = 0;
+// Whole seconds, as in the Last-Modified header
+let modifiedAt = Math.floor(Date.now() / 1000) * 1000;
+
+// Open batches, and whether a write happened inside them
+let batchDepth = 0;
+let batchChanged = false;
+
+/**
+ * Record a catalog change. Last-Modified only has second precision, so
+ * each change moves it at least a second past the one before; otherwise
+ * two changes in the same second would look like one to If-Modified-Since.
+ * Bursts of changes can push it ahead of the clock for a while.
+ */
+function bumpCatalogVersion() {
+  version++;
+  modifiedAt = Math.max(modifiedAt + 1000, Date.now());
+}
+
+/**
+ * { etag, lastModified, ahead } for the current catalog. lastModified is
+ * never later than now, as HTTP requires; ahead says it was held back, so
+ * it may not yet differ from the value sent before the latest change.
+ */
+function catalogVersion() {
+  const now = Date.now();
+  return {
+    etag: `"${instance}-${version}"`,
+    lastModified: new Date(Math.min(modifiedAt, now)),
+    ahead: modifiedAt > now
+  };
+}
+
+/**
+ * Run fn (async) as one catalog change: writes inside it move the version
+ * once, when it finishes, instead of once per movie (e.g. an import).
+ * Reads meanwhile keep the old validators. Returns fn's result.
+ */
+async function batchCatalogChanges(fn) {
+  batchDepth++;
+  try {
+    return await fn();
+  } finally {
+    batchDepth--;
+    if (batchDepth === 0 && batchChanged) {
+      batchChanged = false;
+      bumpCatalogVersion();
+    }
+  }
+}
+
+/**
+ * Make a repository's writes (create, update, delete) bump the catalog
+ * version once they succeed. Returns the same repository.
+ */
+function trackCatalogChanges(repository) {
+  ['create', 'update', 'delete'].forEach(method => {
+    const write = repository[method].bind(repository);
+    repository[method] = async (...args) => {
+      const result = await write(...args);
+      if (batchDepth > 0) {
+        batchChanged = true;
+      } else {
+        bumpCatalogVersion();
+      }
+      return result;
+    };
+  });
+  return repository;
+}
+
+module.exports = {
+  catalogVersion,
+  bumpCatalogVersion,
+  batchCatalogChanges,
+  trackCatalogChanges
+};
@@ -0,0 +1,226 @@
+const path = require('path');
+const crypto = require('crypto');
+const { JsonFileStore } = require('../database/jsonFileStore');
+const { paginateArray } = require('./pagination');
+
+/**
+ * Contact form messages (data/messages.json) and the admin inbox.
+ *
+ * Each message has a status (new, read, replied, archived), internal notes
+ * and the replies sent to the author. Messages that look like spam (see
+ * security/contactSpam.js) go to the spam folder instead of the inbox.
+ * Messages older than the retention window are deleted automatically.
+ */
+
+const MESSAGE_STATUSES = ['new', 'read', 'replied', 'archived'];
+const MESSAGE_FOLDERS = ['inbox', 'spam'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    store = new JsonFileStore(path.join(__dirname, '..', 'data', 'messages.json'), { idField: 'id' });
+  }
+  return store;
+}
+
+function retentionDays() {
+  const days = parseFloat(process.env.MESSAGE_RETENTION_DAYS);
+  return isNaN(days) ? 365 : days;
+}
+
+function newId() {
+  return crypto.randomUUID();
+}
+
+// Messages from before folders existed are in the inbox
+function folderOf(message) {
+  return message.folder || 'inbox';
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Load the messages file. Messages saved before the inbox existed had
+ * numeric ids (messages.length + 1) and no status; they keep their number
+ * as a string id and start out as "new".
+ */
+async function loadMessages() {
+  const messages = getStore();
+  messages.load();
+
+  const legacy = messages.all().filter(message => typeof message.id !== 'string' || !message.status);
+  for (const message of legacy) {
+    // Same id (ids compare as strings), so this replaces the record in place
+    await messages.insert({
+      notes: [],
+      replies: [],
+      ...message,
+      id: String(message.id),
+      status: message.status || 'new'
+    });
+  }
+  if (legacy.length > 0) console.log(`Upgraded ${legacy.length} contact message(s) for the inbox`);
+}
+
+function flushMessages() {
+  return store ? store.flush() : Promise.resolve();
+}
+
+/**
+ * Save a contact form submission. spam: { score, reasons } from the
+ * content check, for messages that go to the spam folder.
+ */
+function createMessage({ name, email, message, spam = null }) {
+  return getStore().insert({
+    id: newId(),
+    name,
+    email,
+    message,
+    timestamp: new Date().toISOString(),
+    status: 'new',
+    folder: spam ? 'spam' : 'inbox',
+    spam,
+    notes: [],
+    replies: []
+  });
+}
+
+/**
+ * Folder listing, newest first.
+ * options: { folder (default inbox), status, q (name, email or text contains), limit, cursor }
+ * Returns a page as from paginate(), plus counts per status in the folder
+ * and the number of messages in each folder.
+ */
+async function listMessages(options = {}) {
+  const all = getStore().all();
+  const folder = options.folder || 'inbox';
+  let messages = all.filter(message => folderOf(message) === folder);
+
+  const folders = {};
+  MESSAGE_FOLDERS.forEach(name => { folders[name] = 0; });
+  all.forEach(message => { folders[folderOf(message)] = (folders[folderOf(message)] || 0) + 1; });
+
+  const counts = {};
+  MESSAGE_STATUSES.forEach(status => { counts[status] = 0; });
+  messages.forEach(message => { counts[message.status] = (counts[message.status] || 0) + 1; });
+
+  if (options.status) {
+    messages = messages.filter(message => message.status === options.status);
+  }
+  if (options.q) {
+    const pattern = new RegExp(escapeRegex(options.q), 'i');
+    messages = messages.filter(message =>
+      [message.name, message.email, message.message].some(field => pattern.test(field || ''))
+    );
+  }
+
+  const page = await paginateArray(messages, {
+    sort: { timestamp: -1 },
+    idField: 'id',
+    limit: options.limit || 20,
+    cursor: options.cursor
+  });
+  return { ...page, counts, folders };
+}
+
+function getMessage(id) {
+  return getStore().findById(id);
+}
+
+/**
+ * Change a message inside the store's write queue, so concurrent notes or
+ * replies are never lost. buildChanges gets the current message.
+ * Resolves with the updated message, or null if it does not exist.
+ */
+function updateMessage(id, buildChanges) {
+  const messages = getStore();
+  return messages.commit(() => {
+    const current = messages.findById(id);
+    const changes = current ? buildChanges(current) : {};
+    return { op: 'update', id, changes: { ...changes, updatedAt: new Date().toISOString() } };
+  });
+}
+
+function setMessageStatus(id, status, actor) {
+  return updateMessage(id, () => ({
+    status,
+    statusChangedAt: new Date().toISOString(),
+    statusChangedBy: actor
+  }));
+}
+
+/**
+ * Move a message to the inbox (not spam after all) or to the spam folder
+ */
+function moveMessage(id, folder, actor) {
+  return updateMessage(id, () => ({
+    folder,
+    movedAt: new Date().toISOString(),
+    movedBy: actor
+  }));
+}
+
+/**
+ * Add an internal note (never sent to the author)
+ */
+function addMessageNote(id, text, actor) {
+  const note = { id: newId(), text, author: actor, createdAt: new Date().toISOString() };
+  return updateMessage(id, current => ({ notes: [...(current.notes || []), note] }));
+}
+
+/**
+ * Record a reply that has been mailed to the author; the message becomes "replied"
+ */
+function recordMessageReply(id, reply, actor) {
+  const sentAt = new Date().toISOString();
+  const entry = { id: newId(), ...reply, sentBy: actor, sentAt };
+  return updateMessage(id, current => ({
+    replies: [...(current.replies || []), entry],
+    status: 'replied',
+    statusChangedAt: sentAt,
+    statusChangedBy: actor
+  }));
+}
+
+function deleteMessage(id) {
+  return getStore().remove(id);
+}
+
+/**
+ * Delete every message received before the retention window
+ * (MESSAGE_RETENTION_DAYS, default 365; 0 keeps messages forever)
+ */
+async function purgeExpiredMessages() {
+  const days = retentionDays();
+  if (days <= 0) return [];
+
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+  const expired = getStore().all().filter(message => message.timestamp && message.timestamp < cutoff);
+
+  const purged = [];
+  for (const message of expired) {
+    if (await deleteMessage(message.id)) purged.push(message);
+  }
+  return purged;
+}
+
+module.exports = {
+  MESSAGE_STATUSES,
+  MESSAGE_FOLDERS,
+  loadMessages,
+  flushMessages,
+  createMessage,
+  listMessages,
+  getMessage,
+  setMessageStatus,
+  moveMessage,
+  addMessageNote,
+  recordMessageReply,
+  deleteMessage,
+  purgeExpiredMessages
+};
@@ -0,0 +1,85 @@
+const { JsonFileStore } = require('../database/jsonFileStore');
+const { matchesQuery, sortDocuments, projectFields, runPipeline } = require('./memoryQuery');
+
+function generateId() {
+  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
+}
+
+/**
+ * Thrown when a create would break a unique key.
+ * Uses MongoDB's duplicate key code so routes handle both backends alike.
+ */
+class DuplicateKeyError extends Error {
+  constructor(fields) {
+    super(`Duplicate key: ${fields.join(', ')}`);
+    this.name = 'DuplicateKeyError';
+    this.code = 11000;
+  }
+}
+
+/**
+ * Repository backed by a JSON file (e.g. data/movies.json).
+ * Writes are journaled and serialized by JsonFileStore.
+ *
+ * options.unique lists field groups that must be unique, e.g.
+ * [['movieId', 'userId']], checked inside the write queue.
+ */
+class FileRepository {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.unique = options.unique || [];
+    this.store = new JsonFileStore(this.filePath, { idField: '_id' }).load();
+  }
+
+  readAll() {
+    return this.store.all();
+  }
+
+  async find(query = {}, options = {}) {
+    let records = this.readAll().filter(record => matchesQuery(record, query));
+
+    if (options.sort) records = sortDocuments(records, options.sort);
+    if (options.skip) records = records.slice(options.skip);
+    if (options.limit) records = records.slice(0, options.limit);
+
+    return records.map(record => projectFields(record, options.fields));
+  }
+
+  async findOne(query = {}) {
+    return this.readAll().find(record => matchesQuery(record, query)) || null;
+  }
+
+  async findById(id) {
+    return this.store.findById(id);
+  }
+
+  async create(data) {
+    return this.store.insert(records => {
+      this.unique.forEach(fields => {
+        const taken = records.some(record => fields.every(field => String(record[field]) === String(data[field])));
+        if (taken) throw new DuplicateKeyError(fields);
+      });
+      return { _id: generateId(), ...data };
+    });
+  }
+
+  async update(id, changes) {
+    const updateData = { ...changes };
+    delete updateData._id;
+    return this.store.update(id, updateData);
+  }
+
+  async delete(id) {
+    return this.store.remove(id);
+  }
+
+  async count(query = {}) {
+    return this.readAll().filter(record => matchesQuery(record, query)).length;
+  }
+
+  async aggregate(pipeline = []) {
+    return runPipeline(this.readAll(), pipeline);
+  }
+}
+
+module.exports = { FileRepository, DuplicateKeyError };
@@ -0,0 +1,73 @@
+const path = require('path');
+const { FileRepository } = require('./fileRepository');
+const MongoRepository = require('./mongoRepository');
+const { trackCatalogChanges } = require('./catalogVersion');
+
+const repositories = {};
+
+/**
+ * Select the storage backend for catalog data (movies, reviews and
+ * movie history).
+ * MOVIE_STORE=mongodb uses MongoDB collections when the database is
+ * connected; anything else (the default) uses JSON files in data/.
+ */
+function initializeRepositories(options = {}) {
+  const store = (options.store || process.env.MOVIE_STORE || 'file').toLowerCase();
+  const dataDir = options.dataDir || path.join(__dirname, '..', 'data');
+
+  if ((store === 'mongodb' || store === 'mongo') && !options.db) {
+    console.log('MOVIE_STORE is mongodb but MongoDB is unavailable - using JSON file store');
+  }
+
+  if ((store === 'mongodb' || store === 'mongo') && options.db) {
+    repositories.movies = new MongoRepository(options.db.collection('movies'));
+    repositories.reviews = new MongoRepository(options.db.collection('reviews'));
+    repositories.history = new MongoRepository(options.db.collection('movie_history'));
+
+    options.db.collection('reviews')
+      .createIndex({ movieId: 1, userId: 1 }, { unique: true })
+      .catch(error => console.error('Failed to create review index:', error.message));
+    options.db.collection('movie_history')
+      .createIndex({ movieId: 1, version: 1 }, { unique: true })
+      .catch(error => console.error('Failed to create movie history index:', error.message));
+  } else {
+    repositories.movies = new FileRepository({ filePath: path.join(dataDir, 'movies.json') });
+    repositories.reviews = new FileRepository({
+      filePath: path.join(dataDir, 'reviews.json'),
+      unique: [['movieId', 'userId']]
+    });
+    repositories.history = new FileRepository({
+      filePath: path.join(dataDir, 'movie-history.json'),
+      unique: [['movieId', 'version']]
+    });
+  }
+
+  // Movie writes move the catalog version used for HTTP caching
+  trackCatalogChanges(repositories.movies);
+
+  return repositories;
+}
+
+function getRepository(name) {
+  if (!repositories[name]) throw new Error(`Repository "${name}" not initialized`);
+  return repositories[name];
+}
+
+function getMovieRepository() {
+  return getRepository('movies');
+}
+
+function getReviewRepository() {
+  return getRepository('reviews');
+}
+
+function getHistoryRepository() {
+  return getRepository('history');
+}
+
+module.exports = {
+  initializeRepositories,
+  getMovieRepository,
+  getReviewRepository,
+  getHistoryRepository
+};
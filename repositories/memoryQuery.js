@@ -0,0 +1,196 @@
+/**
+ * In-memory evaluation of the MongoDB query subset used by the movie
+ * repository, so the file-backed adapter filters, sorts and aggregates
+ * exactly like the MongoDB adapter does.
+ */
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+/**
+ * Compare like MongoDB does: null and missing values are equal and sort
+ * first, strings compare by code point (not locale)
+ */
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if ((a === undefined || a === null) && (b === undefined || b === null)) return 0;
+  if (a === undefined || a === null) return -1;
+  if (b === undefined || b === null) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+function matchesOperator(value, operator, operand, condition) {
+  switch (operator) {
+    case '$eq': return compareValues(value, operand) === 0;
+    case '$ne': return compareValues(value, operand) !== 0;
+    case '$gt': return value != null && compareValues(value, operand) > 0;
+    case '$gte': return value != null && compareValues(value, operand) >= 0;
+    case '$lt': return value != null && compareValues(value, operand) < 0;
+    case '$lte': return value != null && compareValues(value, operand) <= 0;
+    case '$in': return operand.some(item => compareValues(value, item) === 0);
+    case '$nin': return !operand.some(item => compareValues(value, item) === 0);
+    case '$exists': return (value !== undefined) === Boolean(operand);
+    case '$regex': {
+      const regex = operand instanceof RegExp ? operand : new RegExp(operand, condition.$options || '');
+      return typeof value === 'string' && regex.test(value);
+    }
+    case '$options': return true;
+    default:
+      throw new Error(`Unsupported query operator: ${operator}`);
+  }
+}
+
+function matchesCondition(value, condition) {
+  const isOperatorObject = condition && typeof condition === 'object' &&
+    !Array.isArray(condition) && !(condition instanceof RegExp) &&
+    Object.keys(condition).every(key => key.startsWith('$'));
+
+  // Like MongoDB, a condition on an array field matches if any element matches
+  if (Array.isArray(value) && !(isOperatorObject && ('$exists' in condition || '$ne' in condition || '$nin' in condition))) {
+    if (value.some(item => matchesCondition(item, condition))) return true;
+  }
+
+  if (condition instanceof RegExp) {
+    return typeof value === 'string' && condition.test(value);
+  }
+
+  if (isOperatorObject) {
+    return Object.keys(condition).every(op => {
+      if (op === '$ne' || op === '$nin') {
+        const values = Array.isArray(value) ? value : [value];
+        return values.every(item => matchesOperator(item, op, condition[op], condition));
+      }
+      return matchesOperator(value, op, condition[op], condition);
+    });
+  }
+
+  return compareValues(value, condition) === 0;
+}
+
+/**
+ * Check whether a document matches a MongoDB-style query
+ */
+function matchesQuery(doc, query = {}) {
+  return Object.keys(query).every(key => {
+    if (key === '$and') return query.$and.every(sub => matchesQuery(doc, sub));
+    if (key === '$or') return query.$or.some(sub => matchesQuery(doc, sub));
+    return matchesCondition(getPath(doc, key), query[key]);
+  });
+}
+
+/**
+ * Sort documents by a MongoDB-style sort spec ({ field: 1 | -1 })
+ */
+function sortDocuments(docs, sort = {}) {
+  const keys = Object.keys(sort);
+  if (keys.length === 0) return docs;
+
+  return docs.sort((a, b) => {
+    for (const key of keys) {
+      const result = compareValues(getPath(a, key), getPath(b, key));
+      if (result !== 0) return result * (sort[key] < 0 ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only the requested fields (plus _id) of a document
+ */
+function projectFields(doc, fields) {
+  if (!fields || fields.length === 0) return doc;
+
+  const projected = {};
+  fields.forEach(field => {
+    if (Object.prototype.hasOwnProperty.call(doc, field)) {
+      projected[field] = doc[field];
+    }
+  });
+  if (projected._id === undefined && doc._id !== undefined) projected._id = doc._id;
+  return projected;
+}
+
+function evaluateExpression(doc, expression) {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    return getPath(doc, expression.slice(1));
+  }
+  return expression;
+}
+
+function groupDocuments(docs, spec) {
+  const groups = new Map();
+
+  docs.forEach(doc => {
+    const id = evaluateExpression(doc, spec._id);
+    const key = JSON.stringify(id === undefined ? null : id);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: id === undefined ? null : id, docs: [] });
+    }
+    groups.get(key).docs.push(doc);
+  });
+
+  return [...groups.values()].map(group => {
+    const result = { _id: group._id };
+    Object.keys(spec).filter(field => field !== '_id').forEach(field => {
+      const [accumulator, expression] = Object.entries(spec[field])[0];
+      const values = group.docs.map(doc => evaluateExpression(doc, expression));
+      const numbers = values.filter(value => typeof value === 'number');
+
+      switch (accumulator) {
+        case '$sum':
+          result[field] = numbers.reduce((sum, value) => sum + value, 0);
+          break;
+        case '$avg':
+          result[field] = numbers.length ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+          break;
+        case '$min':
+          result[field] = numbers.length ? Math.min(...numbers) : null;
+          break;
+        case '$max':
+          result[field] = numbers.length ? Math.max(...numbers) : null;
+          break;
+        default:
+          throw new Error(`Unsupported group accumulator: ${accumulator}`);
+      }
+    });
+    return result;
+  });
+}
+
+/**
+ * Run the aggregation stages the app relies on:
+ * $match, $unwind, $group, $sort, $skip, $limit and $project
+ */
+function runPipeline(docs, pipeline = []) {
+  return pipeline.reduce((current, stage) => {
+    const [name, spec] = Object.entries(stage)[0];
+
+    switch (name) {
+      case '$match':
+        return current.filter(doc => matchesQuery(doc, spec));
+      case '$unwind': {
+        const field = (typeof spec === 'string' ? spec : spec.path).slice(1);
+        return current.flatMap(doc => {
+          const value = getPath(doc, field);
+          if (!Array.isArray(value)) return value === undefined ? [] : [doc];
+          return value.map(item => ({ ...doc, [field]: item }));
+        });
+      }
+      case '$group':
+        return groupDocuments(current, spec);
+      case '$sort':
+        return sortDocuments([...current], spec);
+      case '$skip':
+        return current.slice(spec);
+      case '$limit':
+        return current.slice(0, spec);
+      case '$project':
+        return current.map(doc => projectFields(doc, Object.keys(spec).filter(key => spec[key])));
+      default:
+        throw new Error(`Unsupported aggregation stage: ${name}`);
+    }
+  }, docs);
+}
+
+module.exports = { matchesQuery, sortDocuments, projectFields, runPipeline };
@@ -0,0 +1,136 @@
+const { ObjectId } = require('mongodb');
+
+/**
+ * Convert a stored document into the shape the API returns
+ * (string ids, same as the file-backed repository)
+ */
+function toRecord(doc) {
+  if (!doc) return null;
+  const record = {};
+  Object.keys(doc).forEach(key => {
+    record[key] = doc[key] instanceof ObjectId ? String(doc[key]) : doc[key];
+  });
+  return record;
+}
+
+/**
+ * All stored forms of an id: the ObjectId (if the string is one) and the
+ * legacy string id
+ */
+function idValues(id) {
+  const value = String(id);
+  if (ObjectId.isValid(value) && String(new ObjectId(value)) === value) {
+    return [new ObjectId(value), value];
+  }
+  return [value];
+}
+
+/**
+ * Build an _id query that accepts both ObjectIds and legacy string ids
+ */
+function idQuery(id) {
+  return { _id: { $in: idValues(id) } };
+}
+
+function toObjectId(value) {
+  const ids = idValues(value);
+  return ids.length > 1 ? ids[0] : value;
+}
+
+/**
+ * Let callers query _id with plain strings (as returned by the API),
+ * including inside $and/$or (used by cursor pagination)
+ */
+function normalizeQuery(query) {
+  if (!query) return query;
+
+  const normalized = { ...query };
+  ['$and', '$or'].forEach(op => {
+    if (Array.isArray(normalized[op])) normalized[op] = normalized[op].map(normalizeQuery);
+  });
+  if (normalized._id === undefined) return normalized;
+
+  const condition = normalized._id;
+  if (condition && typeof condition === 'object' && !(condition instanceof ObjectId)) {
+    const idCondition = { ...condition };
+    ['$in', '$nin'].forEach(op => {
+      if (idCondition[op]) idCondition[op] = idCondition[op].flatMap(idValues);
+    });
+    ['$gt', '$gte', '$lt', '$lte'].forEach(op => {
+      if (idCondition[op] !== undefined) idCondition[op] = toObjectId(idCondition[op]);
+    });
+    if (idCondition.$ne !== undefined) {
+      idCondition.$nin = [...(idCondition.$nin || []), ...idValues(idCondition.$ne)];
+      delete idCondition.$ne;
+    }
+    normalized._id = idCondition;
+  } else {
+    normalized._id = { $in: idValues(condition) };
+  }
+  return normalized;
+}
+
+/**
+ * Repository backed by a MongoDB collection
+ */
+class MongoRepository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  async find(query = {}, options = {}) {
+    let cursor = this.collection.find(normalizeQuery(query));
+
+    if (options.fields && options.fields.length > 0) {
+      const projection = {};
+      options.fields.forEach(field => { projection[field] = 1; });
+      cursor = cursor.project(projection);
+    }
+    if (options.sort) cursor = cursor.sort(options.sort);
+    if (options.skip) cursor = cursor.skip(options.skip);
+    if (options.limit) cursor = cursor.limit(options.limit);
+
+    const docs = await cursor.toArray();
+    return docs.map(toRecord);
+  }
+
+  async findOne(query = {}) {
+    return toRecord(await this.collection.findOne(normalizeQuery(query)));
+  }
+
+  async findById(id) {
+    return toRecord(await this.collection.findOne(idQuery(id)));
+  }
+
+  async create(data) {
+    const record = { ...data };
+    const result = await this.collection.insertOne(record);
+    return toRecord({ ...record, _id: result.insertedId });
+  }
+
+  async update(id, changes) {
+    const updateData = { ...changes };
+    delete updateData._id;
+
+    const result = await this.collection.findOneAndUpdate(
+      idQuery(id),
+      { $set: updateData },
+      { returnDocument: 'after' }
+    );
+    return toRecord(result);
+  }
+
+  async delete(id) {
+    return toRecord(await this.collection.findOneAndDelete(idQuery(id)));
+  }
+
+  async count(query = {}) {
+    return this.collection.countDocuments(normalizeQuery(query));
+  }
+
+  async aggregate(pipeline = []) {
+    return this.collection.aggregate(pipeline).toArray();
+  }
+}
+
+module.exports = MongoRepository;
@@ -0,0 +1,183 @@
+const { getMovieRepository, getHistoryRepository } = require('./index');
+const { posterExists } = require('../database/posterStore');
+
+/**
+ * Versioned change history for movies.
+ *
+ * Every create, update, delete and revert adds an entry:
+ *   { movieId, version, action, changes: { field: { from, to } },
+ *     snapshot, actor: { userId, username }, at }
+ * snapshot is the whole movie after the change (before it, for a delete),
+ * so any version can be restored. Movies that existed before history was
+ * recorded get a "baseline" entry holding their state before the first change.
+ */
+
+// Bookkeeping and computed fields: not diffed, and left alone by revert
+const UNTRACKED_FIELDS = ['_id', 'updatedAt', 'updatedBy', 'communityRating', 'communityVotes'];
+
+class RevertError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RevertError';
+    this.status = 400;
+  }
+}
+
+function trackedFields(movie) {
+  const fields = {};
+  Object.keys(movie || {}).forEach(field => {
+    if (!UNTRACKED_FIELDS.includes(field)) fields[field] = movie[field];
+  });
+  return fields;
+}
+
+function normalizeValue(value) {
+  return value === undefined ? null : value;
+}
+
+/**
+ * Field-level diff between two versions of a movie
+ */
+function diffMovies(before, after) {
+  const from = trackedFields(before);
+  const to = trackedFields(after);
+  const changes = {};
+
+  new Set([...Object.keys(from), ...Object.keys(to)]).forEach(field => {
+    const oldValue = normalizeValue(from[field]);
+    const newValue = normalizeValue(to[field]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[field] = { from: oldValue, to: newValue };
+    }
+  });
+  return changes;
+}
+
+function actorInfo(actor) {
+  return {
+    userId: actor && actor.userId ? String(actor.userId) : null,
+    username: actor && actor.username ? actor.username : null
+  };
+}
+
+async function latestEntry(movieId) {
+  const [latest] = await getHistoryRepository().find(
+    { movieId: String(movieId) },
+    { sort: { version: -1 }, limit: 1 }
+  );
+  return latest || null;
+}
+
+/**
+ * Append an entry with the next version number. Two writers racing for the
+ * same number are caught by the unique (movieId, version) key and retried.
+ */
+async function appendEntry(movieId, buildEntry) {
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const latest = await latestEntry(movieId);
+    try {
+      return await getHistoryRepository().create({
+        movieId: String(movieId),
+        version: latest ? latest.version + 1 : 1,
+        ...buildEntry(latest)
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error(`Could not record history for movie ${movieId}`);
+}
+
+/**
+ * Record a change to a movie. action is create, update, delete or revert;
+ * pass the movie before and/or after the change and who made it.
+ *
+ * The movie change has already happened when this runs, so failures are
+ * logged rather than thrown. Updates that change nothing tracked are skipped.
+ */
+async function recordMovieChange(action, { before = null, after = null, actor = null, revertedTo } = {}) {
+  try {
+    const movie = after || before;
+    const changes = diffMovies(before, after);
+    if ((action === 'update' || action === 'revert') && Object.keys(changes).length === 0) return null;
+
+    const at = new Date().toISOString();
+    const latest = await latestEntry(movie._id);
+
+    if (!latest && before && action !== 'create') {
+      await appendEntry(movie._id, () => ({
+        action: 'baseline',
+        changes: {},
+        snapshot: before,
+        actor: actorInfo(null),
+        at: before.updatedAt || before.createdAt || at
+      }));
+    }
+
+    return await appendEntry(movie._id, () => ({
+      action,
+      changes,
+      snapshot: movie,
+      actor: actorInfo(actor),
+      at,
+      ...(revertedTo !== undefined ? { revertedTo } : {})
+    }));
+  } catch (error) {
+    console.error(`Error recording movie history (${action}):`, error);
+    return null;
+  }
+}
+
+/**
+ * Restore a movie to the state saved in one of its history versions.
+ * Brings the movie back if it has been deleted. Returns
+ * { before, movie } or null when the version does not exist.
+ */
+async function revertMovie(movieId, version, actor) {
+  const entry = await getHistoryRepository().findOne({ movieId: String(movieId), version });
+  if (!entry) return null;
+  if (entry.action === 'delete') {
+    throw new RevertError(`Version ${version} is a deletion - revert to an earlier version`);
+  }
+
+  const movies = getMovieRepository();
+  const current = await movies.findById(movieId);
+  const target = trackedFields(entry.snapshot);
+
+  // Uploaded posters are deleted once unused, so an old one may be gone
+  if (target.poster && !posterExists(target.poster)) target.poster = null;
+
+  const now = new Date().toISOString();
+  const userId = actor && actor.userId ? actor.userId : null;
+  let movie;
+
+  if (current) {
+    const changes = {};
+    Object.keys(trackedFields(current)).forEach(field => {
+      if (!(field in target)) changes[field] = null;
+    });
+    movie = await movies.update(current._id, { ...changes, ...target, updatedBy: userId, updatedAt: now });
+  } else {
+    // Keep the community score from when the movie was deleted
+    const latest = await latestEntry(movieId);
+    const lastKnown = latest ? latest.snapshot : entry.snapshot;
+    movie = await movies.create({
+      _id: String(movieId),
+      ...target,
+      communityRating: normalizeValue(lastKnown.communityRating),
+      communityVotes: lastKnown.communityVotes || 0,
+      updatedBy: userId,
+      updatedAt: now
+    });
+  }
+
+  await recordMovieChange('revert', { before: current, after: movie, actor, revertedTo: version });
+  return { before: current, movie };
+}
+
+module.exports = {
+  RevertError,
+  diffMovies,
+  recordMovieChange,
+  revertMovie
+};
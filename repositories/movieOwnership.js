@@ -0,0 +1,46 @@
+const { getMovieRepository, getReviewRepository } = require('./index');
+const { recordMovieChange } = require('./movieHistory');
+
+/**
+ * What happens to a user's catalog contributions when the account is deleted.
+ */
+
+/**
+ * Give every movie created by a user (trashed ones included) to another
+ * user, or to nobody when toUserId is null. Each change is recorded in the
+ * movie history. Returns the number of movies changed.
+ */
+async function reassignMovies(fromUserId, toUserId, actor) {
+  const movies = getMovieRepository();
+  const owned = await movies.find({ createdBy: String(fromUserId) });
+  const userId = actor && actor.userId ? actor.userId : null;
+
+  for (const before of owned) {
+    const movie = await movies.update(before._id, {
+      createdBy: toUserId ? String(toUserId) : null,
+      updatedBy: userId,
+      updatedAt: new Date().toISOString()
+    });
+    await recordMovieChange('update', { before, after: movie, actor });
+  }
+  return owned.length;
+}
+
+/**
+ * Remove the author's name from a user's reviews. The scores stay, so
+ * community ratings do not change. Returns the number of reviews changed.
+ */
+async function anonymizeReviews(userId) {
+  const reviews = getReviewRepository();
+  const written = await reviews.find({ userId: String(userId) });
+
+  for (const review of written) {
+    await reviews.update(review._id, { username: null });
+  }
+  return written.length;
+}
+
+module.exports = {
+  reassignMovies,
+  anonymizeReviews
+};
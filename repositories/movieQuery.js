@@ -0,0 +1,62 @@
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function containsText(value) {
+  return { $regex: escapeRegex(value), $options: 'i' };
+}
+
+/**
+ * Restrict a query to movies that are not in the trash.
+ * { deletedAt: null } also matches movies that never had the field.
+ */
+function activeOnly(query = {}) {
+  return { ...query, deletedAt: null };
+}
+
+/**
+ * Translate /api/movies query parameters into a repository query.
+ * The same query object is understood by every repository adapter.
+ */
+function buildMovieFilter(params = {}) {
+  const filter = {};
+
+  if (params.genre) filter.genre = containsText(params.genre);
+  if (params.director) filter.director = containsText(params.director);
+  if (params.title) filter.title = containsText(params.title);
+
+  const year = {};
+  if (params.year && !isNaN(parseInt(params.year))) year.$eq = parseInt(params.year);
+  if (params.year_min && !isNaN(parseInt(params.year_min))) year.$gte = parseInt(params.year_min);
+  if (params.year_max && !isNaN(parseInt(params.year_max))) year.$lte = parseInt(params.year_max);
+  if (Object.keys(year).length > 0) filter.year = year;
+
+  if (params.rating_min && !isNaN(parseFloat(params.rating_min))) {
+    filter.rating = { $gte: parseFloat(params.rating_min) };
+  }
+
+  return filter;
+}
+
+/**
+ * Translate sortBy/order query parameters into a sort spec
+ */
+function buildMovieSort(params = {}) {
+  if (!params.sortBy) return undefined;
+  return { [params.sortBy]: params.order === 'desc' ? -1 : 1 };
+}
+
+/**
+ * Translate the comma separated fields query parameter into a field list
+ */
+function parseFields(fields) {
+  if (!fields) return undefined;
+  return String(fields).split(',').map(field => field.trim()).filter(Boolean);
+}
+
+module.exports = {
+  activeOnly,
+  buildMovieFilter,
+  buildMovieSort,
+  parseFields
+};
@@ -0,0 +1,215 @@
+/**
+ * Relevance-ranked movie search.
+ *
+ * Queries and fields are tokenized (letters and digits of any script,
+ * lowercase, accents stripped), each query term is matched exactly, by
+ * prefix or with a small edit distance (typo tolerance), and matches are
+ * weighted by the field they hit.
+ * Ranking runs in memory so results are identical for every storage backend.
+ */
+
+const FIELD_WEIGHTS = {
+  title: 5,
+  director: 3,
+  genre: 2,
+  description: 1
+};
+
+const MATCH_QUALITY = {
+  exact: 1,
+  prefix: 0.7,
+  fuzzy: 0.5
+};
+
+// Fuzzy matching is costly per term, so long queries are cut short first
+const MAX_QUERY_LENGTH = 200;
+const MAX_QUERY_TERMS = 10;
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'the', 'of', 'in', 'on', 'to', 'for', 'with', 'is']);
+
+function normalize(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Split text into searchable tokens. Marks stay in the token so scripts
+ * that write vowels as combining signs (e.g. Devanagari) are not split.
+ */
+function tokenize(text) {
+  return normalize(text).split(/[^\p{L}\p{M}\p{N}]+/u).filter(Boolean);
+}
+
+function queryTerms(query) {
+  const tokens = tokenize(query);
+  const terms = tokens.filter(token => !STOPWORDS.has(token));
+  return [...new Set(terms.length > 0 ? terms : tokens)].slice(0, MAX_QUERY_TERMS);
+}
+
+/**
+ * Damerau-Levenshtein distance (optimal string alignment), stopping early
+ * once the distance is known to exceed max
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  const rows = [];
+  for (let i = 0; i <= a.length; i++) {
+    rows[i] = [i];
+  }
+  for (let j = 0; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    let rowMin = Infinity;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, rows[i][j]);
+    }
+    if (rowMin > max) return max + 1;
+  }
+  return rows[a.length][b.length];
+}
+
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+/**
+ * How well a query term matches a single token (0 = no match)
+ */
+function matchToken(term, token) {
+  if (term === token) return MATCH_QUALITY.exact;
+  if (term.length >= 2 && token.startsWith(term)) return MATCH_QUALITY.prefix;
+
+  const typos = allowedTypos(term);
+  if (typos > 0 && editDistance(term, token, typos) <= typos) return MATCH_QUALITY.fuzzy;
+  return 0;
+}
+
+function fieldText(movie, field) {
+  const value = movie[field];
+  return Array.isArray(value) ? value.join(', ') : (value || '');
+}
+
+/**
+ * Score one movie against the query terms.
+ * Returns { score, matched: { field: Set(tokens) } } or null for no match.
+ */
+function scoreMovie(movie, terms, phrase) {
+  const matched = {};
+  let score = 0;
+  let termsMatched = 0;
+
+  terms.forEach(term => {
+    let best = 0;
+
+    Object.keys(FIELD_WEIGHTS).forEach(field => {
+      tokenize(fieldText(movie, field)).forEach(token => {
+        const quality = matchToken(term, token);
+        if (quality === 0) return;
+
+        if (!matched[field]) matched[field] = new Set();
+        matched[field].add(token);
+        best = Math.max(best, quality * FIELD_WEIGHTS[field]);
+      });
+    });
+
+    if (best > 0) {
+      termsMatched++;
+      score += best;
+    }
+  });
+
+  if (termsMatched === 0) return null;
+
+  // Prefer movies matching every term, and exact phrases in the title
+  score *= termsMatched / terms.length;
+  if (phrase && normalize(movie.title).includes(phrase)) score += FIELD_WEIGHTS.title;
+
+  return { score: Math.round(score * 100) / 100, matched };
+}
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML-escape text and wrap matched words in <mark>.
+ * Long text is cut down to a window around the first match.
+ */
+function highlight(text, tokens, maxLength) {
+  const source = String(text || '');
+  const words = [];
+  const wordPattern = /[^\s,.;:!?()"'«»]+/g;
+  let match;
+  while ((match = wordPattern.exec(source)) !== null) {
+    const isHit = tokenize(match[0]).some(token => tokens.has(token));
+    words.push({ start: match.index, end: match.index + match[0].length, isHit });
+  }
+
+  let start = 0;
+  let end = source.length;
+  if (maxLength && source.length > maxLength) {
+    const firstHit = words.find(word => word.isHit);
+    start = firstHit ? Math.max(0, firstHit.start - Math.floor(maxLength / 3)) : 0;
+    end = Math.min(source.length, start + maxLength);
+  }
+
+  let html = start > 0 ? '…' : '';
+  let cursor = start;
+  words.filter(word => word.isHit && word.start >= start && word.end <= end).forEach(word => {
+    html += escapeHtml(source.slice(cursor, word.start));
+    html += `<mark>${escapeHtml(source.slice(word.start, word.end))}</mark>`;
+    cursor = word.end;
+  });
+  html += escapeHtml(source.slice(cursor, end));
+  if (end < source.length) html += '…';
+  return html;
+}
+
+/**
+ * Rank movies for a query. Only the first MAX_QUERY_LENGTH characters and
+ * MAX_QUERY_TERMS distinct terms of the query are used.
+ * Returns [{ movie, score, highlights }] sorted by score (best first).
+ */
+function searchMovies(movies, rawQuery, options = {}) {
+  const query = String(rawQuery || '').slice(0, MAX_QUERY_LENGTH);
+  const terms = queryTerms(query);
+  if (terms.length === 0) return [];
+
+  const phrase = terms.length > 1 ? normalize(query).trim() : null;
+  const snippetLength = options.snippetLength || 160;
+
+  return movies
+    .map(movie => {
+      const result = scoreMovie(movie, terms, phrase);
+      if (!result) return null;
+
+      const highlights = {};
+      Object.keys(result.matched).forEach(field => {
+        const maxLength = field === 'description' ? snippetLength : null;
+        highlights[field] = highlight(fieldText(movie, field), result.matched[field], maxLength);
+      });
+
+      return { movie, score: result.score, highlights };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.score - a.score || String(a.movie.title).localeCompare(String(b.movie.title)));
+}
+
+module.exports = { searchMovies, tokenize, escapeHtml, FIELD_WEIGHTS };
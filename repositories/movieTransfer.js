@@ -0,0 +1,292 @@
+const Movie = require('../models/Movie');
+const { recordMovieChange } = require('./movieHistory');
+
+/**
+ * Bulk import and export of the movie catalog (CSV or JSON).
+ * Used by the admin endpoints in routes/movieRoutes.js and by
+ * scripts/catalog.js, so both behave identically.
+ */
+
+const FORMATS = ['csv', 'json'];
+const DUPLICATE_MODES = ['skip', 'overwrite', 'merge'];
+
+// Columns written on export, in order. Import reads the catalog fields
+// (plus _id) and ignores the computed ones.
+const EXPORT_COLUMNS = [
+  '_id', 'title', 'year', 'director', 'genre', 'rating', 'age_rating', 'description', 'poster',
+  'communityRating', 'communityVotes', 'createdAt', 'updatedAt'
+];
+const IMPORT_FIELDS = ['title', 'year', 'director', 'genre', 'rating', 'age_rating', 'description', 'poster'];
+
+// Genres share one CSV cell: "Comedy|Drama"
+const GENRE_SEPARATOR = '|';
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+class ImportFormatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportFormatError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * into an array of rows, each an array of strings
+ */
+function parseCsv(text) {
+  const source = String(text).replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw new ImportFormatError('CSV ends inside a quoted field');
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Skip blank lines
+  return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = Array.isArray(value) ? value.join(GENRE_SEPARATOR) : String(value);
+  if (FORMULA_PREFIX.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function fromCsvCell(text) {
+  // Undo the formula guard added on export
+  return /^'[=+\-@\t\r]/.test(text) ? text.slice(1) : text;
+}
+
+/**
+ * Turn import content into plain row objects.
+ * CSV needs a header row naming the columns; JSON is an array of movies
+ * (or { movies: [...] }, as returned by the API).
+ */
+function parseImport(content, format) {
+  if (format === 'json') {
+    let data = content;
+    if (typeof content === 'string') {
+      try {
+        data = JSON.parse(content);
+      } catch (error) {
+        throw new ImportFormatError(`Invalid JSON: ${error.message}`);
+      }
+    }
+    const rows = Array.isArray(data) ? data : data && data.movies;
+    if (!Array.isArray(rows)) {
+      throw new ImportFormatError('JSON import must be an array of movies');
+    }
+    return rows.map(row => (row && typeof row === 'object' && !Array.isArray(row) ? row : {}));
+  }
+
+  const [header, ...lines] = parseCsv(content);
+  if (!header) throw new ImportFormatError('CSV import is empty');
+
+  const columns = header.map(name => name.trim());
+  if (!columns.includes('title')) {
+    throw new ImportFormatError('CSV header must include a title column');
+  }
+
+  return lines.map(cells => {
+    const row = {};
+    columns.forEach((column, i) => {
+      const value = cells[i] === undefined ? '' : fromCsvCell(cells[i]).trim();
+      if (value === '') return;
+      row[column] = column === 'genre' ? value.split(GENRE_SEPARATOR) : value;
+    });
+    return row;
+  });
+}
+
+/**
+ * Keep the importable fields of a row; empty values count as absent
+ */
+function rowToMovieData(row) {
+  const data = {};
+  IMPORT_FIELDS.forEach(field => {
+    const value = row[field];
+    if (value === undefined || value === null || value === '') return;
+    data[field] = typeof value === 'number' ? String(value) : value;
+  });
+  if (data.genre !== undefined && !Array.isArray(data.genre)) {
+    data.genre = String(data.genre).split(GENRE_SEPARATOR);
+  }
+  return data;
+}
+
+function rowId(row) {
+  const id = row._id !== undefined ? row._id : row.id;
+  return id === undefined || id === null || id === '' ? null : String(id);
+}
+
+function duplicateKey(title, year) {
+  return `${String(title).trim().toLowerCase()}|${parseInt(year)}`;
+}
+
+/**
+ * Fields to write over an existing movie. Overwrite replaces every catalog
+ * field but keeps community scores; merge only sets the fields provided.
+ */
+function duplicateChanges(data, mode) {
+  if (mode === 'merge') return Movie.createMovieObject(data, { partial: true });
+
+  const fields = Movie.createMovieObject(data);
+  delete fields.communityRating;
+  delete fields.communityVotes;
+  return fields;
+}
+
+/**
+ * Import rows into the movie repository.
+ *
+ * A row is a duplicate when its _id exists, or when a movie with the same
+ * title (case-insensitive) and year exists - including one created earlier
+ * in the same import. Trashed movies count too: updates leave them in the
+ * trash and are flagged trashed: true in the report.
+ * mode decides what happens to duplicates:
+ *   skip      - leave the existing movie alone (default)
+ *   overwrite - replace every catalog field with the row's values
+ *   merge     - update only the fields the row provides
+ * With dryRun nothing is written, but the report is the same. Writes are
+ * recorded in the movie history under options.actor ({ userId, username }).
+ *
+ * Returns { dryRun, mode, summary, rows: [{ row, status, ... }] }.
+ */
+async function importMovies(repository, rows, options = {}) {
+  const mode = options.mode || 'skip';
+  const dryRun = Boolean(options.dryRun);
+  const actor = options.actor || null;
+  const userId = actor && actor.userId ? actor.userId : null;
+
+  const existing = await repository.find({});
+  const byId = new Map(existing.map(movie => [String(movie._id), movie]));
+  const byTitle = new Map(existing.map(movie => [duplicateKey(movie.title, movie.year), movie]));
+
+  const summary = { total: rows.length, created: 0, updated: 0, skipped: 0, invalid: 0, failed: 0 };
+  const report = [];
+
+  for (let index = 0; index < rows.length; index++) {
+    const row = rows[index];
+    const data = rowToMovieData(row);
+    const id = rowId(row);
+    const entry = { row: index + 1, title: data.title || null };
+
+    const duplicate = (id && byId.get(id)) ||
+      (data.title && data.year ? byTitle.get(duplicateKey(data.title, data.year)) : undefined);
+    const partial = Boolean(duplicate) && mode === 'merge';
+
+    // Same rules and { field, message } details as the API (models/movieSchema.js)
+    const errors = Movie.validateMovieData(data, { partial });
+    if (errors.length > 0) {
+      summary.invalid++;
+      report.push({ ...entry, status: 'invalid', errors });
+      continue;
+    }
+
+    if (duplicate && mode === 'skip') {
+      summary.skipped++;
+      report.push({ ...entry, status: 'skipped', id: String(duplicate._id), reason: duplicate.deletedAt ? 'duplicate (in trash)' : 'duplicate' });
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    try {
+      let movie;
+      if (duplicate) {
+        const changes = { ...duplicateChanges(data, mode), updatedBy: userId, updatedAt: now };
+        if (dryRun) {
+          movie = { ...duplicate, ...changes };
+        } else {
+          movie = await repository.update(duplicate._id, changes);
+          await recordMovieChange('update', { before: duplicate, after: movie, actor });
+        }
+        summary.updated++;
+        report.push({ ...entry, status: 'updated', id: String(movie._id), ...(duplicate.deletedAt ? { trashed: true } : {}) });
+      } else {
+        movie = {
+          ...(id ? { _id: id } : {}),
+          ...Movie.createMovieObject(data),
+          createdBy: userId,
+          updatedBy: userId,
+          createdAt: now,
+          updatedAt: now
+        };
+        if (!dryRun) {
+          movie = await repository.create(movie);
+          await recordMovieChange('create', { after: movie, actor });
+        }
+        summary.created++;
+        report.push({ ...entry, status: 'created', id: movie._id !== undefined ? String(movie._id) : null });
+      }
+
+      if (movie._id !== undefined) byId.set(String(movie._id), movie);
+      byTitle.set(duplicateKey(movie.title, movie.year), movie);
+    } catch (error) {
+      summary.failed++;
+      report.push({ ...entry, status: 'failed', errors: [{ field: '', message: error.message }] });
+    }
+  }
+
+  return { dryRun, mode, summary, rows: report };
+}
+
+/**
+ * Serialize movies as CSV (header row + one line per movie) or JSON
+ */
+function exportMovies(movies, format) {
+  if (format === 'json') {
+    return JSON.stringify(movies, null, 2);
+  }
+
+  const lines = [EXPORT_COLUMNS.join(',')];
+  movies.forEach(movie => {
+    lines.push(EXPORT_COLUMNS.map(column => csvCell(movie[column])).join(','));
+  });
+  return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  FORMATS,
+  DUPLICATE_MODES,
+  ImportFormatError,
+  parseCsv,
+  parseImport,
+  importMovies,
+  exportMovies
+};
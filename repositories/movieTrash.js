@@ -0,0 +1,115 @@
+const { getMovieRepository } = require('./index');
+const { recordMovieChange } = require('./movieHistory');
+const { activeOnly } = require('./movieQuery');
+const { removePosterIfUnused } = require('../database/posterStore');
+
+/**
+ * Soft delete for movies.
+ *
+ * Deleting a movie sets deletedAt/deletedBy: it disappears from every
+ * public listing (see activeOnly in movieQuery.js) but stays in the
+ * admin trash until it is restored or purged. Trashed movies are purged
+ * automatically once they have been in the trash for the retention window.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Recorded in the movie history for automatic purges
+const RETENTION_ACTOR = { userId: null, username: 'system (trash retention)' };
+
+function retentionDays() {
+  const days = parseFloat(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) ? 30 : days;
+}
+
+/**
+ * When a trashed movie will be purged automatically (null if never)
+ */
+function purgeAt(movie) {
+  const days = retentionDays();
+  if (!movie.deletedAt || days <= 0) return null;
+  return new Date(new Date(movie.deletedAt).getTime() + days * DAY_MS).toISOString();
+}
+
+/**
+ * Move a movie to the trash. Returns null if it is missing or already trashed.
+ */
+async function trashMovie(id, actor) {
+  const movies = getMovieRepository();
+  const before = await movies.findOne(activeOnly({ _id: id }));
+  if (!before) return null;
+
+  const now = new Date().toISOString();
+  const movie = await movies.update(before._id, {
+    deletedAt: now,
+    deletedBy: actor && actor.userId ? actor.userId : null,
+    updatedAt: now
+  });
+  await recordMovieChange('trash', { before, after: movie, actor });
+  return movie;
+}
+
+/**
+ * Take a movie out of the trash. Returns null if it is not in the trash.
+ */
+async function restoreMovie(id, actor) {
+  const movies = getMovieRepository();
+  const before = await movies.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!before) return null;
+
+  const movie = await movies.update(before._id, {
+    deletedAt: null,
+    deletedBy: null,
+    updatedBy: actor && actor.userId ? actor.userId : null,
+    updatedAt: new Date().toISOString()
+  });
+  await recordMovieChange('restore', { before, after: movie, actor });
+  return movie;
+}
+
+/**
+ * Permanently delete a trashed movie. Its history is kept, so an admin can
+ * still bring it back with a revert. Returns null if it is not in the trash.
+ */
+async function purgeMovie(id, actor) {
+  const movies = getMovieRepository();
+  const trashed = await movies.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!trashed) return null;
+
+  const movie = await movies.delete(trashed._id);
+  if (!movie) return null;
+
+  await recordMovieChange('delete', { before: movie, actor });
+  try {
+    await removePosterIfUnused(movies, movie.poster);
+  } catch (error) {
+    console.error('Error removing unused poster:', error);
+  }
+  return movie;
+}
+
+/**
+ * Purge every movie trashed longer than the retention window
+ * (TRASH_RETENTION_DAYS, default 30; 0 keeps trashed movies forever)
+ */
+async function purgeExpiredMovies() {
+  const days = retentionDays();
+  if (days <= 0) return [];
+
+  const cutoff = new Date(Date.now() - days * DAY_MS).toISOString();
+  const expired = await getMovieRepository().find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  const purged = [];
+  for (const movie of expired) {
+    if (await purgeMovie(movie._id, RETENTION_ACTOR)) purged.push(movie);
+  }
+  return purged;
+}
+
+module.exports = {
+  purgeAt,
+  trashMovie,
+  restoreMovie,
+  purgeMovie,
+  purgeExpiredMovies
+};
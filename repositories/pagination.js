@@ -0,0 +1,189 @@
+const { matchesQuery, sortDocuments, projectFields } = require('./memoryQuery');
+
+/**
+ * Keyset (cursor) pagination shared by every listing.
+ *
+ * A cursor records the sort key values of the last (or first) item of a
+ * page, so the next page is "everything after that item" rather than an
+ * offset. Pages stay correct when movies are added or deleted in between.
+ * The id field is always the final sort key, which makes positions unique.
+ */
+
+class InvalidCursorError extends Error {
+  constructor(message = 'Invalid cursor') {
+    super(message);
+    this.name = 'InvalidCursorError';
+    this.status = 400;
+  }
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function encodeValue(value) {
+  if (value instanceof Date) return { $date: value.toISOString() };
+  return value === undefined ? null : value;
+}
+
+/**
+ * Sort key value from a client cursor. Only plain values (and dates, as
+ * encodeValue writes them) are accepted: the values go into the query,
+ * so an object such as { $ne: null } would act as an operator.
+ */
+function decodeValue(value) {
+  if (value === null || ['string', 'number', 'boolean'].includes(typeof value)) {
+    return value;
+  }
+  if (value && typeof value === 'object' && !Array.isArray(value) &&
+      Object.keys(value).length === 1 && typeof value.$date === 'string') {
+    const date = new Date(value.$date);
+    if (!isNaN(date.getTime())) return date;
+  }
+  throw new InvalidCursorError();
+}
+
+/**
+ * Sort spec with the id field appended as a tiebreaker
+ */
+function withTiebreaker(sort = {}, idField = '_id') {
+  return idField in sort ? { ...sort } : { ...sort, [idField]: 1 };
+}
+
+function reverseSort(sort) {
+  const reversed = {};
+  Object.keys(sort).forEach(key => { reversed[key] = sort[key] < 0 ? 1 : -1; });
+  return reversed;
+}
+
+function encodeCursor(doc, sort, direction) {
+  const payload = {
+    d: direction,
+    s: sort,
+    k: Object.keys(sort).map(key => encodeValue(getPath(doc, key)))
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new InvalidCursorError();
+  }
+
+  if (!payload || !['next', 'prev'].includes(payload.d) || !Array.isArray(payload.k)) {
+    throw new InvalidCursorError();
+  }
+  if (JSON.stringify(payload.s) !== JSON.stringify(sort) || payload.k.length !== Object.keys(sort).length) {
+    throw new InvalidCursorError('Cursor does not match the requested sort order');
+  }
+
+  return { direction: payload.d, values: payload.k.map(decodeValue) };
+}
+
+/**
+ * Condition for values strictly after `value` in one sort direction.
+ * Null and missing values sort first, as in MongoDB.
+ */
+function afterValue(key, value, order) {
+  if (order > 0) {
+    return value === null ? { [key]: { $ne: null } } : { [key]: { $gt: value } };
+  }
+  return value === null ? null : { $or: [{ [key]: { $lt: value } }, { [key]: null }] };
+}
+
+/**
+ * Query matching every document positioned after the given sort key values
+ */
+function keysetQuery(sort, values) {
+  const keys = Object.keys(sort);
+  const branches = [];
+
+  keys.forEach((key, i) => {
+    const after = afterValue(key, values[i], sort[key]);
+    if (!after) return;
+    const equalities = keys.slice(0, i).map((previous, j) => ({ [previous]: values[j] }));
+    branches.push(equalities.length > 0 ? { $and: [...equalities, after] } : after);
+  });
+
+  return branches.length === 1 ? branches[0] : { $or: branches };
+}
+
+function combine(query, condition) {
+  return Object.keys(query).length > 0 ? { $and: [query, condition] } : condition;
+}
+
+async function hasItemsAfter(source, query, sort, doc) {
+  const values = Object.keys(sort).map(key => {
+    const value = getPath(doc, key);
+    return value === undefined ? null : value;
+  });
+  const docs = await source.find(combine(query, keysetQuery(sort, values)), { sort, limit: 1 });
+  return docs.length > 0;
+}
+
+/**
+ * Read one page of `query` from a repository.
+ *
+ * options: { sort, limit, cursor, fields, idField }
+ * Returns { items, total, limit, next, prev, hasMore }, where next/prev are
+ * opaque cursors (null at either end).
+ */
+async function paginate(source, query = {}, options = {}) {
+  const sort = withTiebreaker(options.sort, options.idField);
+  const limit = options.limit;
+  const position = options.cursor ? decodeCursor(options.cursor, sort) : null;
+  const backwards = Boolean(position && position.direction === 'prev');
+  const readSort = backwards ? reverseSort(sort) : sort;
+  const pageQuery = position ? combine(query, keysetQuery(readSort, position.values)) : query;
+
+  const [docs, total] = await Promise.all([
+    source.find(pageQuery, { sort: readSort, limit: limit + 1 }),
+    source.count(query)
+  ]);
+
+  const items = docs.slice(0, limit);
+  if (backwards) items.reverse();
+
+  let hasNext = false;
+  let hasPrev = false;
+  if (items.length > 0) {
+    const first = items[0];
+    const last = items[items.length - 1];
+    if (backwards) {
+      hasPrev = docs.length > limit;
+      hasNext = await hasItemsAfter(source, query, sort, last);
+    } else {
+      hasNext = docs.length > limit;
+      hasPrev = Boolean(position) && await hasItemsAfter(source, query, reverseSort(sort), first);
+    }
+  }
+
+  return {
+    items: options.fields ? items.map(item => projectFields(item, options.fields)) : items,
+    total,
+    limit,
+    next: hasNext ? encodeCursor(items[items.length - 1], sort, 'next') : null,
+    prev: hasPrev ? encodeCursor(items[0], sort, 'prev') : null,
+    hasMore: hasNext
+  };
+}
+
+/**
+ * Paginate an in-memory array (e.g. ranked search results) the same way
+ */
+function paginateArray(docs, options = {}) {
+  const source = {
+    async find(query, { sort, limit }) {
+      return sortDocuments(docs.filter(doc => matchesQuery(doc, query)), sort).slice(0, limit);
+    },
+    async count(query) {
+      return docs.filter(doc => matchesQuery(doc, query)).length;
+    }
+  };
+  return paginate(source, {}, options);
+}
+
+module.exports = { paginate, paginateArray, InvalidCursorError };
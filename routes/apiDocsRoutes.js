@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+const { buildOpenApiDocument } = require('../openapi/document');
+
+// API description (/api/openapi.json) and a readable page built from it
+// (/api/docs, views/api-docs.ejs). Both come from openapi/document.js,
+// the same document requests are validated against.
+
+const METHOD_ORDER = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * Short text form of a schema for the docs page: "Movie", "string[]",
+ * "integer | null", "one of: asc, desc"
+ */
+function schemaLabel(schema) {
+  if (!schema) return 'any';
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.enum) return `one of: ${schema.enum.join(', ')}`;
+  if (schema.anyOf) return schema.anyOf.map(schemaLabel).join(' | ');
+
+  const types = [].concat(schema.type || 'any');
+  return types
+    .map(type => (type === 'array' ? `${schemaLabel(schema.items)}[]` : type))
+    .join(' | ');
+}
+
+/**
+ * The document's operations grouped by tag, in document order
+ */
+function groupOperations(document) {
+  const groups = new Map();
+  Object.keys(document.paths).forEach(path => {
+    METHOD_ORDER.forEach(method => {
+      const operation = document.paths[path][method];
+      if (!operation) return;
+      const tag = (operation.tags || ['Other'])[0];
+      if (!groups.has(tag)) groups.set(tag, []);
+      groups.get(tag).push({ method, path, operation });
+    });
+  });
+  return [...groups].map(([tag, operations]) => ({ tag, operations }));
+}
+
+/**
+ * GET /api/openapi.json
+ */
+router.get('/openapi.json', (req, res) => {
+  res.json(buildOpenApiDocument());
+});
+
+/**
+ * GET /api/docs
+ * Endpoints by tag with their parameters, bodies and responses
+ */
+router.get('/docs', (req, res) => {
+  const document = buildOpenApiDocument();
+  res.render('api-docs', {
+    title: 'API Reference',
+    info: document.info,
+    groups: groupOperations(document),
+    schemas: document.components.schemas,
+    schemaLabel
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const express = require('express');
+const router = express.Router();
+const { requireSession, hasPermission } = require('../middleware/auth');
+const { PERMISSIONS, tokenScopeFor } = require('../security/permissions');
+const { SCOPES, createApiToken, listApiTokens, revokeApiToken } = require('../security/apiTokens');
+
+// Personal API tokens of the logged-in user. Managed from a login session
+// only, so a leaked token cannot mint or revoke tokens.
+
+const MAX_TOKENS_PER_USER = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Whether the user has any permission the admin scope unlocks
+ */
+function hasStaffPermission(req) {
+  return Object.keys(PERMISSIONS).some(permission =>
+    tokenScopeFor(permission) === 'admin' && hasPermission(req, permission));
+}
+
+/**
+ * Validate a create request. Returns { errors, token } with the cleaned fields.
+ */
+function validateTokenRequest(req) {
+  const { name, scopes, expiresInDays } = req.body;
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+    errors.push('Name is required (up to 100 characters)');
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    errors.push(`Scopes must be a non-empty array of: ${SCOPES.join(', ')}`);
+  } else {
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      errors.push(`Unknown scopes: ${unknown.join(', ')}`);
+    }
+    if (scopes.includes('admin') && !hasStaffPermission(req)) {
+      errors.push('Only staff accounts can create tokens with the admin scope');
+    }
+  }
+
+  let expiresAt = null;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+    if (!Number.isFinite(days) || days <= 0 || days > 365) {
+      errors.push('expiresInDays must be between 1 and 365');
+    } else {
+      expiresAt = new Date(Date.now() + days * DAY_MS);
+    }
+  }
+
+  return {
+    errors,
+    token: { name: typeof name === 'string' ? name.trim() : name, scopes: [...new Set(scopes || [])], expiresAt }
+  };
+}
+
+/**
+ * GET /api/auth/tokens
+ * List your tokens (never the secrets)
+ */
+router.get('/', requireSession, async (req, res) => {
+  try {
+    res.json({ tokens: await listApiTokens(req.session.userId), scopes: SCOPES });
+  } catch (error) {
+    console.error('Error listing API tokens:', error);
+    res.status(503).json({ error: 'Database unavailable' });
+  }
+});
+
+/**
+ * POST /api/auth/tokens
+ * Body: { name, scopes: [...], expiresInDays? }. The response holds the
+ * token itself - the only time it is shown.
+ */
+router.post('/', requireSession, async (req, res) => {
+  try {
+    const { errors, token } = validateTokenRequest(req);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const existing = await listApiTokens(req.session.userId);
+    if (existing.length >= MAX_TOKENS_PER_USER) {
+      return res.status(400).json({ error: `You can have at most ${MAX_TOKENS_PER_USER} tokens; revoke one first` });
+    }
+
+    const created = await createApiToken(req.session.userId, {
+      ...token,
+      twoFactor: req.session.twoFactor === true
+    });
+
+    res.status(201).json({
+      message: 'Token created. Copy it now - it will not be shown again.',
+      token: created.token,
+      ...created.info
+    });
+  } catch (error) {
+    console.error('Error creating API token:', error);
+    res.status(500).json({ error: 'Failed to create token' });
+  }
+});
+
+/**
+ * DELETE /api/auth/tokens/:id
+ * Revoke one of your tokens
+ */
+router.delete('/:id', requireSession, async (req, res) => {
+  try {
+    if (!await revokeApiToken(req.session.userId, req.params.id)) {
+      return res.status(404).json({ error: 'Token not found' });
+    }
+    res.json({ message: 'Token revoked', id: req.params.id });
+  } catch (error) {
+    console.error('Error revoking API token:', error);
+    res.status(500).json({ error: 'Failed to revoke token' });
+  }
+});
+
+module.exports = router;
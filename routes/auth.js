@@ -1,11 +1,43 @@
 const express = require('express');
 const router = express.Router();
+const { ObjectId } = require('mongodb');
 const User = require('../models/User');
-const { redirectIfAuthenticated } = require('../middleware/auth');
+const {
+  requireAuth,
+  requirePermission,
+  emailVerificationRequired,
+  adminTwoFactorRequired
+} = require('../middleware/auth');
+const {
+  rateLimit,
+  sendLocked,
+  listLockouts,
+  clearLockouts,
+  loginLimiter,
+  loginIpLimiter,
+  registerLimiter,
+  passwordResetLimiter,
+  verificationLimiter
+} = require('../middleware/rateLimiter');
+const { VERIFY_TOKEN_TTL_MS, sendPasswordReset, sendEmailVerification } = require('../mail/accountMail');
+const { router: twoFactorRouter, verifySecondFactor } = require('./twoFactorRoutes');
+const apiTokenRouter = require('./apiTokenRoutes');
+const { revokeAllApiTokens } = require('../security/apiTokens');
+const userAdminRouter = require('./userAdminRoutes');
+const { permissionsForRole } = require('../security/permissions');
+
+const TWO_FACTOR_LOGIN_TTL_MS = 5 * 60 * 1000;
 
 let db;
 let usersCollection;
 
+// Compared against when the username does not exist, so a miss takes as long as a wrong password
+let dummyPasswordHash;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
 function initializeDb(database) {
   db = database;
   if (db) {
@@ -13,11 +45,60 @@ function initializeDb(database) {
   }
 }
 
-router.post('/register', async (req, res) => {
+/**
+ * Rate-limit keys for a login attempt. Usernames are case-folded so
+ * "Alice" and "alice" share one counter.
+ */
+function loginKeys(req) {
+  const username = typeof req.body.username === 'string' ? req.body.username.trim().toLowerCase() : '';
+  return { ip: `ip:${req.ip}`, user: username ? `user:${username}` : null };
+}
+
+function loginRetryAfter(keys) {
+  return Math.max(
+    loginIpLimiter.retryAfter(keys.ip),
+    keys.user ? loginLimiter.retryAfter(keys.user) : 0
+  );
+}
+
+function recordLoginFailure(keys) {
+  loginIpLimiter.hit(keys.ip);
+  if (keys.user) loginLimiter.hit(keys.user);
+}
+
+/**
+ * Log the user in on this session and send the login response
+ */
+function completeLogin(req, res, user, { twoFactor = false } = {}) {
+  loginLimiter.reset(`user:${user.username.toLowerCase()}`);
+
+  delete req.session.pendingLogin;
+  req.session.userId = user._id.toString();
+  req.session.user = {
+    username: user.username,
+    email: user.email
+  };
+  req.session.role = user.role;
+  req.session.emailVerified = User.isEmailVerified(user);
+  req.session.twoFactor = twoFactor;
+  req.sessionSave();
+
+  res.json({ 
+    message: 'Login successful',
+    user: User.sanitizeUser(user),
+    ...(user.role === 'admin' && adminTwoFactorRequired() && !twoFactor
+      ? { twoFactorSetupRequired: true }
+      : {})
+  });
+}
+
+router.post('/register', rateLimit(registerLimiter), async (req, res) => {
   try {
     const { username, password, email } = req.body;
 
-    const errors = User.validateUserData(username, password, email);
+    const errors = User.validateUserData(username, password, email, {
+      requireEmail: emailVerificationRequired()
+    });
     if (errors.length > 0) {
       return res.status(400).json({ 
         error: 'Validation failed', 
@@ -41,7 +122,11 @@ router.post('/register', async (req, res) => {
       });
     }
 
-    const newUser = User.createUserObject(username, password, email);
+    const newUser = await User.createUserObject(username, password, email);
+    const verification = newUser.email ? User.createOneTimeToken(VERIFY_TOKEN_TTL_MS) : null;
+    if (verification) {
+      newUser.emailVerification = { tokenHash: verification.tokenHash, expiresAt: verification.expiresAt };
+    }
     const result = await usersCollection.insertOne(newUser);
 
     req.session.userId = result.insertedId.toString();
@@ -50,8 +135,15 @@ router.post('/register', async (req, res) => {
       email: newUser.email
     };
     req.session.role = newUser.role;
+    req.session.emailVerified = false;
     req.sessionSave();
 
+    if (verification) {
+      // The account exists either way; the user can ask for another link
+      await sendEmailVerification(newUser, verification.token)
+        .catch(error => console.error('Error sending verification email:', error));
+    }
+
     res.status(201).json({ 
       message: 'User registered successfully',
       user: User.sanitizeUser({
@@ -67,11 +159,24 @@ router.post('/register', async (req, res) => {
   }
 });
 
+/**
+ * Failed logins are counted per IP and per username. Once either is over
+ * the limit, every attempt gets the same 429 - even with the right password -
+ * until the lockout ends. With 2FA on, a right password only starts the
+ * login; POST /login/2fa finishes it.
+ */
 router.post('/login', async (req, res) => {
   try {
     const { username, password } = req.body;
+    const keys = loginKeys(req);
+
+    const retryAfter = loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      return sendLocked(req, res, retryAfter);
+    }
 
     if (!username || !password) {
+      recordLoginFailure(keys);
       return res.status(400).json({ 
         error: 'Invalid credentials' 
       });
@@ -88,39 +193,368 @@ router.post('/login', async (req, res) => {
     });
 
     if (!user) {
-      return res.status(401).json({ 
-        error: 'Invalid credentials' 
-      });
+      dummyPasswordHash = dummyPasswordHash || await User.hashPasswordAsync('not-a-real-password');
+      await User.verifyPassword(password, dummyPasswordHash);
     }
 
-    const isPasswordValid = User.verifyPassword(password, user.password);
+    const isPasswordValid = user && await User.verifyPassword(password, user.password);
 
     if (!isPasswordValid) {
+      recordLoginFailure(keys);
       return res.status(401).json({ 
         error: 'Invalid credentials' 
       });
     }
 
-    req.session.userId = user._id.toString();
-    req.session.user = {
-      username: user.username,
-      email: user.email
-    };
-    req.session.role = user.role;
-    req.sessionSave();
+    // Only told to someone who knows the password
+    const blocked = User.loginBlockedReason(user);
+    if (blocked) {
+      return res.status(403).json({ 
+        error: blocked 
+      });
+    }
+
+    if (User.isTwoFactorEnabled(user)) {
+      // Password is right; the session is only logged in after POST /login/2fa
+      req.session.pendingLogin = {
+        userId: user._id.toString(),
+        expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL_MS
+      };
+      req.sessionSave();
+      return res.json({ 
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true 
+      });
+    }
+
+    completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ 
+      error: 'Login failed' 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/forgot-password
+ * Body: { email } or { username }. Mails a reset link to the account's email.
+ * The response is the same whether or not an account matched.
+ */
+router.post('/forgot-password', rateLimit(passwordResetLimiter), async (req, res) => {
+  try {
+    const { username, email } = req.body;
+
+    if (typeof username !== 'string' && typeof email !== 'string') {
+      return res.status(400).json({ 
+        error: 'Email or username is required' 
+      });
+    }
+
+    if (!usersCollection) {
+      return res.status(503).json({ 
+        error: 'Database unavailable' 
+      });
+    }
+
+    // Older accounts kept the email as typed, so match it in any case
+    const query = typeof email === 'string'
+      ? { email: { $regex: `^${escapeRegex(email.trim())}$`, $options: 'i' } }
+      : { username: username.trim() };
+
+    // Finish after responding, so the response time does not depend on whether mail was sent
+    res.status(202).json({ 
+      message: 'If an account with that email or username exists, a reset link has been sent to it' 
+    });
+
+    const users = await usersCollection.find(query).toArray();
+    for (const user of users.filter(candidate => candidate.email && !candidate.disabled)) {
+      await sendPasswordReset(user);
+    }
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ 
+        error: 'Password reset failed' 
+      });
+    }
+  }
+});
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { token, password }. Sets a new password; each token works once.
+ */
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired reset token' 
+      });
+    }
+
+    const errors = User.validatePassword(password);
+    if (errors.length > 0) {
+      return res.status(400).json({ 
+        error: 'Validation failed', 
+        details: errors 
+      });
+    }
+
+    if (!usersCollection) {
+      return res.status(503).json({ 
+        error: 'Database unavailable' 
+      });
+    }
+
+    const tokenHash = User.hashToken(token);
+    const user = await usersCollection.findOne({ 
+      'passwordReset.tokenHash': tokenHash 
+    });
+
+    if (!user || new Date(user.passwordReset.expiresAt) <= new Date()) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired reset token' 
+      });
+    }
+
+    // Matching on the token hash makes the update single-use even if two requests race
+    const result = await usersCollection.updateOne(
+      { _id: user._id, 'passwordReset.tokenHash': tokenHash },
+      {
+        $set: { password: await User.hashPasswordAsync(password), passwordResetRequired: false, updatedAt: new Date() },
+        $unset: { passwordReset: '' }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired reset token' 
+      });
+    }
+
+    // Whoever knew the old password loses access: end every session and revoke API tokens
+    const sessionsEnded = await req.sessionDestroyUser(user._id);
+    const tokensRevoked = await revokeAllApiTokens(user._id);
+
+    // Let the owner back in straight away
+    loginLimiter.reset(`user:${user.username.toLowerCase()}`);
 
     res.json({ 
-      message: 'Login successful',
-      user: User.sanitizeUser(user)
+      message: 'Password has been reset. You can now log in.',
+      sessionsEnded,
+      tokensRevoked
     });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      error: 'Password reset failed' 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/verify-email
+ * Body: { token } from the link mailed on registration
+ */
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (typeof token !== 'string' || !token) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification token' 
+      });
+    }
+
+    if (!usersCollection) {
+      return res.status(503).json({ 
+        error: 'Database unavailable' 
+      });
+    }
+
+    const tokenHash = User.hashToken(token);
+    const user = await usersCollection.findOne({ 
+      'emailVerification.tokenHash': tokenHash 
+    });
+
+    if (!user || new Date(user.emailVerification.expiresAt) <= new Date()) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification token' 
+      });
+    }
+
+    // Matching on the token hash keeps a link from confirming an address that
+    // a newer resend has replaced in the meantime
+    const result = await usersCollection.updateOne(
+      { _id: user._id, 'emailVerification.tokenHash': tokenHash },
+      {
+        $set: { emailVerified: true, updatedAt: new Date() },
+        $unset: { emailVerification: '' }
+      }
+    );
+
+    if (result.modifiedCount !== 1) {
+      return res.status(400).json({ 
+        error: 'Invalid or expired verification token' 
+      });
+    }
+
+    if (req.session.userId === user._id.toString()) {
+      req.session.emailVerified = true;
+      req.sessionSave();
+    }
+
+    res.json({ 
+      message: 'Email address confirmed' 
+    });
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(500).json({ 
+      error: 'Email verification failed' 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/resend-verification
+ * Mail a new confirmation link to the logged-in user (earlier links stop working).
+ * Body: { email } for accounts registered without an address, which is
+ * saved (unconfirmed) and then confirmed like any other.
+ */
+router.post('/resend-verification', requireAuth, rateLimit(verificationLimiter, {
+  keys: req => [`user:${req.session.userId}`, `ip:${req.ip}`]
+}), async (req, res) => {
+  try {
+    if (!usersCollection) {
+      return res.status(503).json({ 
+        error: 'Database unavailable' 
+      });
+    }
+
+    const user = await usersCollection.findOne({ 
+      _id: new ObjectId(req.session.userId) 
+    });
+
+    if (!user) {
+      return res.status(401).json({ 
+        error: 'User not found' 
+      });
+    }
+
+    if (!user.email) {
+      const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+      if (!email) {
+        return res.status(400).json({ 
+          error: 'No email address on this account; send { "email": "..." } to add one' 
+        });
+      }
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        return res.status(400).json({ 
+          error: 'Invalid email format' 
+        });
+      }
+      user.email = email;
+      user.emailVerified = false;
+      await usersCollection.updateOne(
+        { _id: user._id },
+        { $set: { email, emailVerified: false, updatedAt: new Date() } }
+      );
+      req.session.user = { ...req.session.user, email };
+      req.sessionSave();
+    }
+
+    if (User.isEmailVerified(user)) {
+      return res.status(400).json({ 
+        error: 'Email address is already confirmed' 
+      });
+    }
+
+    const { token, tokenHash, expiresAt } = User.createOneTimeToken(VERIFY_TOKEN_TTL_MS);
+    await usersCollection.updateOne(
+      { _id: user._id },
+      { $set: { emailVerification: { tokenHash, expiresAt } } }
+    );
+    await sendEmailVerification(user, token);
+
+    res.status(202).json({ 
+      message: `Confirmation link sent to ${user.email}` 
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      error: 'Failed to send confirmation email' 
+    });
+  }
+});
+
+/**
+ * POST /api/auth/login/2fa
+ * Body: { code } or { recoveryCode }. Second step of a login with 2FA;
+ * must follow a successful POST /login within 5 minutes on the same session.
+ * Wrong codes count as failed logins.
+ */
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expiresAt <= Date.now()) {
+      return res.status(401).json({ 
+        error: 'Login expired, please log in again' 
+      });
+    }
+
+    if (!usersCollection) {
+      return res.status(503).json({ 
+        error: 'Database unavailable' 
+      });
+    }
+
+    const { ObjectId } = require('mongodb');
+    const user = await usersCollection.findOne({ 
+      _id: new ObjectId(pending.userId) 
+    });
+
+    if (!user || !User.isTwoFactorEnabled(user) || User.loginBlockedReason(user)) {
+      delete req.session.pendingLogin;
+      req.sessionSave();
+      return res.status(401).json({ 
+        error: 'Login expired, please log in again' 
+      });
+    }
+
+    const keys = { ip: `ip:${req.ip}`, user: `user:${user.username.toLowerCase()}` };
+    const retryAfter = loginRetryAfter(keys);
+    if (retryAfter > 0) {
+      return sendLocked(req, res, retryAfter);
+    }
+
+    const { code, recoveryCode } = req.body;
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+    if (!method) {
+      recordLoginFailure(keys);
+      return res.status(401).json({ 
+        error: 'Invalid authentication code' 
+      });
+    }
+
+    if (method === 'recovery') {
+      console.log(`User ${user.username} logged in with a recovery code`);
+    }
+    completeLogin(req, res, user, { twoFactor: true });
+  } catch (error) {
+    console.error('Two-factor login error:', error);
     res.status(500).json({ 
       error: 'Login failed' 
     });
   }
 });
 
+router.use('/2fa', twoFactorRouter);
+router.use('/tokens', apiTokenRouter);
+router.use('/users', userAdminRouter);
+
 router.post('/logout', (req, res) => {
   req.sessionDestroy();
   res.json({ message: 'Logout successful' });
@@ -140,7 +574,6 @@ router.get('/me', async (req, res) => {
       });
     }
 
-    const { ObjectId } = require('mongodb');
     const user = await usersCollection.findOne({ 
       _id: new ObjectId(req.session.userId) 
     });
@@ -153,7 +586,8 @@ router.get('/me', async (req, res) => {
     }
 
     res.json({ 
-      user: User.sanitizeUser(user)
+      user: User.sanitizeUser(user),
+      permissions: permissionsForRole(user.role)
     });
   } catch (error) {
     console.error('Get current user error:', error);
@@ -163,4 +597,33 @@ router.get('/me', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/auth/admin/lockouts
+ * Keys currently locked out by any rate limiter (users:manage)
+ */
+router.get('/admin/lockouts', requirePermission('users:manage'), (req, res) => {
+  res.json({ lockouts: listLockouts() });
+});
+
+/**
+ * DELETE /api/auth/admin/lockouts
+ * Clear every lockout and failure count (users:manage)
+ */
+router.delete('/admin/lockouts', requirePermission('users:manage'), (req, res) => {
+  const cleared = clearLockouts();
+  res.json({ message: 'Lockouts cleared', cleared });
+});
+
+/**
+ * DELETE /api/auth/admin/lockouts/:limiter/:key
+ * Clear one key, e.g. /login/user:alice or /login-ip/ip:127.0.0.1 (users:manage)
+ */
+router.delete('/admin/lockouts/:limiter/:key', requirePermission('users:manage'), (req, res) => {
+  const cleared = clearLockouts(req.params.limiter, req.params.key);
+  if (!cleared) {
+    return res.status(404).json({ error: 'No such lockout' });
+  }
+  res.json({ message: 'Lockout cleared', limiter: req.params.limiter, key: req.params.key });
+});
+
 module.exports = { router, initializeDb };
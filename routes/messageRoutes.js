@@ -0,0 +1,194 @@
+const express = require('express');
+const router = express.Router();
+const { requirePermission } = require('../middleware/auth');
+const { parsePagination, setPaginationHeaders, paginationInfo } = require('../middleware/pagination');
+const { InvalidCursorError } = require('../repositories/pagination');
+const { sendMail } = require('../mail/mailer');
+const {
+  MESSAGE_STATUSES,
+  MESSAGE_FOLDERS,
+  listMessages,
+  getMessage,
+  setMessageStatus,
+  moveMessage,
+  addMessageNote,
+  recordMessageReply,
+  deleteMessage
+} = require('../repositories/contactMessages');
+
+// Contact message inbox (/api/messages). Reading needs messages:read;
+// anything that changes a message or mails its author needs messages:manage.
+
+const MAX_TEXT_LENGTH = 5000;
+
+router.use(requirePermission('messages:read'));
+
+/**
+ * Who is making a change, for the message's notes, replies and status
+ */
+function actorFrom(req) {
+  return {
+    userId: req.session.userId,
+    username: req.session.user ? req.session.user.username : null
+  };
+}
+
+function textField(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Middleware: Load the message named by :id as req.contactMessage
+ */
+function loadMessage(req, res, next) {
+  const message = getMessage(req.params.id);
+  if (!message) {
+    return res.status(404).json({ error: 'Message not found' });
+  }
+  req.contactMessage = message;
+  next();
+}
+
+/**
+ * GET /api/messages?folder=inbox|spam&status=&q=&limit=&cursor=
+ * A folder (default inbox), newest first, with the number of messages in
+ * each status and in each folder
+ */
+router.get('/', parsePagination({ defaultLimit: 20 }), async (req, res) => {
+  try {
+    const folder = typeof req.query.folder === 'string' && req.query.folder ? req.query.folder : 'inbox';
+    if (!MESSAGE_FOLDERS.includes(folder)) {
+      return res.status(400).json({ error: `folder must be one of: ${MESSAGE_FOLDERS.join(', ')}` });
+    }
+    const status = typeof req.query.status === 'string' ? req.query.status : '';
+    if (status && !MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    const page = await listMessages({ ...req.pagination, folder, status, q: textField(req.query.q) });
+    setPaginationHeaders(req, res, page);
+    res.json({
+      folder,
+      count: page.items.length,
+      counts: page.counts,
+      folders: page.folders,
+      messages: page.items,
+      pagination: paginationInfo(page)
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching messages:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/messages/:id
+ * One message with its notes and replies
+ */
+router.get('/:id', loadMessage, (req, res) => {
+  res.json(req.contactMessage);
+});
+
+/**
+ * PUT /api/messages/:id/status
+ * Body: { status }
+ */
+router.put('/:id/status', requirePermission('messages:manage'), loadMessage, async (req, res) => {
+  try {
+    const { status } = req.body;
+    if (!MESSAGE_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${MESSAGE_STATUSES.join(', ')}` });
+    }
+
+    const message = await setMessageStatus(req.params.id, status, actorFrom(req));
+    res.json({ message: 'Status updated', contactMessage: message });
+  } catch (error) {
+    console.error('Error updating message status:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/messages/:id/folder
+ * Body: { folder: "inbox" | "spam" }
+ */
+router.put('/:id/folder', requirePermission('messages:manage'), loadMessage, async (req, res) => {
+  try {
+    const { folder } = req.body;
+    if (!MESSAGE_FOLDERS.includes(folder)) {
+      return res.status(400).json({ error: `folder must be one of: ${MESSAGE_FOLDERS.join(', ')}` });
+    }
+
+    const message = await moveMessage(req.params.id, folder, actorFrom(req));
+    res.json({ message: `Moved to ${folder}`, contactMessage: message });
+  } catch (error) {
+    console.error('Error moving message:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages/:id/notes
+ * Body: { text }. Internal note, never sent to the author.
+ */
+router.post('/:id/notes', requirePermission('messages:manage'), loadMessage, async (req, res) => {
+  try {
+    const text = textField(req.body.text);
+    if (!text || text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `text is required (at most ${MAX_TEXT_LENGTH} characters)` });
+    }
+
+    const message = await addMessageNote(req.params.id, text, actorFrom(req));
+    res.status(201).json({ message: 'Note added', contactMessage: message });
+  } catch (error) {
+    console.error('Error adding message note:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages/:id/reply
+ * Body: { text, subject? }. Mails the author through the configured mail
+ * transport (see mail/mailer.js) and marks the message as replied.
+ */
+router.post('/:id/reply', requirePermission('messages:manage'), loadMessage, async (req, res) => {
+  try {
+    const text = textField(req.body.text);
+    if (!text || text.length > MAX_TEXT_LENGTH) {
+      return res.status(400).json({ error: `text is required (at most ${MAX_TEXT_LENGTH} characters)` });
+    }
+    const subject = textField(req.body.subject).slice(0, 200) || 'Re: Your message to Movie Library';
+
+    const original = req.contactMessage;
+    const sent = await sendMail({
+      to: original.email,
+      subject,
+      text: `Hi ${original.name},\n\n${text}\n\n` +
+        `--- Your message of ${original.timestamp} ---\n${original.message}\n`
+    });
+
+    const message = await recordMessageReply(req.params.id, { subject, text, mailId: sent.id }, actorFrom(req));
+    res.status(201).json({ message: `Reply sent to ${original.email}`, contactMessage: message });
+  } catch (error) {
+    console.error('Error replying to message:', error);
+    res.status(500).json({ error: 'Failed to send reply' });
+  }
+});
+
+/**
+ * DELETE /api/messages/:id
+ */
+router.delete('/:id', requirePermission('messages:manage'), loadMessage, async (req, res) => {
+  try {
+    await deleteMessage(req.params.id);
+    res.json({ message: 'Message deleted', id: req.params.id });
+  } catch (error) {
+    console.error('Error deleting message:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
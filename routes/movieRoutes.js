@@ -1,7 +1,121 @@
 const express = require('express');
+const multer = require('multer');
 const router = express.Router();
 const Movie = require('../models/Movie');
-const { requireAuth, requireAdmin, checkOwnership } = require('../middleware/auth');
+const { movieErrorResponse } = require('../models/movieSchema');
+const { tokenScope, requireAuth, requirePermission, requireVerifiedEmail, checkOwnership } = require('../middleware/auth');
+const reviewRouter = require('./reviewRoutes');
+const { getUserList, LISTS } = require('./userListRoutes');
+const { getMovieRepository, getHistoryRepository } = require('../repositories');
+const { recordMovieChange, revertMovie, RevertError } = require('../repositories/movieHistory');
+const { purgeAt, trashMovie, restoreMovie, purgeMovie } = require('../repositories/movieTrash');
+const { activeOnly, buildMovieFilter, buildMovieSort, parseFields } = require('../repositories/movieQuery');
+const { searchMovies } = require('../repositories/movieSearch');
+const { paginate, paginateArray, InvalidCursorError } = require('../repositories/pagination');
+const { batchCatalogChanges } = require('../repositories/catalogVersion');
+const { parsePagination, setPaginationHeaders, paginationInfo } = require('../middleware/pagination');
+const { catalogCache } = require('../middleware/httpCache');
+const {
+  FORMATS,
+  DUPLICATE_MODES,
+  ImportFormatError,
+  parseImport,
+  importMovies,
+  exportMovies
+} = require('../repositories/movieTransfer');
+const { detectImageType, savePoster, removePosterIfUnused } = require('../database/posterStore');
+
+const POSTER_MAX_BYTES = parseInt(process.env.POSTER_MAX_BYTES) || 5 * 1024 * 1024;
+
+const posterUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: POSTER_MAX_BYTES, files: 1 }
+}).single('poster');
+
+/**
+ * Middleware Factory: Validate movie payload against the movie schema
+ * With partial = true (updates) only the fields present are checked
+ */
+function validateMovieData({ partial = false } = {}) {
+  return (req, res, next) => {
+    const problems = Movie.validateMovieData(req.body, { partial });
+    if (problems.length > 0) {
+      return res.status(400).json(movieErrorResponse(problems));
+    }
+    next();
+  };
+}
+
+/**
+ * Middleware: Parse a multipart/form-data upload with the image in the
+ * "poster" field into req.file (kept in memory, size-limited)
+ */
+function receivePoster(req, res, next) {
+  posterUpload(req, res, error => {
+    if (!error) return next();
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({ error: `Poster cannot exceed ${Math.round(POSTER_MAX_BYTES / 1024)} KB` });
+    }
+    res.status(400).json({ error: `Invalid upload: ${error.message}` });
+  });
+}
+
+/**
+ * Garbage-collect a poster that may no longer be used.
+ * Failures are logged only - the movie change itself already succeeded.
+ */
+async function releasePoster(url) {
+  if (!url) return;
+  try {
+    await removePosterIfUnused(getMovieRepository(), url);
+  } catch (error) {
+    console.error('Error removing unused poster:', error);
+  }
+}
+
+/**
+ * Who is making a change, for the movie history
+ */
+function actorFrom(req) {
+  return {
+    userId: req.session.userId,
+    username: req.session.user ? req.session.user.username : null
+  };
+}
+
+/**
+ * Fill in community score defaults for movies nobody has reviewed yet
+ */
+function withCommunityScore(movie) {
+  return { communityRating: null, communityVotes: 0, ...movie };
+}
+
+// ETag / Last-Modified from the catalog version; favorites and watchlist
+// listings depend on the user's lists and are never cached
+const cacheable = catalogCache({ uncacheable: req => LISTS.some(list => req.query[list] === 'true') });
+
+/**
+ * Build the repository filter for a movie listing from query parameters.
+ * Trashed movies are never listed.
+ * ?favorites=true / ?watchlist=true limit results to the user's own lists;
+ * returns null when those are asked for without a session.
+ */
+async function buildListingFilter(req) {
+  const filter = activeOnly(buildMovieFilter(req.query));
+
+  const lists = LISTS.filter(list => req.query[list] === 'true');
+  if (lists.length > 0) {
+    if (!req.session.userId) return null;
+    const listIds = await Promise.all(lists.map(list => getUserList(req.session.userId, list)));
+    const ids = listIds.reduce((common, current) => common.filter(id => current.includes(id)));
+    filter._id = { $in: ids };
+  }
+
+  return filter;
+}
+
+// API tokens need movies:write to change movies (admin routes need admin)
+router.use(tokenScope('movies:write'));
 
 /**
  * GET /api/movies/stats
@@ -10,20 +124,23 @@ const { requireAuth, requireAdmin, checkOwnership } = require('../middleware/aut
  */
 router.get('/stats', async (req, res) => {
   try {
-    const totalMovies = await Movie.countDocuments();
-    const moviesByYear = await Movie.aggregate([
+    const movies = getMovieRepository();
+    const totalMovies = await movies.count(activeOnly());
+    const moviesByYear = await movies.aggregate([
+      { $match: activeOnly() },
       { $group: { _id: '$year', count: { $sum: 1 } } },
       { $sort: { _id: -1 } },
       { $limit: 10 }
     ]);
-    
-    const moviesByGenre = await Movie.aggregate([
+
+    const moviesByGenre = await movies.aggregate([
+      { $match: activeOnly() },
       { $unwind: '$genre' },
       { $group: { _id: '$genre', count: { $sum: 1 } } },
       { $sort: { count: -1 } },
       { $limit: 10 }
     ]);
-    
+
     res.json({
       total: totalMovies,
       byYear: moviesByYear,
@@ -35,334 +152,525 @@ router.get('/stats', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/movies/search
+ * Public endpoint - Relevance-ranked search with highlighted snippets
+ * Accepts the same filters as GET /api/movies to narrow the candidates
+ */
+router.get('/search', parsePagination({ defaultLimit: 10, maxLimit: 50 }), async (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!q) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+
+    const candidates = await getMovieRepository().find(activeOnly(buildMovieFilter(req.query)));
+    const ranked = searchMovies(candidates, q);
+    const page = await paginateArray(ranked, {
+      sort: { score: -1, 'movie.title': 1 },
+      idField: 'movie._id',
+      ...req.pagination
+    });
+
+    setPaginationHeaders(req, res, page);
+    res.json({
+      query: q,
+      count: page.items.length,
+      total: page.total,
+      results: page.items.map(result => ({
+        score: result.score,
+        highlights: result.highlights,
+        movie: withCommunityScore(result.movie)
+      })),
+      pagination: paginationInfo(page)
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error searching movies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * GET /api/movies
- * Public endpoint - Get all movies with filtering and pagination
+ * Public endpoint - Get all movies with filtering, sorting and optional
+ * cursor pagination (?limit=&cursor=). Conditional requests get 304.
  */
-router.get('/', async (req, res) => {
+router.get('/', cacheable, parsePagination(), async (req, res) => {
   try {
-    // Pagination parameters
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const skip = (page - 1) * limit;
-    
-    // Build query filters
-    const filters = {};
-    
-    // Genre filter
-    if (req.query.genre) {
-      filters.genre = req.query.genre;
-    }
-    
-    // Year filter (exact)
-    if (req.query.year) {
-      filters.year = parseInt(req.query.year);
-    }
-    
-    // Year range filters
-    if (req.query.year_min || req.query.year_max) {
-      filters.year = {};
-      if (req.query.year_min) {
-        filters.year.$gte = parseInt(req.query.year_min);
-      }
-      if (req.query.year_max) {
-        filters.year.$lte = parseInt(req.query.year_max);
-      }
-    }
-    
-    // Director filter (case-insensitive partial match)
-    if (req.query.director) {
-      filters.director = new RegExp(req.query.director, 'i');
-    }
-    
-    // Title search (case-insensitive partial match)
-    if (req.query.title) {
-      filters.title = new RegExp(req.query.title, 'i');
-    }
-    
-    // Rating filter
-    if (req.query.rating_min) {
-      filters.rating = { $gte: parseFloat(req.query.rating_min) };
-    }
-    
-    // Get total count for pagination
-    const total = await Movie.countDocuments(filters);
-    
-    // Build sort options
-    const sortField = req.query.sortBy || 'createdAt';
-    const sortOrder = req.query.order === 'asc' ? 1 : -1;
-    const sortOptions = { [sortField]: sortOrder };
-    
-    // Query movies with population of user references
-    const movies = await Movie.find(filters)
-      .populate('createdBy', 'username')
-      .populate('updatedBy', 'username')
-      .sort(sortOptions)
-      .limit(limit)
-      .skip(skip)
-      .lean(); // Use lean() for better performance when we don't need Mongoose documents
-    
+    const movies = getMovieRepository();
+    const filter = await buildListingFilter(req);
+    if (!filter) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const sort = buildMovieSort(req.query);
+    const fields = parseFields(req.query.fields);
+    const withDefaults = results => (fields ? results : results.map(withCommunityScore));
+
+    if (req.pagination) {
+      const page = await paginate(movies, filter, { sort, fields, ...req.pagination });
+      setPaginationHeaders(req, res, page);
+      return res.json({
+        count: page.items.length,
+        total: page.total,
+        movies: withDefaults(page.items),
+        pagination: paginationInfo(page)
+      });
+    }
+
+    const [results, total] = await Promise.all([
+      movies.find(filter, { sort, fields }),
+      movies.count(filter)
+    ]);
+
+    res.set('X-Total-Count', String(total));
     res.json({
-      movies,
-      pagination: {
-        page,
-        limit,
-        total,
-        totalPages: Math.ceil(total / limit),
-        hasMore: page * limit < total
-      }
+      count: results.length,
+      total,
+      movies: withDefaults(results)
     });
   } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
     console.error('Error fetching movies:', error);
-    res.status(500).json({ error: 'Failed to fetch movies' });
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
+// ========== ADMIN-ONLY ROUTES ==========
+// Declared before /:id so "admin" is not treated as a movie id
+
 /**
- * GET /api/movies/:id
- * Public endpoint - Get single movie by ID
+ * GET /api/movies/admin/all
+ * Staff endpoint (movies:export) - Get all movies with full details (trash excluded)
  */
-router.get('/:id', async (req, res) => {
+router.get('/admin/all', requirePermission('movies:export'), parsePagination(), async (req, res) => {
   try {
-    const movie = await Movie.findById(req.params.id)
-      .populate('createdBy', 'username email')
-      .populate('updatedBy', 'username');
-    
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
+    const sort = { createdAt: -1 };
+
+    if (req.pagination) {
+      const page = await paginate(getMovieRepository(), activeOnly(), { sort, ...req.pagination });
+      setPaginationHeaders(req, res, page);
+      return res.json({ count: page.items.length, movies: page.items, pagination: paginationInfo(page) });
     }
-    
-    res.json(movie);
+
+    const movies = await getMovieRepository().find(activeOnly(), { sort });
+    res.json({ count: movies.length, movies });
   } catch (error) {
-    console.error('Error fetching movie:', error);
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID format' });
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
     }
-    res.status(500).json({ error: 'Failed to fetch movie' });
+    console.error('Error fetching admin movies:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * POST /api/movies
- * Protected endpoint - Create new movie (requires authentication)
+ * GET /api/movies/admin/export?format=csv|json
+ * Staff endpoint (movies:export) - Download the catalog, filtered like GET /api/movies
  */
-router.post('/', requireAuth, async (req, res) => {
+router.get('/admin/export', requirePermission('movies:export'), async (req, res) => {
   try {
-    const { title, year, director, genre, rating, age_rating, description } = req.body;
-    
-    // Validate required fields
-    if (!title || !title.trim()) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
-    
-    if (!year) {
-      return res.status(400).json({ error: 'Year is required' });
-    }
-    
-    const yearNum = parseInt(year);
-    if (isNaN(yearNum) || yearNum < 1888 || yearNum > 2030) {
-      return res.status(400).json({ error: 'Year must be between 1888 and 2030' });
-    }
-    
-    // Validate rating if provided
-    if (rating !== undefined && rating !== null && rating !== '') {
-      const ratingNum = parseFloat(rating);
-      if (isNaN(ratingNum) || ratingNum < 0 || ratingNum > 10) {
-        return res.status(400).json({ error: 'Rating must be between 0 and 10' });
-      }
-    }
-    
-    // Create movie document
-    const movie = new Movie({
-      title: title.trim(),
-      year: yearNum,
-      director: director?.trim(),
-      genre: Array.isArray(genre) ? genre.filter(g => g.trim()) : (genre ? [genre.trim()] : []),
-      rating: rating ? parseFloat(rating) : undefined,
-      age_rating: age_rating || undefined,
-      description: description?.trim(),
-      createdBy: req.session.userId,
-      updatedBy: req.session.userId
+    const format = String(req.query.format || 'json').toLowerCase();
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+
+    const filter = await buildListingFilter(req);
+    const movies = await getMovieRepository().find(filter, { sort: buildMovieSort(req.query) || { _id: 1 } });
+    const filename = `movies-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.set('X-Total-Count', String(movies.length));
+    res.type(format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+    res.send(exportMovies(movies, format));
+  } catch (error) {
+    console.error('Error exporting movies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/movies/admin/import?format=csv|json&mode=skip|overwrite|merge&dryRun=true
+ * Staff endpoint (movies:import) - Bulk import movies from a CSV or JSON body
+ * Responds with a validation report for every row
+ */
+router.post('/admin/import', requirePermission('movies:import'), async (req, res) => {
+  try {
+    const format = String(req.query.format || (req.is('json') ? 'json' : 'csv')).toLowerCase();
+    const mode = String(req.query.mode || 'skip').toLowerCase();
+
+    if (!FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${FORMATS.join(', ')}` });
+    }
+    if (!DUPLICATE_MODES.includes(mode)) {
+      return res.status(400).json({ error: `mode must be one of: ${DUPLICATE_MODES.join(', ')}` });
+    }
+    if (format === 'csv' && typeof req.body !== 'string') {
+      return res.status(400).json({ error: 'Send CSV imports with Content-Type: text/csv' });
+    }
+
+    const rows = parseImport(req.body, format);
+    if (rows.length === 0) {
+      return res.status(400).json({ error: 'Import contains no movies' });
+    }
+
+    // One catalog version for the whole file, not one per movie
+    const report = await batchCatalogChanges(() => importMovies(getMovieRepository(), rows, {
+      mode,
+      dryRun: req.query.dryRun === 'true',
+      actor: actorFrom(req)
+    }));
+
+    res.json({ format, ...report });
+  } catch (error) {
+    if (error instanceof ImportFormatError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error importing movies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/movies/admin/trash
+ * Staff endpoint (movies:trash) - Movies in the trash, most recently deleted first
+ */
+router.get('/admin/trash', requirePermission('movies:trash'), parsePagination(), async (req, res) => {
+  try {
+    const movies = getMovieRepository();
+    const query = { deletedAt: { $ne: null } };
+    const sort = { deletedAt: -1 };
+    const withPurgeDate = movie => ({ ...movie, purgeAt: purgeAt(movie) });
+
+    if (req.pagination) {
+      const page = await paginate(movies, query, { sort, ...req.pagination });
+      setPaginationHeaders(req, res, page);
+      return res.json({
+        count: page.items.length,
+        movies: page.items.map(withPurgeDate),
+        pagination: paginationInfo(page)
+      });
+    }
+
+    const trashed = await movies.find(query, { sort });
+    res.json({ count: trashed.length, movies: trashed.map(withPurgeDate) });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/movies/admin/trash/:id/restore
+ * Staff endpoint (movies:trash) - Take a movie out of the trash
+ */
+router.post('/admin/trash/:id/restore', requirePermission('movies:trash'), async (req, res) => {
+  try {
+    const movie = await restoreMovie(req.params.id, actorFrom(req));
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found in trash' });
+    }
+
+    res.json({ message: 'Movie restored', movie });
+  } catch (error) {
+    console.error('Error restoring movie:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/movies/admin/trash/:id
+ * Staff endpoint (movies:purge) - Permanently delete a trashed movie
+ */
+router.delete('/admin/trash/:id', requirePermission('movies:purge'), async (req, res) => {
+  try {
+    const movie = await purgeMovie(req.params.id, actorFrom(req));
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found in trash' });
+    }
+
+    res.json({
+      message: 'Movie permanently deleted',
+      movie: { _id: movie._id, title: movie.title, year: movie.year }
     });
-    
-    // Save to database
-    await movie.save();
-    
-    // Populate creator info before sending response
-    await movie.populate('createdBy', 'username');
-    
-    res.status(201).json(movie);
   } catch (error) {
-    console.error('Error creating movie:', error);
-    
-    // Handle validation errors
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(e => e.message);
-      return res.status(400).json({ error: messages.join(', ') });
-    }
-    
-    res.status(500).json({ error: 'Failed to create movie' });
+    console.error('Error purging movie:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * PUT /api/movies/:id
- * Protected endpoint - Update movie (requires ownership or admin role)
+ * DELETE /api/movies/admin/:id
+ * Staff endpoint (movies:delete:any) - Move any movie to the trash regardless of ownership
  */
-router.put('/:id', requireAuth, checkOwnership('movie'), async (req, res) => {
+router.delete('/admin/:id', requirePermission('movies:delete:any'), async (req, res) => {
   try {
-    const { title, year, director, genre, rating, age_rating, description } = req.body;
-    
-    // Validate inputs if provided
-    if (title !== undefined && !title.trim()) {
-      return res.status(400).json({ error: 'Title cannot be empty' });
-    }
-    
-    if (year !== undefined) {
-      const yearNum = parseInt(year);
-      if (isNaN(yearNum) || yearNum < 1888 || yearNum > 2030) {
-        return res.status(400).json({ error: 'Year must be between 1888 and 2030' });
-      }
-    }
-    
-    if (rating !== undefined && rating !== null && rating !== '') {
-      const ratingNum = parseFloat(rating);
-      if (isNaN(ratingNum) || ratingNum < 0 || ratingNum > 10) {
-        return res.status(400).json({ error: 'Rating must be between 0 and 10' });
-      }
-    }
-    
-    // Build update object (only include provided fields)
-    const updateData = {
-      updatedBy: req.session.userId
-    };
-    
-    if (title !== undefined) updateData.title = title.trim();
-    if (year !== undefined) updateData.year = parseInt(year);
-    if (director !== undefined) updateData.director = director.trim();
-    if (genre !== undefined) {
-      updateData.genre = Array.isArray(genre) ? genre.filter(g => g.trim()) : (genre ? [genre.trim()] : []);
-    }
-    if (rating !== undefined && rating !== null && rating !== '') {
-      updateData.rating = parseFloat(rating);
-    }
-    if (age_rating !== undefined) updateData.age_rating = age_rating || null;
-    if (description !== undefined) updateData.description = description.trim();
-    
-    // Update movie
-    const movie = await Movie.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { 
-        new: true,  // Return updated document
-        runValidators: true  // Run schema validators
-      }
-    )
-    .populate('createdBy', 'username')
-    .populate('updatedBy', 'username');
-    
+    const movie = await trashMovie(req.params.id, actorFrom(req));
+
     if (!movie) {
       return res.status(404).json({ error: 'Movie not found' });
     }
-    
-    res.json(movie);
+
+    res.json({
+      message: 'Movie moved to trash by admin',
+      movie: { _id: movie._id, title: movie.title, year: movie.year },
+      purgeAt: purgeAt(movie)
+    });
   } catch (error) {
-    console.error('Error updating movie:', error);
-    
-    if (error.name === 'ValidationError') {
-      const messages = Object.values(error.errors).map(e => e.message);
-      return res.status(400).json({ error: messages.join(', ') });
+    console.error('Error deleting movie (admin):', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reviews: /api/movies/:id/reviews
+router.use('/:id/reviews', reviewRouter);
+
+/**
+ * GET /api/movies/:id/history
+ * Protected endpoint - Versions of a movie, newest first, with field-level
+ * changes (requires ownership or movies:update:any). Only users with
+ * movies:update:any can still read it after the movie is deleted.
+ */
+router.get('/:id/history', requireAuth, checkOwnership('movie', 'update'), parsePagination(), async (req, res) => {
+  try {
+    const history = getHistoryRepository();
+    const query = { movieId: String(req.params.id) };
+    const sort = { version: -1 };
+
+    let versions;
+    let page;
+    if (req.pagination) {
+      page = await paginate(history, query, { sort, ...req.pagination });
+      setPaginationHeaders(req, res, page);
+      versions = page.items;
+    } else {
+      versions = await history.find(query, { sort });
+    }
+
+    if (versions.length === 0 && !req.pagination) {
+      return res.status(404).json({ error: 'No history for this movie' });
     }
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID format' });
+
+    const response = { movieId: query.movieId, count: versions.length, versions };
+    if (page) response.pagination = paginationInfo(page);
+    res.json(response);
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
     }
-    
-    res.status(500).json({ error: 'Failed to update movie' });
+    console.error('Error fetching movie history:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
 /**
- * DELETE /api/movies/:id
- * Protected endpoint - Delete movie (requires ownership or admin role)
+ * POST /api/movies/:id/history/:version/revert
+ * Staff endpoint (movies:revert) - Restore a movie to an earlier version
+ * (recreates the movie if it was deleted)
  */
-router.delete('/:id', requireAuth, checkOwnership('movie'), async (req, res) => {
+router.post('/:id/history/:version/revert', requirePermission('movies:revert'), async (req, res) => {
   try {
-    const movie = await Movie.findByIdAndDelete(req.params.id);
-    
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
+    const version = Number(req.params.version);
+    if (!Number.isInteger(version) || version < 1) {
+      return res.status(400).json({ error: 'Version must be a positive integer' });
     }
-    
-    res.json({ 
-      message: 'Movie deleted successfully', 
-      movie: {
-        _id: movie._id,
-        title: movie.title,
-        year: movie.year
-      }
+
+    const result = await revertMovie(req.params.id, version, actorFrom(req));
+    if (!result) {
+      return res.status(404).json({ error: 'Version not found' });
+    }
+
+    const { before, movie } = result;
+    if (before && before.poster !== movie.poster) await releasePoster(before.poster);
+
+    res.json({
+      message: `Movie reverted to version ${version}`,
+      restored: !before,
+      movie
     });
   } catch (error) {
-    console.error('Error deleting movie:', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID format' });
+    if (error instanceof RevertError) {
+      return res.status(error.status).json({ error: error.message });
     }
-    
-    res.status(500).json({ error: 'Failed to delete movie' });
+    console.error('Error reverting movie:', error);
+    res.status(500).json({ error: 'Failed to revert movie' });
   }
 });
 
-// ========== ADMIN-ONLY ROUTES ==========
+/**
+ * PUT /api/movies/:id/poster
+ * Protected endpoint - Upload a poster image (requires ownership or movies:update:any)
+ * multipart/form-data with the file in the "poster" field; JPEG, PNG, GIF or WebP
+ */
+router.put('/:id/poster', requireAuth, requireVerifiedEmail, checkOwnership('movie', 'update'), receivePoster, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'Attach the image in a "poster" form field' });
+    }
+
+    // Trust the file's bytes, not its name or declared Content-Type
+    const type = detectImageType(req.file.buffer);
+    if (!type) {
+      return res.status(415).json({ error: 'Poster must be a JPEG, PNG, GIF or WebP image' });
+    }
+
+    const movies = getMovieRepository();
+    const previous = await movies.findOne(activeOnly({ _id: req.params.id }));
+    if (!previous) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+
+    const poster = await savePoster(req.file.buffer, type.ext);
+    const movie = await movies.update(req.params.id, {
+      poster,
+      updatedBy: req.session.userId,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!movie) {
+      await releasePoster(poster);
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    await recordMovieChange('update', { before: previous, after: movie, actor: actorFrom(req) });
+    if (previous.poster !== poster) await releasePoster(previous.poster);
+
+    res.json(movie);
+  } catch (error) {
+    console.error('Error uploading poster:', error);
+    res.status(500).json({ error: 'Failed to upload poster' });
+  }
+});
 
 /**
- * GET /api/movies/admin/all
- * Admin-only endpoint - Get all movies with full user details
+ * DELETE /api/movies/:id/poster
+ * Protected endpoint - Remove a movie's poster (requires ownership or movies:update:any)
  */
-router.get('/admin/all', requireAdmin, async (req, res) => {
+router.delete('/:id/poster', requireAuth, requireVerifiedEmail, checkOwnership('movie', 'update'), async (req, res) => {
   try {
-    const movies = await Movie.find()
-      .populate('createdBy', 'username email role createdAt')
-      .populate('updatedBy', 'username email role')
-      .sort({ createdAt: -1 });
-    
-    res.json(movies);
+    const movies = getMovieRepository();
+    const previous = await movies.findOne(activeOnly({ _id: req.params.id }));
+    if (!previous) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+
+    const movie = await movies.update(req.params.id, {
+      poster: null,
+      updatedBy: req.session.userId,
+      updatedAt: new Date().toISOString()
+    });
+    await recordMovieChange('update', { before: previous, after: movie, actor: actorFrom(req) });
+    await releasePoster(previous.poster);
+
+    res.json(movie);
   } catch (error) {
-    console.error('Error fetching all movies:', error);
-    res.status(500).json({ error: 'Failed to fetch movies' });
+    console.error('Error removing poster:', error);
+    res.status(500).json({ error: 'Failed to remove poster' });
   }
 });
 
 /**
- * DELETE /api/movies/admin/:id
- * Admin-only endpoint - Delete any movie regardless of ownership
+ * GET /api/movies/:id
+ * Public endpoint - Get single movie by ID. Conditional requests for an
+ * existing movie get 304.
  */
-router.delete('/admin/:id', requireAdmin, async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
-    const movie = await Movie.findByIdAndDelete(req.params.id);
-    
+    const movie = await getMovieRepository().findOne(activeOnly({ _id: req.params.id }));
+
     if (!movie) {
       return res.status(404).json({ error: 'Movie not found' });
     }
-    
-    res.json({ 
-      message: 'Movie deleted by admin', 
-      movie: {
-        _id: movie._id,
-        title: movie.title,
-        year: movie.year
-      }
+
+    req.movie = movie;
+    next();
+  } catch (error) {
+    console.error('Error fetching movie:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}, cacheable, (req, res) => {
+  res.json(withCommunityScore(req.movie));
+});
+
+/**
+ * POST /api/movies
+ * Protected endpoint - Create new movie (requires movies:create)
+ */
+router.post('/', requirePermission('movies:create'), requireVerifiedEmail, validateMovieData(), async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const movie = await getMovieRepository().create({
+      ...Movie.createMovieObject(req.body),
+      createdBy: req.session.userId,
+      updatedBy: req.session.userId,
+      createdAt: now,
+      updatedAt: now
     });
+    await recordMovieChange('create', { after: movie, actor: actorFrom(req) });
+
+    res.status(201).json(movie);
   } catch (error) {
-    console.error('Error deleting movie (admin):', error);
-    
-    if (error.name === 'CastError') {
-      return res.status(400).json({ error: 'Invalid movie ID format' });
+    console.error('Error creating movie:', error);
+    res.status(500).json({ error: 'Failed to save movie' });
+  }
+});
+
+/**
+ * PUT /api/movies/:id
+ * Protected endpoint - Update movie (requires ownership or movies:update:any)
+ */
+router.put('/:id', requireAuth, requireVerifiedEmail, checkOwnership('movie', 'update'), validateMovieData({ partial: true }), async (req, res) => {
+  try {
+    const movies = getMovieRepository();
+    const previous = await movies.findOne(activeOnly({ _id: req.params.id }));
+    const movie = previous && await movies.update(req.params.id, {
+      ...Movie.createMovieObject(req.body, { partial: true }),
+      updatedBy: req.session.userId,
+      updatedAt: new Date().toISOString()
+    });
+
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    await recordMovieChange('update', { before: previous, after: movie, actor: actorFrom(req) });
+    if (previous.poster !== movie.poster) await releasePoster(previous.poster);
+
+    res.json(movie);
+  } catch (error) {
+    console.error('Error updating movie:', error);
+    res.status(500).json({ error: 'Failed to update movie' });
+  }
+});
+
+/**
+ * DELETE /api/movies/:id
+ * Protected endpoint - Move a movie to the trash (requires ownership or movies:delete:any)
+ */
+router.delete('/:id', requireAuth, requireVerifiedEmail, checkOwnership('movie', 'delete'), async (req, res) => {
+  try {
+    const deletedMovie = await trashMovie(req.params.id, actorFrom(req));
+
+    if (!deletedMovie) {
+      return res.status(404).json({ error: 'Movie not found' });
     }
-    
+
+    res.json({
+      message: 'Movie moved to trash',
+      deletedMovie,
+      deletedBy: req.session.user ? req.session.user.username : req.session.userId,
+      purgeAt: purgeAt(deletedMovie)
+    });
+  } catch (error) {
+    console.error('Error deleting movie:', error);
     res.status(500).json({ error: 'Failed to delete movie' });
   }
 });
 
 module.exports = router;
-
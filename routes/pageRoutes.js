@@ -0,0 +1,127 @@
+const express = require('express');
+const router = express.Router();
+const { getMovieRepository } = require('../repositories');
+const { searchMovies } = require('../repositories/movieSearch');
+const { activeOnly, buildMovieFilter } = require('../repositories/movieQuery');
+const { paginateArray, InvalidCursorError } = require('../repositories/pagination');
+const { pageLink } = require('../middleware/pagination');
+
+// Server-rendered pages (views/*.ejs). Templates escape everything with
+// <%= %>; the only raw output is search highlighting, which
+// repositories/movieSearch.js escapes itself (see views/partials/highlight.ejs).
+
+const PAGE_SIZE = 10;
+const RELATED_LIMIT = 4;
+
+// Filters the search page keeps in its form and links (see buildMovieFilter)
+const SEARCH_FILTERS = ['genre', 'director', 'year_min', 'year_max', 'rating_min'];
+
+/**
+ * Poster URLs come from user input; only show site paths and http(s) links
+ */
+function posterUrl(movie) {
+  return typeof movie.poster === 'string' && /^(\/(?!\/)|https?:\/\/)/i.test(movie.poster)
+    ? movie.poster
+    : null;
+}
+
+function queryText(value) {
+  return typeof value === 'string' ? value.trim() : '';
+}
+
+/**
+ * Other movies sharing a genre with this one, best rated first
+ */
+async function relatedMovies(movie) {
+  const genres = (movie.genre || []).map(genre => genre.toLowerCase());
+  if (genres.length === 0) return [];
+
+  const candidates = await getMovieRepository().find(activeOnly());
+  return candidates
+    .filter(other => String(other._id) !== String(movie._id))
+    .filter(other => (other.genre || []).some(genre => genres.includes(genre.toLowerCase())))
+    .sort((a, b) => (b.rating || 0) - (a.rating || 0))
+    .slice(0, RELATED_LIMIT);
+}
+
+/**
+ * GET /search?q=&genre=&director=&year_min=&year_max=&rating_min=&cursor=
+ * Relevance-ranked search page. Filters work with or without q; without
+ * either, only the form is shown.
+ */
+router.get('/search', async (req, res) => {
+  const query = queryText(req.query.q);
+  const filters = {};
+  SEARCH_FILTERS.forEach(name => { filters[name] = queryText(req.query[name]); });
+  const view = {
+    title: query ? `Search: ${query}` : 'Search',
+    query,
+    filters,
+    searched: false,
+    results: [],
+    total: 0,
+    prev: null,
+    next: null,
+    error: null
+  };
+
+  if (!query && !SEARCH_FILTERS.some(name => filters[name])) {
+    return res.render('search', view);
+  }
+
+  try {
+    const candidates = await getMovieRepository().find(activeOnly(buildMovieFilter(filters)));
+    const results = query
+      ? searchMovies(candidates, query)
+      : candidates.map(movie => ({ movie, score: null, highlights: {} }));
+    const page = await paginateArray(results, {
+      sort: query ? { score: -1, 'movie.title': 1 } : { 'movie.title': 1 },
+      idField: 'movie._id',
+      limit: PAGE_SIZE,
+      cursor: typeof req.query.cursor === 'string' ? req.query.cursor : undefined
+    });
+
+    res.render('search', {
+      ...view,
+      searched: true,
+      results: page.items.map(result => ({ ...result, poster: posterUrl(result.movie) })),
+      total: page.total,
+      prev: page.prev ? pageLink(req, page.prev) : null,
+      next: page.next ? pageLink(req, page.next) : null
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).render('search', { ...view, error: error.message });
+    }
+    console.error('Error searching:', error);
+    res.status(500).render('search', { ...view, error: 'Something went wrong, please try again' });
+  }
+});
+
+/**
+ * GET /item/:id
+ * Movie detail page
+ */
+router.get('/item/:id', async (req, res) => {
+  try {
+    const movie = await getMovieRepository().findOne(activeOnly({ _id: req.params.id }));
+    if (!movie) {
+      return res.status(404).render('404', {
+        title: 'Movie not found',
+        message: 'This movie does not exist or has been deleted.'
+      });
+    }
+
+    res.render('item', {
+      title: movie.title,
+      movie,
+      poster: posterUrl(movie),
+      related: (await relatedMovies(movie)).map(other => ({ movie: other, poster: posterUrl(other) }))
+    });
+  } catch (error) {
+    console.error('Error displaying movie:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+module.exports = router;
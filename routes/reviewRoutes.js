@@ -0,0 +1,172 @@
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const Review = require('../models/Review');
+const { tokenScope, requireAuth, requirePermission, requireVerifiedEmail, checkOwnership } = require('../middleware/auth');
+const { getMovieRepository, getReviewRepository } = require('../repositories');
+const { activeOnly } = require('../repositories/movieQuery');
+
+/**
+ * Recompute a movie's community average and vote count from its reviews.
+ * Stored on the movie so listings can filter and sort by them.
+ */
+async function refreshCommunityScore(movieId) {
+  const [summary] = await getReviewRepository().aggregate([
+    { $match: { movieId: String(movieId) } },
+    { $group: { _id: '$movieId', average: { $avg: '$score' }, votes: { $sum: 1 } } }
+  ]);
+
+  const communityScore = {
+    communityRating: summary && summary.votes > 0 ? Math.round(summary.average * 10) / 10 : null,
+    communityVotes: summary ? summary.votes : 0
+  };
+
+  await getMovieRepository().update(movieId, communityScore);
+  return communityScore;
+}
+
+/**
+ * Middleware: Load the movie from :id or respond 404 (also for trashed movies)
+ */
+async function loadMovie(req, res, next) {
+  try {
+    const movie = await getMovieRepository().findOne(activeOnly({ _id: req.params.id }));
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+    req.movie = movie;
+    next();
+  } catch (error) {
+    console.error('Error loading movie:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+/**
+ * Middleware: Load the review from :reviewId (must belong to the movie)
+ */
+async function loadReview(req, res, next) {
+  try {
+    const review = await getReviewRepository().findById(req.params.reviewId);
+    if (!review || review.movieId !== String(req.movie._id)) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+    req.review = review;
+    next();
+  } catch (error) {
+    console.error('Error loading review:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+router.use(tokenScope('reviews:write'));
+router.use(loadMovie);
+
+/**
+ * GET /api/movies/:id/reviews
+ * Public endpoint - List reviews for a movie (newest first)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const reviews = getReviewRepository();
+    const query = { movieId: String(req.movie._id) };
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = parseInt(req.query.page) || 1;
+
+    const [results, total] = await Promise.all([
+      reviews.find(query, { sort: { createdAt: -1 }, skip: (page - 1) * limit, limit }),
+      reviews.count(query)
+    ]);
+
+    res.json({
+      movieId: String(req.movie._id),
+      communityRating: req.movie.communityRating !== undefined ? req.movie.communityRating : null,
+      communityVotes: req.movie.communityVotes || 0,
+      count: results.length,
+      reviews: results,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching reviews:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+/**
+ * POST /api/movies/:id/reviews
+ * Protected endpoint - Review a movie (one review per user per movie)
+ */
+router.post('/', requirePermission('reviews:create'), requireVerifiedEmail, async (req, res) => {
+  try {
+    const errors = Review.validateReviewData(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const now = new Date().toISOString();
+    const review = await getReviewRepository().create({
+      movieId: String(req.movie._id),
+      userId: req.session.userId,
+      username: req.session.user ? req.session.user.username : null,
+      ...Review.createReviewObject(req.body),
+      createdAt: now,
+      updatedAt: now
+    });
+
+    const communityScore = await refreshCommunityScore(req.movie._id);
+    res.status(201).json({ review, ...communityScore });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'You have already reviewed this movie' });
+    }
+    console.error('Error creating review:', error);
+    res.status(500).json({ error: 'Failed to create review' });
+  }
+});
+
+/**
+ * PUT /api/movies/:id/reviews/:reviewId
+ * Protected endpoint - Edit a review (author only)
+ */
+router.put('/:reviewId', requireAuth, requireVerifiedEmail, loadReview, checkOwnership('review', 'update'), async (req, res) => {
+  try {
+    const errors = Review.validateReviewData(req.body, { partial: true });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Validation failed', details: errors });
+    }
+
+    const review = await getReviewRepository().update(req.review._id, {
+      ...Review.createReviewObject(req.body, { partial: true }),
+      updatedAt: new Date().toISOString()
+    });
+
+    const communityScore = await refreshCommunityScore(req.movie._id);
+    res.json({ review, ...communityScore });
+  } catch (error) {
+    console.error('Error updating review:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+/**
+ * DELETE /api/movies/:id/reviews/:reviewId
+ * Protected endpoint - Delete a review (author, or reviews:delete:any)
+ */
+router.delete('/:reviewId', requireAuth, loadReview, checkOwnership('review', 'delete'), async (req, res) => {
+  try {
+    await getReviewRepository().delete(req.review._id);
+
+    const communityScore = await refreshCommunityScore(req.movie._id);
+    res.json({ message: 'Review deleted successfully', ...communityScore });
+  } catch (error) {
+    console.error('Error deleting review:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+module.exports = router;
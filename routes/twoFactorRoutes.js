@@ -0,0 +1,229 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const User = require('../models/User');
+const { requireAuth, adminTwoFactorRequired } = require('../middleware/auth');
+const { sendLocked, loginLimiter } = require('../middleware/rateLimiter');
+const { getUsersCollection } = require('../database/mongodb');
+const { generateSecret, verifyCode, otpauthUri } = require('../security/totp');
+
+// Shown as the account's label in authenticator apps
+const ISSUER = process.env.TOTP_ISSUER || 'Movie Library';
+
+/**
+ * Check a second factor: { code } from the authenticator app, or a
+ * { recoveryCode }. Returns 'code', 'recovery' or null.
+ *
+ * Both are single-use: a TOTP code is refused once its time step (or a
+ * later one) has been used, and a recovery code is removed when used.
+ * The conditional updates keep that true when two requests race.
+ */
+async function verifySecondFactor(user, { code, recoveryCode } = {}) {
+  const users = getUsersCollection();
+
+  if (code) {
+    const step = verifyCode(user.twoFactor.secret, code);
+    if (step === null) return null;
+
+    const result = await users.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $not: { $gte: step } } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return result.modifiedCount === 1 ? 'code' : null;
+  }
+
+  if (recoveryCode) {
+    const hash = User.hashRecoveryCode(recoveryCode);
+    const result = await users.updateOne(
+      { _id: user._id, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    return result.modifiedCount === 1 ? 'recovery' : null;
+  }
+
+  return null;
+}
+
+function limiterKey(req) {
+  return `user:${req.session.user.username.toLowerCase()}`;
+}
+
+/**
+ * Middleware: Load the logged-in user as req.twoFactorUser. Refuses while
+ * the account is locked out, since wrong codes count as failed logins.
+ */
+async function loadUser(req, res, next) {
+  try {
+    const retryAfter = loginLimiter.retryAfter(limiterKey(req));
+    if (retryAfter > 0) return sendLocked(req, res, retryAfter);
+
+    const user = await getUsersCollection().findOne({ _id: new ObjectId(req.session.userId) });
+    if (!user) {
+      return res.status(401).json({ error: 'User not found' });
+    }
+    req.twoFactorUser = user;
+    next();
+  } catch (error) {
+    console.error('Error loading user for two-factor authentication:', error);
+    res.status(503).json({ error: 'Database unavailable' });
+  }
+}
+
+function invalidCode(req, res) {
+  loginLimiter.hit(limiterKey(req));
+  res.status(400).json({ error: 'Invalid authentication code' });
+}
+
+/**
+ * GET /api/auth/2fa
+ * Two-factor status of the logged-in user
+ */
+router.get('/', requireAuth, loadUser, (req, res) => {
+  const { twoFactor } = req.twoFactorUser;
+  res.json({
+    enabled: User.isTwoFactorEnabled(req.twoFactorUser),
+    recoveryCodesLeft: twoFactor && twoFactor.enabled ? (twoFactor.recoveryCodes || []).length : 0,
+    required: req.session.role === 'admin' && adminTwoFactorRequired()
+  });
+});
+
+/**
+ * POST /api/auth/2fa/setup
+ * Start enrollment: returns a new secret and its otpauth:// URI for an
+ * authenticator app. Nothing changes until /enable confirms a code.
+ */
+router.post('/setup', requireAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    if (User.isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $set: { twoFactor: { enabled: false, pendingSecret: secret } } }
+    );
+
+    res.json({
+      secret,
+      otpauthUri: otpauthUri({ secret, account: user.username, issuer: ISSUER }),
+      message: 'Add this secret to your authenticator app, then confirm a code with POST /api/auth/2fa/enable'
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Failed to start two-factor setup' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/enable
+ * Body: { code }. Turns 2FA on and returns recovery codes - the only time
+ * they are shown.
+ */
+router.post('/enable', requireAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    if (User.isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+      return res.status(400).json({ error: 'Start with POST /api/auth/2fa/setup' });
+    }
+
+    const step = verifyCode(user.twoFactor.pendingSecret, req.body.code);
+    if (step === null) return invalidCode(req, res);
+
+    const { codes, hashes } = User.createRecoveryCodes();
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          twoFactor: {
+            enabled: true,
+            secret: user.twoFactor.pendingSecret,
+            recoveryCodes: hashes,
+            lastUsedStep: step,
+            enabledAt: new Date()
+          },
+          updatedAt: new Date()
+        }
+      }
+    );
+
+    // This session has just proven it holds the second factor
+    req.session.twoFactor = true;
+    req.sessionSave();
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.',
+      recoveryCodes: codes
+    });
+  } catch (error) {
+    console.error('Two-factor enable error:', error);
+    res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/recovery-codes
+ * Body: { code }. Replaces all recovery codes with a new set.
+ */
+router.post('/recovery-codes', requireAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    if (!User.isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!await verifySecondFactor(user, { code: req.body.code })) return invalidCode(req, res);
+
+    const { codes, hashes } = User.createRecoveryCodes();
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $set: { 'twoFactor.recoveryCodes': hashes } }
+    );
+
+    res.json({ message: 'New recovery codes created; the old ones no longer work', recoveryCodes: codes });
+  } catch (error) {
+    console.error('Recovery code error:', error);
+    res.status(500).json({ error: 'Failed to create recovery codes' });
+  }
+});
+
+/**
+ * POST /api/auth/2fa/disable
+ * Body: { password, code } or { password, recoveryCode }
+ */
+router.post('/disable', requireAuth, loadUser, async (req, res) => {
+  try {
+    const user = req.twoFactorUser;
+    const { password, code, recoveryCode } = req.body;
+
+    if (!User.isTwoFactorEnabled(user)) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (user.role === 'admin' && adminTwoFactorRequired()) {
+      return res.status(403).json({ error: 'Two-factor authentication is required for admin accounts' });
+    }
+    if (!password || !await User.verifyPassword(password, user.password)) {
+      loginLimiter.hit(limiterKey(req));
+      return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (!await verifySecondFactor(user, { code, recoveryCode })) return invalidCode(req, res);
+
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $unset: { twoFactor: '' }, $set: { updatedAt: new Date() } }
+    );
+
+    req.session.twoFactor = false;
+    req.sessionSave();
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+  }
+});
+
+module.exports = { router, verifySecondFactor };
@@ -0,0 +1,271 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const User = require('../models/User');
+const { requirePermission } = require('../middleware/auth');
+const { getUsersCollection } = require('../database/mongodb');
+const { ROLES, permissionsForRole } = require('../security/permissions');
+const { listApiTokens, revokeAllApiTokens } = require('../security/apiTokens');
+const { sendPasswordReset } = require('../mail/accountMail');
+const { reassignMovies, anonymizeReviews } = require('../repositories/movieOwnership');
+
+// User management (/api/auth/users). Every route needs users:manage.
+// Changes that affect what a user may do end their sessions straight away;
+// sessions cache the role, so that also applies to role changes.
+
+router.use(requirePermission('users:manage'));
+
+/**
+ * Who is making a change, for logs and the movie history
+ */
+function actorFrom(req) {
+  return {
+    userId: req.session.userId,
+    username: req.session.user ? req.session.user.username : null
+  };
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Middleware: Load the user named by :id as req.targetUser
+ */
+async function loadTarget(req, res, next) {
+  try {
+    if (!ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    const user = await getUsersCollection().findOne({ _id: new ObjectId(req.params.id) });
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    req.targetUser = user;
+    next();
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(503).json({ error: 'Database unavailable' });
+  }
+}
+
+/**
+ * Middleware: Refuse changes to the admin's own account, so nobody locks
+ * themselves out (an admin can always be changed by another admin)
+ */
+function notSelf(req, res, next) {
+  if (req.targetUser._id.toString() === req.session.userId) {
+    return res.status(400).json({ error: 'You cannot do this to your own account' });
+  }
+  next();
+}
+
+/**
+ * GET /api/auth/users
+ * List users, newest first. Filters: ?q= (username starts with), ?role=,
+ * ?disabled=true|false; paged with ?page&limit
+ */
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (typeof req.query.q === 'string' && req.query.q.trim()) {
+      query.username = { $regex: `^${escapeRegex(req.query.q.trim())}`, $options: 'i' };
+    }
+    if (typeof req.query.role === 'string' && req.query.role) {
+      query.role = req.query.role;
+    }
+    if (req.query.disabled === 'true') query.disabled = true;
+    if (req.query.disabled === 'false') query.disabled = { $ne: true };
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const users = getUsersCollection();
+    const [results, total] = await Promise.all([
+      users.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+      users.countDocuments(query)
+    ]);
+
+    res.json({
+      count: results.length,
+      users: results.map(user => User.sanitizeUser(user)),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit),
+        hasMore: page * limit < total
+      }
+    });
+  } catch (error) {
+    console.error('Error listing users:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+/**
+ * GET /api/auth/users/:id
+ * One user with their permissions and API tokens (never the secrets)
+ */
+router.get('/:id', loadTarget, async (req, res) => {
+  try {
+    res.json({
+      user: User.sanitizeUser(req.targetUser),
+      permissions: permissionsForRole(req.targetUser.role),
+      apiTokens: await listApiTokens(req.targetUser._id)
+    });
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    res.status(500).json({ error: 'Failed to fetch user' });
+  }
+});
+
+/**
+ * PUT /api/auth/users/:id/role
+ * Body: { role }. The user logs in again to get the new role.
+ */
+router.put('/:id/role', loadTarget, notSelf, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!Object.keys(ROLES).includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${Object.keys(ROLES).join(', ')}` });
+    }
+
+    const user = req.targetUser;
+    if (user.role !== role) {
+      await getUsersCollection().updateOne(
+        { _id: user._id },
+        { $set: { role, updatedAt: new Date() } }
+      );
+      await req.sessionDestroyUser(user._id);
+      console.log(`${actorFrom(req).username} changed the role of ${user.username} from ${user.role} to ${role}`);
+    }
+
+    res.json({ message: 'Role updated', user: User.sanitizeUser({ ...user, role }) });
+  } catch (error) {
+    console.error('Error changing role:', error);
+    res.status(500).json({ error: 'Failed to change role' });
+  }
+});
+
+/**
+ * POST /api/auth/users/:id/disable
+ * Body: { reason? }. Ends the user's sessions; login and API tokens are
+ * refused until the account is enabled again.
+ */
+router.post('/:id/disable', loadTarget, notSelf, async (req, res) => {
+  try {
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim().slice(0, 500) : '';
+    const user = req.targetUser;
+
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $set: { disabled: true, disabledAt: new Date(), disabledReason: reason || null, updatedAt: new Date() } }
+    );
+    const sessionsEnded = await req.sessionDestroyUser(user._id);
+    console.log(`${actorFrom(req).username} disabled ${user.username}`);
+
+    res.json({ message: 'Account disabled', id: user._id.toString(), sessionsEnded });
+  } catch (error) {
+    console.error('Error disabling user:', error);
+    res.status(500).json({ error: 'Failed to disable user' });
+  }
+});
+
+/**
+ * POST /api/auth/users/:id/enable
+ * Re-enable a disabled account
+ */
+router.post('/:id/enable', loadTarget, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $set: { disabled: false, updatedAt: new Date() }, $unset: { disabledAt: '', disabledReason: '' } }
+    );
+    console.log(`${actorFrom(req).username} enabled ${user.username}`);
+
+    res.json({ message: 'Account enabled', id: user._id.toString() });
+  } catch (error) {
+    console.error('Error enabling user:', error);
+    res.status(500).json({ error: 'Failed to enable user' });
+  }
+});
+
+/**
+ * POST /api/auth/users/:id/password-reset
+ * Make the user choose a new password: ends their sessions, refuses login
+ * with the old password and mails them a reset link
+ */
+router.post('/:id/password-reset', loadTarget, notSelf, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    if (!user.email) {
+      return res.status(400).json({ error: 'User has no email address to send a reset link to' });
+    }
+
+    await getUsersCollection().updateOne(
+      { _id: user._id },
+      { $set: { passwordResetRequired: true, updatedAt: new Date() } }
+    );
+    const sessionsEnded = await req.sessionDestroyUser(user._id);
+    await sendPasswordReset(user, { forced: true });
+    console.log(`${actorFrom(req).username} required a password reset for ${user.username}`);
+
+    res.json({ message: `Password reset required; link sent to ${user.email}`, id: user._id.toString(), sessionsEnded });
+  } catch (error) {
+    console.error('Error forcing password reset:', error);
+    res.status(500).json({ error: 'Failed to force password reset' });
+  }
+});
+
+/**
+ * DELETE /api/auth/users/:id?movies=anonymize|reassign&reassignTo=<userId>
+ * Delete a user. Their movies go to reassignTo, or to nobody (the default,
+ * "anonymize"); their reviews lose the author name; their API tokens and
+ * sessions end.
+ */
+router.delete('/:id', loadTarget, notSelf, async (req, res) => {
+  try {
+    const user = req.targetUser;
+    const mode = req.query.movies || 'anonymize';
+    if (!['anonymize', 'reassign'].includes(mode)) {
+      return res.status(400).json({ error: 'movies must be "anonymize" or "reassign"' });
+    }
+
+    let newOwner = null;
+    if (mode === 'reassign') {
+      const { reassignTo } = req.query;
+      if (!ObjectId.isValid(reassignTo) || reassignTo === user._id.toString()) {
+        return res.status(400).json({ error: 'reassignTo must be the id of another user' });
+      }
+      newOwner = await getUsersCollection().findOne({ _id: new ObjectId(reassignTo) });
+      if (!newOwner) {
+        return res.status(400).json({ error: 'reassignTo user not found' });
+      }
+    }
+
+    // Hand over the content first: if this fails, the user still exists and it can be retried
+    const actor = actorFrom(req);
+    const movies = await reassignMovies(user._id, newOwner ? newOwner._id : null, actor);
+    const reviews = await anonymizeReviews(user._id);
+    const apiTokens = await revokeAllApiTokens(user._id);
+
+    await getUsersCollection().deleteOne({ _id: user._id });
+    await req.sessionDestroyUser(user._id);
+    console.log(`${actor.username} deleted ${user.username} (${movies} movie(s) ${newOwner ? `to ${newOwner.username}` : 'anonymized'})`);
+
+    res.json({
+      message: 'User deleted',
+      id: user._id.toString(),
+      movies: { mode, count: movies, reassignedTo: newOwner ? newOwner._id.toString() : null },
+      reviewsAnonymized: reviews,
+      apiTokensRevoked: apiTokens
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    res.status(500).json({ error: 'Failed to delete user' });
+  }
+});
+
+module.exports = router;
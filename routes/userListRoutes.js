@@ -0,0 +1,132 @@
+const express = require('express');
+const router = express.Router();
+const { ObjectId } = require('mongodb');
+const { tokenScope, requireAuth } = require('../middleware/auth');
+const { getUsersCollection } = require('../database/mongodb');
+const { getMovieRepository } = require('../repositories');
+const { activeOnly } = require('../repositories/movieQuery');
+const { paginate, InvalidCursorError } = require('../repositories/pagination');
+const { parsePagination, setPaginationHeaders, paginationInfo } = require('../middleware/pagination');
+
+// Per-user movie lists, stored as arrays of movie ids on the user document
+const LISTS = ['favorites', 'watchlist'];
+
+/**
+ * Get the movie ids in one of a user's lists
+ */
+async function getUserList(userId, listName) {
+  const user = await getUsersCollection().findOne(
+    { _id: new ObjectId(userId) },
+    { projection: { [listName]: 1 } }
+  );
+  return user && Array.isArray(user[listName]) ? user[listName] : [];
+}
+
+/**
+ * Middleware: Check :list is a known list and users are reachable
+ */
+function resolveList(req, res, next) {
+  if (!LISTS.includes(req.params.list)) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  try {
+    getUsersCollection();
+  } catch (error) {
+    return res.status(503).json({ error: 'Database unavailable' });
+  }
+  next();
+}
+
+router.use(tokenScope('lists:write'));
+
+/**
+ * GET /api/me/:list
+ * Protected endpoint - List movies in favorites or watchlist
+ * ids always lists the whole list; movies can be paged with ?limit=&cursor=
+ */
+router.get('/:list', requireAuth, resolveList, parsePagination(), async (req, res) => {
+  try {
+    const ids = await getUserList(req.session.userId, req.params.list);
+    const query = activeOnly({ _id: { $in: ids } });
+
+    if (req.pagination) {
+      const page = await paginate(getMovieRepository(), query, req.pagination);
+      setPaginationHeaders(req, res, page);
+      return res.json({
+        list: req.params.list,
+        ids,
+        count: page.items.length,
+        movies: page.items,
+        pagination: paginationInfo(page)
+      });
+    }
+
+    const movies = ids.length > 0 ? await getMovieRepository().find(query) : [];
+
+    res.json({
+      list: req.params.list,
+      ids,
+      count: movies.length,
+      movies
+    });
+  } catch (error) {
+    if (error instanceof InvalidCursorError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error(`Error fetching ${req.params.list}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/me/:list/:movieId
+ * Protected endpoint - Add a movie to favorites or watchlist
+ */
+router.put('/:list/:movieId', requireAuth, resolveList, async (req, res) => {
+  try {
+    const movie = await getMovieRepository().findOne(activeOnly({ _id: req.params.movieId }));
+    if (!movie) {
+      return res.status(404).json({ error: 'Movie not found' });
+    }
+
+    await getUsersCollection().updateOne(
+      { _id: new ObjectId(req.session.userId) },
+      { $addToSet: { [req.params.list]: String(movie._id) }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      message: `Added to ${req.params.list}`,
+      list: req.params.list,
+      movieId: String(movie._id),
+      saved: true
+    });
+  } catch (error) {
+    console.error(`Error adding to ${req.params.list}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/me/:list/:movieId
+ * Protected endpoint - Remove a movie from favorites or watchlist
+ */
+router.delete('/:list/:movieId', requireAuth, resolveList, async (req, res) => {
+  try {
+    await getUsersCollection().updateOne(
+      { _id: new ObjectId(req.session.userId) },
+      { $pull: { [req.params.list]: req.params.movieId }, $set: { updatedAt: new Date() } }
+    );
+
+    res.json({
+      message: `Removed from ${req.params.list}`,
+      list: req.params.list,
+      movieId: req.params.movieId,
+      saved: false
+    });
+  } catch (error) {
+    console.error(`Error removing from ${req.params.list}:`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = { router, getUserList, LISTS };
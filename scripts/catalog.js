@@ -0,0 +1,123 @@
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { connectToDatabase } = require('../database/mongodb');
+const { initializeRepositories, getMovieRepository, getHistoryRepository } = require('../repositories');
+const { activeOnly, buildMovieFilter, buildMovieSort } = require('../repositories/movieQuery');
+const {
+  FORMATS,
+  DUPLICATE_MODES,
+  parseImport,
+  importMovies,
+  exportMovies
+} = require('../repositories/movieTransfer');
+
+/**
+ * Catalog Import/Export Script
+ * Same behaviour as POST /api/movies/admin/import and GET /api/movies/admin/export,
+ * against the store selected by MOVIE_STORE. With the JSON file store, stop the
+ * server first (or use the endpoints) so only one process writes data/movies.json.
+ *
+ * Usage:
+ *   node scripts/catalog.js import <file> [--format csv|json] [--mode skip|overwrite|merge] [--dry-run]
+ *   node scripts/catalog.js export [--format csv|json] [--out <file>] [--genre Drama --year_min 2000 ...]
+ */
+
+const USAGE = `Usage:
+  node scripts/catalog.js import <file> [--format csv|json] [--mode skip|overwrite|merge] [--dry-run]
+  node scripts/catalog.js export [--format csv|json] [--out <file>] [filters, e.g. --genre Drama --sortBy year]`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args._.push(arg);
+    } else if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else {
+      args[arg.slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+}
+
+function formatFromFile(file) {
+  return path.extname(file).toLowerCase() === '.csv' ? 'csv' : 'json';
+}
+
+async function openStore() {
+  const store = (process.env.MOVIE_STORE || 'file').toLowerCase();
+  const db = store === 'mongodb' || store === 'mongo' ? await connectToDatabase() : null;
+  initializeRepositories({ db });
+  return getMovieRepository();
+}
+
+async function runImport(args) {
+  const file = args._[1];
+  if (!file) throw new Error('Missing file to import');
+
+  const format = (args.format || formatFromFile(file)).toLowerCase();
+  const mode = (args.mode || 'skip').toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+  if (!DUPLICATE_MODES.includes(mode)) throw new Error(`--mode must be one of: ${DUPLICATE_MODES.join(', ')}`);
+
+  const rows = parseImport(fs.readFileSync(file, 'utf8'), format);
+  const movies = await openStore();
+  const report = await importMovies(movies, rows, { mode, dryRun: args.dryRun });
+
+  console.log(`${report.dryRun ? 'Dry run: ' : ''}importing ${rows.length} rows from ${file} (mode: ${mode})`);
+  report.rows.forEach(row => {
+    const detail = row.errors ? ` - ${row.errors.map(error => (error.field ? `${error.field} ${error.message}` : error.message)).join('; ')}` : row.id ? ` (${row.id})` : '';
+    console.log(`  row ${row.row}: ${row.status} ${row.title || ''}${detail}`);
+  });
+
+  const { summary } = report;
+  console.log('');
+  console.log(`Created: ${summary.created}, updated: ${summary.updated}, skipped: ${summary.skipped}, ` +
+    `invalid: ${summary.invalid}, failed: ${summary.failed}`);
+
+  for (const repository of [movies, getHistoryRepository()]) {
+    if (repository.store) await repository.store.flush();
+  }
+  return summary.invalid + summary.failed === 0;
+}
+
+async function runExport(args) {
+  const format = (args.format || (args.out ? formatFromFile(args.out) : 'json')).toLowerCase();
+  if (!FORMATS.includes(format)) throw new Error(`--format must be one of: ${FORMATS.join(', ')}`);
+
+  const movies = await openStore();
+  const results = await movies.find(activeOnly(buildMovieFilter(args)), { sort: buildMovieSort(args) || { _id: 1 } });
+  const output = exportMovies(results, format);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, output);
+    console.log(`Exported ${results.length} movies to ${args.out}`);
+  } else {
+    process.stdout.write(output);
+  }
+  return true;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const commands = { import: runImport, export: runExport };
+  const command = commands[args._[0]];
+
+  if (!command) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const ok = await command(args);
+    process.exit(ok ? 0 : 1);
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -54,6 +54,7 @@ async function createAdmin() {
       username: adminUsername,
       password: hashedPassword,
       email: adminEmail,
+      emailVerified: true,
       role: 'admin'
     });
     
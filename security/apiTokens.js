@@ -0,0 +1,136 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { getApiTokensCollection } = require('../database/mongodb');
+
+/**
+ * Personal API tokens, sent as "Authorization: Bearer mlt_...".
+ *
+ * Stored in the api_tokens collection as
+ *   { userId, name, tokenHash, prefix, scopes, twoFactor, createdAt, lastUsedAt, expiresAt }
+ * Only the SHA-256 hash of a token is kept; the token itself is shown once,
+ * when it is created. prefix (the first characters) helps users tell tokens apart.
+ */
+
+const TOKEN_PREFIX = 'mlt_';
+
+// What a token may do. GET requests need "read"; writes need the scope of
+// the area they touch (see tokenScope in middleware/auth.js).
+const SCOPES = ['read', 'movies:write', 'reviews:write', 'lists:write', 'admin'];
+
+// lastUsedAt is written at most this often per token
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+function hashApiToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function isApiToken(value) {
+  return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+}
+
+/**
+ * Public view of a stored token
+ */
+function describeToken(doc) {
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    prefix: doc.prefix,
+    scopes: doc.scopes,
+    createdAt: doc.createdAt,
+    lastUsedAt: doc.lastUsedAt || null,
+    expiresAt: doc.expiresAt || null
+  };
+}
+
+/**
+ * Create indexes: token lookups by hash, listings by user, and removal
+ * of expired tokens by MongoDB
+ */
+async function ensureApiTokenIndexes() {
+  const tokens = getApiTokensCollection();
+  await tokens.createIndex({ tokenHash: 1 }, { unique: true });
+  await tokens.createIndex({ userId: 1 });
+  await tokens.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+}
+
+/**
+ * Create a token. Returns { token, info }; token is the only copy of the secret.
+ */
+async function createApiToken(userId, { name, scopes, expiresAt = null, twoFactor = false }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const doc = {
+    userId: String(userId),
+    name,
+    tokenHash: hashApiToken(token),
+    prefix: token.slice(0, TOKEN_PREFIX.length + 6),
+    scopes,
+    // Whether the session that created it had passed two-factor authentication
+    twoFactor: Boolean(twoFactor),
+    createdAt: new Date(),
+    lastUsedAt: null,
+    expiresAt
+  };
+
+  const result = await getApiTokensCollection().insertOne(doc);
+  return { token, info: describeToken({ _id: result.insertedId, ...doc }) };
+}
+
+/**
+ * Look up a presented token. Returns the stored token, or null if it is
+ * unknown or expired. Records when it was last used.
+ */
+async function findApiToken(token) {
+  if (!isApiToken(token)) return null;
+
+  const tokens = getApiTokensCollection();
+  const doc = await tokens.findOne({ tokenHash: hashApiToken(token) });
+  if (!doc || (doc.expiresAt && new Date(doc.expiresAt) <= new Date())) return null;
+
+  const now = new Date();
+  if (!doc.lastUsedAt || now - new Date(doc.lastUsedAt) >= TOUCH_INTERVAL_MS) {
+    await tokens.updateOne({ _id: doc._id }, { $set: { lastUsedAt: now } });
+    doc.lastUsedAt = now;
+  }
+  return doc;
+}
+
+/**
+ * A user's tokens, newest first
+ */
+async function listApiTokens(userId) {
+  const docs = await getApiTokensCollection()
+    .find({ userId: String(userId) })
+    .sort({ createdAt: -1 })
+    .toArray();
+  return docs.map(describeToken);
+}
+
+/**
+ * Revoke (delete) one of a user's tokens. Returns false if there is no such token.
+ */
+async function revokeApiToken(userId, id) {
+  if (!ObjectId.isValid(id)) return false;
+  const result = await getApiTokensCollection().deleteOne({ _id: new ObjectId(id), userId: String(userId) });
+  return result.deletedCount === 1;
+}
+
+/**
+ * Revoke all of a user's tokens (e.g. after a password reset or when the account is deleted).
+ * Returns the number revoked.
+ */
+async function revokeAllApiTokens(userId) {
+  const result = await getApiTokensCollection().deleteMany({ userId: String(userId) });
+  return result.deletedCount;
+}
+
+module.exports = {
+  SCOPES,
+  isApiToken,
+  ensureApiTokenIndexes,
+  createApiToken,
+  findApiToken,
+  listApiTokens,
+  revokeApiToken,
+  revokeAllApiTokens
+};
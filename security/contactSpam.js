@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+
+/**
+ * Server-side checks for the contact form.
+ *
+ * - Validation: the same rules public/js/contact.js shows in the browser.
+ * - Honeypot: a hidden "website" field people never see; bots fill it in.
+ * - Minimum time: the page fetches a signed form token when it loads, and a
+ *   submission sooner than CONTACT_MIN_SECONDS (default 3) after it is refused.
+ *   Each token works once, so one slow load cannot cover a burst of posts.
+ * - Content score: links, repeated text and blocklisted words add up; at
+ *   CONTACT_SPAM_THRESHOLD (default 5) the message goes to the spam folder.
+ */
+
+const HONEYPOT_FIELD = 'website';
+const FORM_TOKEN_FIELD = 'formToken';
+
+const NAME_PATTERN = /^[a-zA-Z\s]+$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MESSAGE_MIN_LENGTH = 10;
+const MESSAGE_MAX_LENGTH = 500;
+
+// Form tokens older than this are refused; reload the page for a new one
+const FORM_TOKEN_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_BLOCKLIST = [
+  'viagra', 'cialis', 'casino', 'crypto investment', 'bitcoin doubler', 'forex signals',
+  'payday loan', 'seo services', 'backlinks', 'buy followers', 'work from home', 'porn'
+];
+
+// Fallback signing key when SESSION_SECRET is unset: tokens only survive until a restart
+const fallbackKey = crypto.randomBytes(32).toString('hex');
+
+// Nonces of tokens already submitted -> when the token expires anyway
+const usedNonces = new Map();
+
+function envNumber(name, fallback) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) || value < 0 ? fallback : value;
+}
+
+function signingKey() {
+  return process.env.SESSION_SECRET || fallbackKey;
+}
+
+function sign(issuedAt, nonce) {
+  return crypto.createHmac('sha256', signingKey()).update(`contact-form:${issuedAt}.${nonce}`).digest('hex');
+}
+
+/**
+ * Record a nonce as used. Returns false if it already was.
+ */
+function useNonce(nonce, expiresAt, now) {
+  for (const [used, until] of usedNonces) {
+    if (until <= now) usedNonces.delete(used);
+  }
+  if (usedNonces.has(nonce)) return false;
+  usedNonces.set(nonce, expiresAt);
+  return true;
+}
+
+/**
+ * Check name, email and message like the browser does.
+ * Returns { values, errors }; errors maps field names to messages (empty when valid).
+ */
+function validateContact(body = {}) {
+  const values = {};
+  ['name', 'email', 'message'].forEach(field => {
+    values[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+  });
+
+  const errors = {};
+  if (!values.name) errors.name = 'This field is required';
+  else if (values.name.length < 2) errors.name = 'Name must be at least 2 characters';
+  else if (!NAME_PATTERN.test(values.name)) errors.name = 'Name can only contain letters and spaces';
+
+  if (!values.email) errors.email = 'This field is required';
+  else if (!EMAIL_PATTERN.test(values.email)) errors.email = 'Please enter a valid email address';
+
+  if (!values.message) errors.message = 'This field is required';
+  else if (values.message.length < MESSAGE_MIN_LENGTH) errors.message = `Message must be at least ${MESSAGE_MIN_LENGTH} characters`;
+  else if (values.message.length > MESSAGE_MAX_LENGTH) errors.message = `Message must be less than ${MESSAGE_MAX_LENGTH} characters`;
+
+  return { values, errors };
+}
+
+/**
+ * Whether the hidden honeypot field was filled in
+ */
+function isHoneypotFilled(body = {}) {
+  return typeof body[HONEYPOT_FIELD] === 'string' && body[HONEYPOT_FIELD].trim() !== '';
+}
+
+/**
+ * A signed, single-use token recording when the form was loaded
+ */
+function issueFormToken(now = Date.now()) {
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return `${now}.${nonce}.${sign(now, nonce)}`;
+}
+
+/**
+ * Check a form token and use it up. Returns null if the submission may
+ * go ahead, otherwise the reason it may not.
+ */
+function checkFormToken(token, now = Date.now()) {
+  const [issuedAt, nonce, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!/^\d+$/.test(issuedAt || '') || !/^[0-9a-f]{32}$/.test(nonce || '') || !signature) {
+    return 'Missing form token';
+  }
+
+  const expected = Buffer.from(sign(issuedAt, nonce));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return 'Invalid form token';
+  }
+
+  const age = now - Number(issuedAt);
+  if (age < envNumber('CONTACT_MIN_SECONDS', 3) * 1000) return 'Form submitted too quickly';
+  if (age > FORM_TOKEN_MAX_AGE_MS) return 'Form expired';
+  if (!useNonce(nonce, Number(issuedAt) + FORM_TOKEN_MAX_AGE_MS, now)) return 'Form already submitted';
+  return null;
+}
+
+function blocklist() {
+  const extra = (process.env.CONTACT_BLOCKLIST || '')
+    .split(',')
+    .map(word => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BLOCKLIST, ...extra];
+}
+
+/**
+ * Score a message's content; higher is more likely spam.
+ * Returns { score, reasons, spam }.
+ */
+function scoreContact({ name = '', message = '' }) {
+  const text = `${name} ${message}`.toLowerCase();
+  const reasons = [];
+  let score = 0;
+
+  const links = (message.match(/https?:\/\/|www\./gi) || []).length;
+  if (links >= 2) {
+    score += links;
+    reasons.push(`${links} links`);
+  }
+
+  // The same character 8+ times in a row ("!!!!!!!!", "aaaaaaaa")
+  if (/(.)\1{7,}/.test(message)) {
+    score += 2;
+    reasons.push('repeated characters');
+  }
+
+  // Few distinct words, or one word making up much of the message
+  const words = message.toLowerCase().match(/[a-z0-9']+/g) || [];
+  if (words.length >= 10) {
+    const counts = {};
+    words.forEach(word => { counts[word] = (counts[word] || 0) + 1; });
+    const distinct = Object.keys(counts).length;
+    const mostRepeated = Math.max(...Object.values(counts));
+    if (distinct / words.length < 0.4 || mostRepeated / words.length > 0.3) {
+      score += 3;
+      reasons.push('repeated words');
+    }
+  }
+
+  const blocked = blocklist().filter(word => text.includes(word));
+  if (blocked.length > 0) {
+    score += 3 * blocked.length;
+    reasons.push(`blocklisted: ${blocked.join(', ')}`);
+  }
+
+  return { score, reasons, spam: score >= envNumber('CONTACT_SPAM_THRESHOLD', 5) };
+}
+
+module.exports = {
+  HONEYPOT_FIELD,
+  FORM_TOKEN_FIELD,
+  validateContact,
+  isHoneypotFilled,
+  issueFormToken,
+  checkFormToken,
+  scoreContact
+};
@@ -0,0 +1,95 @@
+/**
+ * Role-based permissions.
+ *
+ * Routes ask for a permission (requirePermission in middleware/auth.js),
+ * never for a role; roles are just named sets of permissions. ":own"
+ * permissions apply to resources the user created, ":any" to all of them.
+ */
+
+const PERMISSIONS = {
+  'movies:create': 'Add movies',
+  'movies:update:own': 'Edit your own movies and their posters',
+  'movies:update:any': 'Edit any movie and its poster',
+  'movies:delete:own': 'Move your own movies to the trash',
+  'movies:delete:any': 'Move any movie to the trash',
+  'movies:trash': 'See the trash and restore movies from it',
+  'movies:purge': 'Permanently delete movies from the trash',
+  'movies:revert': 'Revert movies to earlier versions',
+  'movies:import': 'Bulk import movies',
+  'movies:export': 'Bulk export and list the whole catalog',
+  'reviews:create': 'Post reviews',
+  'reviews:update:own': 'Edit your own reviews',
+  'reviews:delete:own': 'Delete your own reviews',
+  'reviews:delete:any': 'Delete any review',
+  'messages:read': 'Read contact messages',
+  'messages:manage': 'Update, reply to and delete contact messages',
+  'users:manage': 'Manage user accounts and login lockouts'
+};
+
+const USER_PERMISSIONS = [
+  'movies:create',
+  'movies:update:own',
+  'movies:delete:own',
+  'reviews:create',
+  'reviews:update:own',
+  'reviews:delete:own'
+];
+
+const ROLES = {
+  user: USER_PERMISSIONS,
+  moderator: [
+    ...USER_PERMISSIONS,
+    'reviews:delete:any',
+    'messages:read'
+  ],
+  editor: [
+    ...USER_PERMISSIONS,
+    'movies:update:any',
+    'movies:delete:any',
+    'movies:trash',
+    'movies:revert',
+    'movies:import',
+    'movies:export'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+// API token scope each permission needs (see security/apiTokens.js);
+// anything not listed is a staff permission and needs the admin scope
+const TOKEN_SCOPES = {
+  'movies:create': 'movies:write',
+  'movies:update:own': 'movies:write',
+  'movies:delete:own': 'movies:write',
+  'reviews:create': 'reviews:write',
+  'reviews:update:own': 'reviews:write',
+  'reviews:delete:own': 'reviews:write'
+};
+
+/**
+ * Permissions granted by a role (none for an unknown role)
+ */
+function permissionsForRole(role) {
+  return ROLES[role] || [];
+}
+
+/**
+ * The API token scope needed to use a permission
+ */
+function tokenScopeFor(permission) {
+  return TOKEN_SCOPES[permission] || 'admin';
+}
+
+/**
+ * Whether a role has any permission beyond a regular user's
+ */
+function isStaffRole(role) {
+  return permissionsForRole(role).some(permission => !USER_PERMISSIONS.includes(permission));
+}
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  permissionsForRole,
+  tokenScopeFor,
+  isStaffRole
+};
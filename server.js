@@ -4,12 +4,33 @@ const path = require('path');
 const fs = require('fs');
 const { connectToDatabase } = require('./database/mongodb');
 const { router: authRouter, initializeDb: initAuthDb } = require('./routes/auth');
-const { requireAuth, requireAdmin, isAuthenticated } = require('./middleware/auth');
+const movieRouter = require('./routes/movieRoutes');
+const pageRouter = require('./routes/pageRoutes');
+const messageRouter = require('./routes/messageRoutes');
+const apiDocsRouter = require('./routes/apiDocsRoutes');
+const { router: userListRouter } = require('./routes/userListRoutes');
+const { initializeRepositories, getMovieRepository, getReviewRepository, getHistoryRepository } = require('./repositories');
+const { activeOnly } = require('./repositories/movieQuery');
+const { purgeExpiredMovies } = require('./repositories/movieTrash');
+const { loadMessages, flushMessages, createMessage, purgeExpiredMessages } = require('./repositories/contactMessages');
+const { rateLimit, contactLimiter, contactDailyLimiter } = require('./middleware/rateLimiter');
+const { authenticateApiToken, isAuthenticated } = require('./middleware/auth');
+const { csrfProtection } = require('./middleware/csrf');
+const { validateRequests } = require('./middleware/validateRequest');
+const { currentOpenApiDocument } = require('./openapi/document');
+const { ensureApiTokenIndexes } = require('./security/apiTokens');
+const { validateContact, isHoneypotFilled, checkFormToken, scoreContact, issueFormToken, FORM_TOKEN_FIELD } = require('./security/contactSpam');
 const SimpleSession = require('./middleware/simpleSession');
+const { createSessionStore } = require('./middleware/sessionStore');
+const { collectUnusedPosters } = require('./database/posterStore');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Server-rendered pages (routes/pageRoutes.js); <%= %> escapes output
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, 'views'));
+
 const sessionManager = new SimpleSession({
   secret: process.env.SESSION_SECRET || 'movie-library-secret-change-in-production',
   cookieName: 'movielib_session',
@@ -17,12 +38,23 @@ const sessionManager = new SimpleSession({
 });
 
 app.use(express.static('public'));
+// Bulk imports (routes/movieRoutes.js) can be much larger than other request bodies
+app.use('/api/movies/admin/import',
+  express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' }),
+  express.json({ limit: '10mb' })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use(express.json());
 
 app.use(sessionManager.middleware());
+// "Authorization: Bearer <token>" stands in for the session cookie
+app.use(authenticateApiToken);
+// Session-cookie writes must carry the session's CSRF token (API token requests are exempt)
+app.use(csrfProtection({ maxAge: sessionManager.maxAge }));
 
 app.use(isAuthenticated);
+// Check /api requests against the OpenAPI document (routes/apiDocsRoutes.js serves it)
+app.use(validateRequests(currentOpenApiDocument));
 
 app.use((req, res, next) => {
   const timestamp = new Date().toISOString();
@@ -34,71 +66,8 @@ app.use((req, res, next) => {
 const dataDir = path.join(__dirname, 'data');
 if (!fs.existsSync(dataDir)) fs.mkdirSync(dataDir);
 
-const moviesFilePath = path.join(dataDir, 'movies.json');
-const messagesFilePath = path.join(dataDir, 'messages.json');
-
-function readMoviesFromFile() {
-  try {
-    if (!fs.existsSync(moviesFilePath)) return [];
-    const data = fs.readFileSync(moviesFilePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-}
-
-function writeMoviesToFile(movies) {
-  try {
-    fs.writeFileSync(moviesFilePath, JSON.stringify(movies, null, 2), 'utf8');
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
-
-function readMessagesFromFile() {
-  try {
-    if (!fs.existsSync(messagesFilePath)) return [];
-    const data = fs.readFileSync(messagesFilePath, 'utf8');
-    return JSON.parse(data);
-  } catch (error) {
-    return [];
-  }
-}
-
-function writeMessagesToFile(messages) {
-  try {
-    fs.writeFileSync(messagesFilePath, JSON.stringify(messages, null, 2), 'utf8');
-    return true;
-  } catch (error) {
-    return false;
-  }
-}
-
-function generateMovieId() {
-  return Date.now().toString() + Math.random().toString(36).substr(2, 9);
-}
-
-function validateMovieData(req, res, next) {
-  const { title, year } = req.body;
-  
-  if (!title || typeof title !== 'string' || title.trim().length === 0) {
-    return res.status(400).json({ error: 'Title is required and must be a non-empty string' });
-  }
-  
-  if (!year) {
-    return res.status(400).json({ error: 'Year is required' });
-  }
-  
-  const yearNum = parseInt(year);
-  if (isNaN(yearNum) || yearNum < 1888 || yearNum > new Date().getFullYear() + 5) {
-    return res.status(400).json({ error: 'Invalid year' });
-  }
-  
-  next();
-}
-
 app.use('/api/auth', authRouter);
+app.use('/api', apiDocsRouter);
 app.get('/', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'index.html'));
 });
@@ -117,243 +86,34 @@ app.get('/register', (req, res) => {
   res.sendFile(path.join(__dirname, 'views', 'register.html'));
 });
 
-app.get('/about', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'about.html'));
+app.get('/forgot-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'forgot-password.html'));
 });
 
-app.get('/contact', (req, res) => {
-  res.sendFile(path.join(__dirname, 'views', 'contact.html'));
-});
-
-app.get('/api/movies', (req, res) => {
-  try {
-    const movies = readMoviesFromFile();
-    let filteredMovies = [...movies];
-
-    if (req.query.genre) {
-      const searchGenre = req.query.genre.toLowerCase();
-      filteredMovies = filteredMovies.filter(movie => 
-        movie.genre && movie.genre.some(g => g.toLowerCase().includes(searchGenre))
-      );
-    }
-
-    if (req.query.year) {
-      const year = parseInt(req.query.year);
-      if (!isNaN(year)) {
-        filteredMovies = filteredMovies.filter(movie => movie.year === year);
-      }
-    }
-
-    if (req.query.director) {
-      const searchDirector = req.query.director.toLowerCase();
-      filteredMovies = filteredMovies.filter(movie => 
-        movie.director && movie.director.toLowerCase().includes(searchDirector)
-      );
-    }
-
-    if (req.query.title) {
-      const searchTitle = req.query.title.toLowerCase();
-      filteredMovies = filteredMovies.filter(movie => 
-        movie.title && movie.title.toLowerCase().includes(searchTitle)
-      );
-    }
-
-    if (req.query.year_min) {
-      const yearMin = parseInt(req.query.year_min);
-      if (!isNaN(yearMin)) {
-        filteredMovies = filteredMovies.filter(movie => movie.year >= yearMin);
-      }
-    }
-
-    if (req.query.year_max) {
-      const yearMax = parseInt(req.query.year_max);
-      if (!isNaN(yearMax)) {
-        filteredMovies = filteredMovies.filter(movie => movie.year <= yearMax);
-      }
-    }
-
-    if (req.query.sortBy) {
-      const sortField = req.query.sortBy;
-      const sortOrder = req.query.order === 'desc' ? -1 : 1;
-      filteredMovies.sort((a, b) => {
-        if (a[sortField] < b[sortField]) return -1 * sortOrder;
-        if (a[sortField] > b[sortField]) return 1 * sortOrder;
-        return 0;
-      });
-    }
-
-    if (req.query.fields) {
-      const fields = req.query.fields.split(',');
-      filteredMovies = filteredMovies.map(movie => {
-        const projectedMovie = {};
-        fields.forEach(field => {
-          const trimmedField = field.trim();
-          if (movie.hasOwnProperty(trimmedField)) {
-            projectedMovie[trimmedField] = movie[trimmedField];
-          }
-        });
-        if (!projectedMovie._id && movie._id) projectedMovie._id = movie._id;
-        return projectedMovie;
-      });
-    }
-
-    res.json({
-      count: filteredMovies.length,
-      movies: filteredMovies
-    });
-  } catch (error) {
-    console.error('Error fetching movies:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Admin-only: get all movies with full details
-app.get('/api/movies/admin/all', requireAdmin, (req, res) => {
-  try {
-    const movies = readMoviesFromFile();
-    return res.json({ count: movies.length, movies });
-  } catch (error) {
-    console.error('Error fetching admin movies:', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
-});
-
-// Admin-only: delete any movie by id
-app.delete('/api/movies/admin/:id', requireAdmin, (req, res) => {
-  try {
-    const { id } = req.params;
-    const movies = readMoviesFromFile();
-    const idx = movies.findIndex(m => m._id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Movie not found' });
-    const deleted = movies.splice(idx, 1)[0];
-    if (writeMoviesToFile(movies)) {
-      return res.json({ message: 'Movie deleted by admin', movie: { _id: deleted._id, title: deleted.title, year: deleted.year } });
-    }
-    return res.status(500).json({ error: 'Failed to delete movie' });
-  } catch (error) {
-    console.error('Error deleting movie (admin):', error);
-    return res.status(500).json({ error: 'Internal server error' });
-  }
+app.get('/reset-password', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'reset-password.html'));
 });
 
-app.get('/api/movies/:id', (req, res) => {
-  try {
-    const movies = readMoviesFromFile();
-    const movie = movies.find(m => m._id === req.params.id);
-    if (!movie) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-    res.json(movie);
-  } catch (error) {
-    console.error('Error fetching movie:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+app.get('/verify-email', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'verify-email.html'));
 });
 
-app.post('/api/movies', requireAdmin, validateMovieData, (req, res) => {
-  try {
-    const { title, year, director, genre, rating, age_rating, description } = req.body;
-    
-    const movies = readMoviesFromFile();
-    
-    const newMovie = {
-      _id: generateMovieId(),
-      title: title.trim(),
-      year: parseInt(year),
-      director: director ? director.trim() : 'Unknown',
-      genre: Array.isArray(genre) ? genre : (genre ? [genre] : ['Unknown']),
-      rating: rating ? parseFloat(rating) : null,
-      age_rating: age_rating || null,
-      description: description ? description.trim() : '',
-      createdBy: req.session.user.username,
-      createdAt: new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-    
-    movies.push(newMovie);
-    
-    if (writeMoviesToFile(movies)) {
-      res.status(201).json(newMovie);
-    } else {
-      res.status(500).json({ error: 'Failed to save movie' });
-    }
-  } catch (error) {
-    console.error('Error creating movie:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+app.get('/about', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'about.html'));
 });
 
-app.put('/api/movies/:id', requireAdmin, validateMovieData, (req, res) => {
-  try {
-    const { id } = req.params;
-    const { title, year, director, genre, rating, age_rating, description } = req.body;
-    
-    const movies = readMoviesFromFile();
-    const movieIndex = movies.findIndex(m => m._id === id);
-    
-    if (movieIndex === -1) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-    
-    const updatedMovie = {
-      ...movies[movieIndex],
-      title: title ? title.trim() : movies[movieIndex].title,
-      year: year ? parseInt(year) : movies[movieIndex].year,
-      director: director ? director.trim() : movies[movieIndex].director,
-      genre: genre ? (Array.isArray(genre) ? genre : [genre]) : movies[movieIndex].genre,
-      rating: rating !== undefined ? parseFloat(rating) : movies[movieIndex].rating,
-      age_rating: age_rating !== undefined ? age_rating : movies[movieIndex].age_rating,
-      description: description !== undefined ? description.trim() : movies[movieIndex].description,
-      updatedBy: req.session.user.username,
-      updatedAt: new Date().toISOString()
-    };
-    
-    movies[movieIndex] = updatedMovie;
-    
-    if (writeMoviesToFile(movies)) {
-      res.json(updatedMovie);
-    } else {
-      res.status(500).json({ error: 'Failed to update movie' });
-    }
-  } catch (error) {
-    console.error('Error updating movie:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
+app.get('/contact', (req, res) => {
+  res.sendFile(path.join(__dirname, 'views', 'contact.html'));
 });
 
-app.delete('/api/movies/:id', requireAdmin, (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const movies = readMoviesFromFile();
-    const movieIndex = movies.findIndex(m => m._id === id);
-    
-    if (movieIndex === -1) {
-      return res.status(404).json({ error: 'Movie not found' });
-    }
-    
-    const deletedMovie = movies.splice(movieIndex, 1)[0];
-    
-    if (writeMoviesToFile(movies)) {
-      res.json({ 
-        message: 'Movie deleted successfully', 
-        deletedMovie,
-        deletedBy: req.session.user.username
-      });
-    } else {
-      res.status(500).json({ error: 'Failed to delete movie' });
-    }
-  } catch (error) {
-    console.error('Error deleting movie:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+app.use('/api/movies', movieRouter);
+app.use('/api/me', userListRouter);
 
-app.get('/api/seed', (req, res) => {
+app.get('/api/seed', async (req, res) => {
   try {
-    const movies = readMoviesFromFile();
+    const movies = await getMovieRepository().find(activeOnly());
     res.json({ 
-      message: 'Movies loaded from file', 
+      message: 'Movies loaded from store', 
       count: movies.length,
       movies: movies
     });
@@ -363,126 +123,62 @@ app.get('/api/seed', (req, res) => {
   }
 });
 
-app.get('/search', (req, res) => {
-  try {
-    const { q } = req.query;
-    if (!q) {
-      return res.status(400).send('Enter search term');
-    }
-    
-    const movies = readMoviesFromFile();
-    const results = movies.filter(m => 
-      m.title.toLowerCase().includes(q.toLowerCase()) ||
-      (m.description && m.description.toLowerCase().includes(q.toLowerCase()))
-    );
-    
-    let html = `<h1>Search results for: ${q}</h1>`;
-    results.forEach(m => {
-      html += `<div style="border:1px solid #ccc;padding:15px;margin:10px;border-radius:5px;">
-        <h3>${m.title} (${m.year})</h3>
-        <p><strong>Director:</strong> ${m.director}</p>
-        <p><strong>Genre:</strong> ${m.genre.join(', ')}</p>
-        <p><strong>Rating:</strong> ${m.rating}/10</p>
-        <p>${m.description ? (m.description.substring(0, 100) + '...') : 'No description'}</p>
-        <a href="/item/${m._id}">View details</a></div>`;
-    });
-    if (results.length === 0) html += '<p>No movies found</p>';
-    html += '<br><a href="/">← Back to Home</a>';
-    res.send(html);
-  } catch (error) {
-    console.error('Error searching:', error);
-    res.status(500).send('Internal server error');
-  }
+app.use(pageRouter);
+
+/**
+ * GET /api/contact/form-token
+ * Signed load time for the contact form (see security/contactSpam.js)
+ */
+app.get('/api/contact/form-token', (req, res) => {
+  res.set('Cache-Control', 'no-store');
+  res.json({ token: issueFormToken() });
 });
 
-app.get('/item/:id', (req, res) => {
+app.post('/contact', rateLimit(contactLimiter), rateLimit(contactDailyLimiter), async (req, res) => {
   try {
-    const { id } = req.params;
-    const movies = readMoviesFromFile();
-    const movie = movies.find(m => m._id === id);
-    
-    if (!movie) {
-      return res.status(404).send('Movie not found');
+    const { values, errors } = validateContact(req.body);
+    const fields = Object.keys(errors);
+    if (fields.length > 0) {
+      return res.status(400).send(fields.map(field => `${field}: ${errors[field]}`).join('\n'));
     }
-    
-    res.send(`
-      <html>
-        <head>
-          <title>${movie.title}</title>
-          <style>
-            body { font-family: Arial; margin: 40px; }
-            .movie-card { max-width: 800px; margin: 0 auto; }
-            .api-link { color: #667eea; }
-          </style>
-        </head>
-        <body>
-          <div class="movie-card">
-            <h1>${movie.title} (${movie.year})</h1>
-            <p><strong>Director:</strong> ${movie.director}</p>
-            <p><strong>Genre:</strong> ${movie.genre.join(', ')}</p>
-            <p><strong>Rating:</strong> ${movie.rating}/10</p>
-            <p><strong>Age Rating:</strong> ${movie.age_rating}</p>
-            <p>${movie.description || 'No description available'}</p>
-            <a href="/">← Back to Home</a>
-            <br><br>
-            <a href="/api/movies/${movie._id}" class="api-link" target="_blank">View JSON API data</a>
-          </div>
-        </body>
-      </html>
-    `);
-  } catch (error) {
-    console.error('Error displaying movie:', error);
-    res.status(500).send('Internal server error');
-  }
-});
 
-app.post('/contact', (req, res) => {
-  try {
-    const { name, email, message } = req.body;
-    
-    if (!name || !email || !message) {
-      return res.status(400).send('All fields are required');
+    const thanks = `<h2>Thank you ${values.name}!</h2><a href="/">← Home</a>`;
+
+    // Only bots fill in the hidden field; let them think it worked
+    if (isHoneypotFilled(req.body)) {
+      console.log(`Contact form honeypot filled from ${req.ip} - message dropped`);
+      return res.send(thanks);
     }
-    
-    const messages = readMessagesFromFile();
-    const newMessage = {
-      id: messages.length + 1,
-      name: name.trim(),
-      email: email.trim(),
-      message: message.trim(),
-      timestamp: new Date().toISOString()
-    };
-    
-    messages.push(newMessage);
-    
-    if (writeMessagesToFile(messages)) {
-      res.send(`<h2>Thank you ${name}!</h2><a href="/">← Home</a>`);
-    } else {
-      res.status(500).send('Failed to save message');
+
+    const tokenProblem = checkFormToken(req.body[FORM_TOKEN_FIELD]);
+    if (tokenProblem) {
+      return res.status(400).send(`${tokenProblem}. Reload the page and try again.`);
+    }
+
+    const check = scoreContact(values);
+    await createMessage({
+      ...values,
+      spam: check.spam ? { score: check.score, reasons: check.reasons } : null
+    });
+    if (check.spam) {
+      console.log(`Contact message from ${req.ip} filed as spam (score ${check.score}: ${check.reasons.join('; ')})`);
     }
+    res.send(thanks);
   } catch (error) {
     console.error('Error saving contact message:', error);
     res.status(500).send('Internal server error');
   }
 });
 
-app.get('/api/messages', (req, res) => {
-  try {
-    const messages = readMessagesFromFile();
-    res.json(messages);
-  } catch (error) {
-    console.error('Error fetching messages:', error);
-    res.status(500).json({ error: 'Internal server error' });
-  }
-});
+app.use('/api/messages', messageRouter);
 
-app.get('/api/info', (req, res) => {
+app.get('/api/info', async (req, res) => {
   try {
-    const movies = readMoviesFromFile();
+    const movieCount = await getMovieRepository().count(activeOnly());
     res.json({ 
       project: 'Movie Library', 
       version: '4.0 - with Authentication', 
-      movieCount: movies.length,
+      movieCount,
       authenticated: !!req.session.userId,
       user: req.session.user || null
     });
@@ -493,7 +189,10 @@ app.get('/api/info', (req, res) => {
 });
 
 app.use((req, res) => {
-  res.status(404).json({ error: 'Not found' });
+  if (req.path.startsWith('/api/') || !req.accepts('html')) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.status(404).render('404', { title: 'Page not found' });
 });
 
 app.use((err, req, res, next) => {
@@ -502,10 +201,12 @@ app.use((err, req, res, next) => {
 });
 
 async function startServer() {
+  let db;
   try {
-    const db = await connectToDatabase();
+    db = await connectToDatabase();
     if (db) {
       initAuthDb(db);
+      await ensureApiTokenIndexes().catch(error => console.error('Error creating API token indexes:', error));
       console.log('MongoDB connected - authentication enabled');
     } else {
       console.log('MongoDB unavailable - authentication disabled');
@@ -514,6 +215,45 @@ async function startServer() {
     console.log('Starting without MongoDB - authentication disabled');
   }
 
+  sessionManager.setStore(createSessionStore({ db }));
+  console.log(`Session store: ${sessionManager.store.constructor.name}`);
+
+  try {
+    await loadMessages();
+    initializeRepositories({ db });
+  } catch (error) {
+    // Never serve an empty catalog because a data file is unreadable
+    console.error(error.message);
+    console.error('Refusing to start. Restore the file from a backup or fix it by hand.');
+    process.exit(1);
+  }
+  console.log(`Catalog store: ${getMovieRepository().constructor.name}`);
+
+  // Clean up uploaded posters orphaned by a crash or by imports
+  collectUnusedPosters(getMovieRepository())
+    .then(removed => {
+      if (removed.length > 0) console.log(`Removed ${removed.length} unused poster file(s)`);
+    })
+    .catch(error => console.error('Error collecting unused posters:', error));
+
+  // Empty the trash of movies past the retention window, now and hourly
+  const purgeTrash = () => purgeExpiredMovies()
+    .then(purged => {
+      if (purged.length > 0) console.log(`Purged ${purged.length} movie(s) from the trash`);
+    })
+    .catch(error => console.error('Error purging trash:', error));
+  purgeTrash();
+  setInterval(purgeTrash, 60 * 60 * 1000).unref();
+
+  // Delete contact messages past the retention window, now and hourly
+  const purgeMessages = () => purgeExpiredMessages()
+    .then(purged => {
+      if (purged.length > 0) console.log(`Deleted ${purged.length} expired contact message(s)`);
+    })
+    .catch(error => console.error('Error purging contact messages:', error));
+  purgeMessages();
+  setInterval(purgeMessages, 60 * 60 * 1000).unref();
+
   app.listen(PORT, () => {
     console.log(`\nMovie Library Server v4.0`);
     console.log(`Server running on http://localhost:${PORT}`);
@@ -525,22 +265,53 @@ async function startServer() {
     console.log('      POST   /api/movies           - Create movie');
     console.log('      PUT    /api/movies/:id       - Update movie');
     console.log('      DELETE /api/movies/:id       - Delete movie');
+    console.log('      PUT    /api/movies/:id/poster - Upload poster');
     console.log('   Authentication:');
     console.log('      POST   /api/auth/register    - Register new user');
     console.log('      POST   /api/auth/login       - Login');
     console.log('      POST   /api/auth/logout      - Logout');
     console.log('      GET    /api/auth/me          - Current user info');
+    console.log('      POST   /api/auth/forgot-password - Email a password reset link');
+    console.log('      POST   /api/auth/reset-password  - Set a new password with a reset token');
+    console.log('      POST   /api/auth/verify-email    - Confirm an email address');
+    console.log('      POST   /api/auth/resend-verification - Send a new confirmation link');
+    console.log('      POST   /api/auth/login/2fa   - Second login step (2FA)');
+    console.log('      POST   /api/auth/2fa/setup   - Start two-factor enrollment');
+    console.log('      POST   /api/auth/tokens      - Create a personal API token');
+    console.log('      GET    /api/auth/users       - Manage users (users:manage)');
+    console.log('      GET    /api/messages         - Contact inbox (messages:read)');
+    console.log('   Reference:');
+    console.log('      GET    /api/openapi.json     - OpenAPI description of every endpoint');
+    console.log('      GET    /api/docs             - API reference page');
     console.log('\nPages:');
     console.log('   /         - Homepage');
     console.log('   /login    - Login page');
     console.log('   /register - Registration page');
     console.log('   /about    - About page');
     console.log('   /contact  - Contact page');
+    console.log('   /search   - Search page (q, genre, director, year, rating filters)');
+    console.log('   /item/:id - Movie page');
+  });
+}
 
-    if (!fs.existsSync(moviesFilePath)) {
-      writeMoviesToFile([]);
+/**
+ * Fold pending journal entries into the data files before exiting
+ */
+async function shutdown(signal) {
+  console.log(`\n${signal} received - flushing data files`);
+  try {
+    const repositories = [getMovieRepository(), getReviewRepository(), getHistoryRepository()];
+    for (const repository of repositories) {
+      if (repository.store) await repository.store.flush();
     }
-  });
+    await flushMessages();
+  } catch (error) {
+    console.error('Error flushing data files:', error);
+  }
+  process.exit(0);
 }
 
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 startServer();
\ No newline at end of file
@@ -1,10 +1,42 @@
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const { generateCode } = require('./security/totp');
 
 const BASE_URL = 'http://localhost:3000';
+const DATA_DIR = path.join(__dirname, 'data');
+// Mail is read from the server's outbox (MAIL_TRANSPORT=outbox, the default)
+const OUTBOX_DIR = path.resolve(__dirname, process.env.MAIL_OUTBOX_DIR || path.join('data', 'outbox'));
+const LOGIN_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const CONTACT_MIN_SECONDS = parseFloat(process.env.CONTACT_MIN_SECONDS) || 3;
+// 0 keeps contact messages forever
+const MESSAGE_RETENTION_DAYS = isNaN(parseFloat(process.env.MESSAGE_RETENTION_DAYS))
+  ? 365
+  : parseFloat(process.env.MESSAGE_RETENTION_DAYS);
+
+// Admin checks log in as the account npm run create-admin makes; they are skipped without it
+const ADMIN_USERNAME = process.env.TEST_ADMIN_USERNAME || 'admin';
+const ADMIN_PASSWORD = process.env.TEST_ADMIN_PASSWORD || 'Admin123!';
+
 let testResults = [];
 let sessionCookie = null;
+let csrfToken = null;
+let adminSession = null;
+
+// The CSRF token arrives in its own cookie next to the session cookie
+function readCsrfToken(res, fallback = csrfToken) {
+  const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith('movielib_csrf='));
+  return cookie ? cookie.split(';')[0].split('=')[1] || null : fallback;
+}
 
-function makeRequest(method, path, data = null, cookie = null) {
+function readSessionCookie(res) {
+  const cookie = (res.headers['set-cookie'] || []).find(c => c.startsWith('movielib_session='));
+  return cookie ? cookie.split(';')[0] : null;
+}
+
+// Strings and buffers are sent as they are (CSV, uploads), anything else as JSON.
+// csrf: true sends the main session's token, a string sends that token instead
+function makeRequest(method, path, data = null, cookie = null, { csrf = true, headers = {} } = {}) {
   return new Promise((resolve, reject) => {
     const url = new URL(path, BASE_URL);
     const options = {
@@ -14,11 +46,16 @@ function makeRequest(method, path, data = null, cookie = null) {
       method: method,
       headers: {
         'Content-Type': 'application/json',
+        ...headers
       }
     };
 
     if (cookie) {
       options.headers['Cookie'] = cookie;
+      const token = typeof csrf === 'string' ? csrf : csrfToken;
+      if (csrf && token && method !== 'GET') {
+        options.headers['X-CSRF-Token'] = token;
+      }
     }
 
     const req = http.request(options, (res) => {
@@ -45,13 +82,63 @@ function makeRequest(method, path, data = null, cookie = null) {
     req.on('error', reject);
 
     if (data) {
-      req.write(JSON.stringify(data));
+      req.write(typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data));
     }
 
     req.end();
   });
 }
 
+/**
+ * A multipart/form-data upload of one file.
+ * Returns { body, options } for makeRequest.
+ */
+function fileUpload(field, filename, contentType, content) {
+  const boundary = 'movielib-test-' + Date.now();
+  const body = Buffer.concat([
+    Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="${field}"; filename="${filename}"\r\n` +
+      `Content-Type: ${contentType}\r\n\r\n`),
+    content,
+    Buffer.from(`\r\n--${boundary}--\r\n`)
+  ]);
+  return { body, options: { headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}` } } };
+}
+
+/**
+ * Log in on a session of its own, next to the main one.
+ * Returns { cookie, csrf, body } or null if the login failed.
+ */
+async function loginAs(username, password) {
+  const res = await makeRequest('POST', '/api/auth/login', { username, password });
+  const cookie = readSessionCookie(res);
+  if (res.statusCode !== 200 || !cookie) return null;
+  return { cookie, csrf: readCsrfToken(res, null), body: res.body };
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Token from the newest link to pathname mailed to an address since a
+ * time (ISO string). Some mail is sent after the response, so this waits
+ * up to two seconds. Returns null if no such mail arrives.
+ */
+async function mailedToken(to, pathname, since) {
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const files = fs.existsSync(OUTBOX_DIR)
+      ? fs.readdirSync(OUTBOX_DIR).filter(file => file.endsWith('.json')).sort().reverse()
+      : [];
+    for (const file of files) {
+      const mail = JSON.parse(fs.readFileSync(path.join(OUTBOX_DIR, file), 'utf8'));
+      const match = mail.text.match(new RegExp(`${pathname}\\?token=(\\w+)`));
+      if (mail.to === to && mail.sentAt >= since && match) return match[1];
+    }
+    await sleep(100);
+  }
+  return null;
+}
+
 function logTest(name, passed, details = '') {
   const symbol = passed ? '+' : '-';
   console.log(`${symbol} ${name}`);
@@ -81,6 +168,41 @@ async function runTests() {
   logTest('GET /api/movies (public)', getMovies.statusCode === 200,
     `Found ${getMovies.body.count || 0} movies`);
 
+  console.log('\nTesting OpenAPI Request Validation');
+  console.log('-'.repeat(60));
+
+  const openapiRes = await makeRequest('GET', '/api/openapi.json');
+  const spec = openapiRes.body || {};
+  logTest('OpenAPI document served', openapiRes.statusCode === 200 && !!(spec.paths && spec.paths['/api/movies']),
+    `Version: ${spec.openapi || 'N/A'}`);
+
+  // Films may be announced up to five years ahead
+  const movieInput = spec.components && spec.components.schemas && spec.components.schemas.MovieInput;
+  const yearMaximum = movieInput && movieInput.properties.year.maximum;
+  logTest('Movie year bound follows the current year', yearMaximum === new Date().getFullYear() + 5,
+    `Maximum year: ${yearMaximum}`);
+
+  const badQuery = await makeRequest('GET', '/api/movies?year_min=abc&rating_min=11');
+  const badFields = (badQuery.body.details || []).map(detail => `${detail.in}.${detail.field}`);
+  logTest('Invalid query parameters rejected with details',
+    badQuery.statusCode === 400 && badFields.includes('query.year_min') && badFields.includes('query.rating_min'),
+    `Details: ${badFields.join(', ') || 'none'}`);
+
+  const goodQuery = await makeRequest('GET', '/api/movies?year_min=2000&rating_min=5');
+  logTest('Valid query parameters accepted', goodQuery.statusCode === 200,
+    `Status: ${goodQuery.statusCode}`);
+
+  const missingQuery = await makeRequest('GET', '/api/movies/search');
+  logTest('Missing required parameter rejected',
+    missingQuery.statusCode === 400 && Array.isArray(missingQuery.body.details),
+    `Error: ${missingQuery.body.error}`);
+
+  const badBody = await makeRequest('POST', '/api/auth/login', { username: 123, password: 'whatever' });
+  const badBodyFields = (badBody.body.details || []).map(detail => `${detail.in}.${detail.field}`);
+  logTest('Invalid JSON body rejected with details',
+    badBody.statusCode === 400 && badBodyFields.includes('body.username'),
+    `Details: ${badBodyFields.join(', ') || 'none'}`);
+
   console.log('\nTesting Protected Routes (without auth)');
   console.log('-'.repeat(60));
 
@@ -123,12 +245,24 @@ async function runTests() {
 
   if (registrationSuccess && registerRes.headers['set-cookie']) {
     sessionCookie = registerRes.headers['set-cookie'][0].split(';')[0];
+    csrfToken = readCsrfToken(registerRes);
     logTest('Session cookie set after registration', true,
       'Cookie: ' + sessionCookie.substring(0, 30) + '...');
   } else {
     logTest('Session cookie set after registration', false);
   }
 
+  // A second regular account for checks that need two users
+  const otherUsername = 'otheruser_' + Date.now();
+  const otherRegister = await makeRequest('POST', '/api/auth/register', {
+    username: otherUsername,
+    password: testPassword
+  });
+  const otherUserId = otherRegister.statusCode === 201 ? otherRegister.body.user._id : null;
+  const otherSession = otherUserId
+    ? { cookie: readSessionCookie(otherRegister), csrf: readCsrfToken(otherRegister, null) }
+    : null;
+
   console.log('\nTesting Password Security');
   console.log('-'.repeat(60));
 
@@ -164,9 +298,71 @@ async function runTests() {
 
   if (loginSuccess && loginRes.headers['set-cookie']) {
     sessionCookie = loginRes.headers['set-cookie'][0].split(';')[0];
+    csrfToken = readCsrfToken(loginRes);
     logTest('Session cookie set after login', true);
   }
 
+  adminSession = await loginAs(ADMIN_USERNAME, ADMIN_PASSWORD);
+  if (adminSession && adminSession.body.twoFactorRequired) {
+    // The second step needs the admin's authenticator
+    adminSession = null;
+  }
+  if (!adminSession) {
+    console.log(`   Admin checks skipped (no login for "${ADMIN_USERNAME}")`);
+  }
+
+  console.log('\nTesting Login Rate Limiting');
+  console.log('-'.repeat(60));
+
+  // A username nobody has, so no real account is locked out
+  const lockedUsername = 'lockout_' + Date.now();
+  const failedLogins = [];
+  for (let i = 0; i < LOGIN_MAX_ATTEMPTS; i++) {
+    failedLogins.push(await makeRequest('POST', '/api/auth/login', {
+      username: lockedUsername,
+      password: 'wrongpassword'
+    }));
+  }
+  logTest('Failed logins under the limit get 401',
+    failedLogins.every(res => res.statusCode === 401),
+    `Statuses: ${failedLogins.map(res => res.statusCode).join(', ')}`);
+
+  const lockedRes = await makeRequest('POST', '/api/auth/login', {
+    username: lockedUsername,
+    password: 'wrongpassword'
+  });
+  logTest('Username locked out after too many failures',
+    lockedRes.statusCode === 429 && !!lockedRes.headers['retry-after'],
+    `Status: ${lockedRes.statusCode}, Retry-After: ${lockedRes.headers['retry-after'] || 'none'}`);
+
+  if (sessionCookie) {
+    const otherLogin = await loginAs(testUsername, testPassword);
+    logTest('Other usernames can still log in', !!otherLogin,
+      'Lockouts are per username');
+
+    const lockoutsAsUser = await makeRequest('GET', '/api/auth/admin/lockouts', null, sessionCookie);
+    logTest('Lockout list is admin only', lockoutsAsUser.statusCode === 403,
+      `Status: ${lockoutsAsUser.statusCode}`);
+  }
+
+  if (adminSession) {
+    const lockouts = await makeRequest('GET', '/api/auth/admin/lockouts', null, adminSession.cookie);
+    const listed = (lockouts.body.lockouts || []).some(lockout => lockout.key === `user:${lockedUsername}`);
+    logTest('Admin sees the lockout', lockouts.statusCode === 200 && listed,
+      `Status: ${lockouts.statusCode}`);
+
+    const cleared = await makeRequest('DELETE',
+      `/api/auth/admin/lockouts/login/${encodeURIComponent(`user:${lockedUsername}`)}`,
+      null, adminSession.cookie, { csrf: adminSession.csrf });
+    const afterClear = await makeRequest('POST', '/api/auth/login', {
+      username: lockedUsername,
+      password: 'wrongpassword'
+    });
+    logTest('Cleared lockout lets the username try again',
+      cleared.statusCode === 200 && afterClear.statusCode === 401,
+      `Clear: ${cleared.statusCode}, next login: ${afterClear.statusCode}`);
+  }
+
   console.log('\nTesting Cookie Security');
   console.log('-'.repeat(60));
 
@@ -209,6 +405,27 @@ async function runTests() {
 
     if (createSuccess) {
       const movieId = createRes.body._id;
+      const title = createRes.body.title;
+
+      // Same answers whichever MOVIE_STORE backs the catalog
+      const fetched = await makeRequest('GET', `/api/movies/${movieId}`);
+      logTest('Created movie read back by id',
+        fetched.statusCode === 200 && fetched.body.title === title && fetched.body.year === 2024 &&
+          fetched.body.rating === 8.5,
+        `Status: ${fetched.statusCode}`);
+
+      const filtered = await makeRequest('GET',
+        `/api/movies?title=${encodeURIComponent(title)}&genre=sci-fi&year_min=2024&fields=title,year`);
+      const found = (filtered.body.movies || [])[0];
+      logTest('Filters and field selection find the new movie',
+        filtered.body.total === 1 && !!found && found.title === title && found.director === undefined,
+        `Found: ${filtered.body.total}`);
+
+      const stats = await makeRequest('GET', '/api/movies/stats');
+      const everyMovie = await makeRequest('GET', '/api/movies');
+      logTest('Statistics count the same movies as the list',
+        stats.statusCode === 200 && stats.body.total === everyMovie.body.total,
+        `Stats: ${stats.body.total}, list: ${everyMovie.body.total}`);
 
       const updateRes = await makeRequest('PUT', `/api/movies/${movieId}`, {
         title: 'Updated Test Movie',
@@ -223,11 +440,588 @@ async function runTests() {
 
       logTest('Delete movie with valid session', deleteRes.statusCode === 200,
         `Status: ${deleteRes.statusCode}`);
+
+      const afterDelete = await makeRequest('GET', `/api/movies/${movieId}`);
+      const unknownId = await makeRequest('GET', '/api/movies/not-a-movie-id');
+      logTest('Deleted and unknown movies return 404',
+        afterDelete.statusCode === 404 && unknownId.statusCode === 404,
+        `Deleted: ${afterDelete.statusCode}, unknown: ${unknownId.statusCode}`);
     }
   } else {
     logTest('Authenticated operations', false, 'No session cookie available');
   }
 
+  console.log('\nTesting Concurrent Writes');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const batch = 'Concurrent Test ' + Date.now();
+    const created = await Promise.all([1, 2, 3, 4, 5].map(n => makeRequest('POST', '/api/movies', {
+      title: `${batch} #${n}`,
+      year: 2024
+    }, sessionCookie)));
+    const saved = await makeRequest('GET', `/api/movies?title=${encodeURIComponent(batch)}`);
+    logTest('Simultaneous creates are all saved',
+      created.every(res => res.statusCode === 201) && saved.body.total === created.length,
+      `Saved: ${saved.body.total} of ${created.length}`);
+
+    await Promise.all(created.filter(res => res.statusCode === 201).map(res =>
+      makeRequest('DELETE', `/api/movies/${res.body._id}`, null, sessionCookie)));
+    const remaining = await makeRequest('GET', `/api/movies?title=${encodeURIComponent(batch)}`);
+    logTest('Simultaneous deletes are all applied', remaining.body.total === 0,
+      `Remaining: ${remaining.body.total}`);
+
+    // Writes go to a temp file that is renamed over the data file
+    let wholeFile = true;
+    try {
+      JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'movies.json'), 'utf8'));
+    } catch (error) {
+      wholeFile = false;
+    }
+    const leftovers = fs.readdirSync(DATA_DIR).filter(name => name.endsWith('.tmp'));
+    logTest('Data file is whole JSON with no temp files left', wholeFile && leftovers.length === 0,
+      `Temp files: ${leftovers.length}`);
+  }
+
+  console.log('\nTesting Reviews');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie && otherSession) {
+    const reviewed = await makeRequest('POST', '/api/movies', {
+      title: 'Review Test ' + Date.now(),
+      year: 2024,
+      rating: 5
+    }, sessionCookie);
+
+    if (reviewed.statusCode === 201) {
+      const reviewsPath = `/api/movies/${reviewed.body._id}/reviews`;
+
+      const anonymousReview = await makeRequest('POST', reviewsPath, { score: 8 });
+      const badScore = await makeRequest('POST', reviewsPath, { score: 11 }, sessionCookie);
+      logTest('Reviews need a login and a score from 0 to 10',
+        anonymousReview.statusCode === 401 && badScore.statusCode === 400,
+        `Anonymous: ${anonymousReview.statusCode}, score 11: ${badScore.statusCode}`);
+
+      const ownReview = await makeRequest('POST', reviewsPath, {
+        score: 6,
+        text: 'Decent'
+      }, sessionCookie);
+      const otherReview = await makeRequest('POST', reviewsPath, {
+        score: 9,
+        text: 'Great',
+        spoiler: true
+      }, otherSession.cookie, { csrf: otherSession.csrf });
+      logTest('Community rating averages every review',
+        otherReview.statusCode === 201 && otherReview.body.communityRating === 7.5 &&
+          otherReview.body.communityVotes === 2,
+        `Rating: ${otherReview.body.communityRating}, votes: ${otherReview.body.communityVotes}`);
+
+      const secondReview = await makeRequest('POST', reviewsPath, { score: 10 }, sessionCookie);
+      logTest('One review per user per movie', secondReview.statusCode === 409,
+        `Status: ${secondReview.statusCode}`);
+
+      if (ownReview.statusCode === 201 && otherReview.statusCode === 201) {
+        const ownReviewPath = `${reviewsPath}/${ownReview.body.review._id}`;
+        const otherEdit = await makeRequest('PUT', ownReviewPath, { score: 0 },
+          otherSession.cookie, { csrf: otherSession.csrf });
+        const otherDelete = await makeRequest('DELETE', ownReviewPath, null,
+          otherSession.cookie, { csrf: otherSession.csrf });
+        logTest('Users cannot change other users\' reviews',
+          otherEdit.statusCode === 403 && otherDelete.statusCode === 403,
+          `Edit: ${otherEdit.statusCode}, delete: ${otherDelete.statusCode}`);
+
+        const ownEdit = await makeRequest('PUT', ownReviewPath, { score: 8 }, sessionCookie);
+        const movie = await makeRequest('GET', `/api/movies/${reviewed.body._id}`);
+        logTest('Edited review updates the movie\'s community rating',
+          ownEdit.statusCode === 200 && movie.body.communityRating === 8.5 && movie.body.rating === 5,
+          `Community: ${movie.body.communityRating}, editorial: ${movie.body.rating}`);
+
+        const sorted = await makeRequest('GET', '/api/movies?sortBy=communityVotes&order=desc&limit=1');
+        logTest('Movies sort by community votes',
+          (sorted.body.movies || [])[0] && sorted.body.movies[0]._id === reviewed.body._id,
+          `First: ${(sorted.body.movies || [])[0] ? sorted.body.movies[0].title : 'none'}`);
+
+        await makeRequest('DELETE', `${reviewsPath}/${otherReview.body.review._id}`, null,
+          otherSession.cookie, { csrf: otherSession.csrf });
+        const deleted = await makeRequest('DELETE', ownReviewPath, null, sessionCookie);
+        const listed = await makeRequest('GET', reviewsPath);
+        logTest('Deleting reviews clears the community rating',
+          deleted.statusCode === 200 && deleted.body.communityRating === null && listed.body.count === 0,
+          `Rating: ${deleted.body.communityRating}, reviews left: ${listed.body.count}`);
+      }
+
+      await makeRequest('DELETE', `/api/movies/${reviewed.body._id}`, null, sessionCookie);
+    }
+  }
+
+  console.log('\nTesting Favorites and Watchlist');
+  console.log('-'.repeat(60));
+
+  const anonymousFavorites = await makeRequest('GET', '/api/me/favorites');
+  const anonymousFilter = await makeRequest('GET', '/api/movies?favorites=true');
+  logTest('Lists require login', anonymousFavorites.statusCode === 401 && anonymousFilter.statusCode === 401,
+    `List: ${anonymousFavorites.statusCode}, filter: ${anonymousFilter.statusCode}`);
+
+  if (sessionCookie && otherSession) {
+    const listed = await makeRequest('POST', '/api/movies', {
+      title: 'List Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+
+    if (listed.statusCode === 201) {
+      const movieId = listed.body._id;
+
+      const added = await makeRequest('PUT', `/api/me/favorites/${movieId}`, null, sessionCookie);
+      const addedAgain = await makeRequest('PUT', `/api/me/favorites/${movieId}`, null, sessionCookie);
+      const favorites = await makeRequest('GET', '/api/me/favorites', null, sessionCookie);
+      logTest('Favorite saved once however often it is added',
+        added.statusCode === 200 && addedAgain.statusCode === 200 &&
+          (favorites.body.ids || []).filter(id => id === movieId).length === 1,
+        `Favorites: ${favorites.body.count}`);
+
+      const unknownList = await makeRequest('PUT', `/api/me/wishlist/${movieId}`, null, sessionCookie);
+      const unknownMovie = await makeRequest('PUT', '/api/me/favorites/not-a-movie-id', null, sessionCookie);
+      // The list name is checked against the OpenAPI document first
+      logTest('Unknown lists rejected and unknown movies return 404',
+        unknownList.statusCode === 400 && unknownMovie.statusCode === 404,
+        `List: ${unknownList.statusCode}, movie: ${unknownMovie.statusCode}`);
+
+      const otherFavorites = await makeRequest('GET', '/api/me/favorites', null, otherSession.cookie);
+      logTest('Lists are kept per user', !(otherFavorites.body.ids || []).includes(movieId),
+        `Other user's favorites: ${otherFavorites.body.count}`);
+
+      const favoritesOnly = await makeRequest('GET', '/api/movies?favorites=true', null, sessionCookie);
+      const bothLists = await makeRequest('GET', '/api/movies?favorites=true&watchlist=true', null, sessionCookie);
+      await makeRequest('PUT', `/api/me/watchlist/${movieId}`, null, sessionCookie);
+      const bothAfterAdd = await makeRequest('GET', '/api/movies?favorites=true&watchlist=true', null, sessionCookie);
+      logTest('Catalog filters by the user\'s lists',
+        (favoritesOnly.body.movies || []).some(movie => movie._id === movieId) &&
+          bothLists.body.total === 0 && bothAfterAdd.body.total === 1,
+        `Favorites: ${favoritesOnly.body.total}, both before: ${bothLists.body.total}, after: ${bothAfterAdd.body.total}`);
+
+      const removed = await makeRequest('DELETE', `/api/me/favorites/${movieId}`, null, sessionCookie);
+      const afterRemove = await makeRequest('GET', '/api/me/favorites', null, sessionCookie);
+      logTest('Favorite removed', removed.statusCode === 200 && !(afterRemove.body.ids || []).includes(movieId),
+        `Status: ${removed.statusCode}`);
+
+      await makeRequest('DELETE', `/api/me/watchlist/${movieId}`, null, sessionCookie);
+      await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+    }
+  }
+
+  console.log('\nTesting Search');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    // One made-up word, so only the movies added here match it
+    const word = 'srch' + Date.now().toString(36);
+    const searchMoviesAdded = [
+      await makeRequest('POST', '/api/movies', {
+        title: 'Search Test Description',
+        year: 2024,
+        description: `Mentions ${word} only in passing`
+      }, sessionCookie),
+      await makeRequest('POST', '/api/movies', {
+        title: `<b>${word}</b> Search Test`,
+        year: 2024
+      }, sessionCookie),
+      await makeRequest('POST', '/api/movies', {
+        title: `Летят журавли ${word}`,
+        year: 1957
+      }, sessionCookie)
+    ];
+
+    if (searchMoviesAdded.every(res => res.statusCode === 201)) {
+      const [inDescription, inTitle, nonLatin] = searchMoviesAdded.map(res => res.body);
+
+      const ranked = await makeRequest('GET', `/api/movies/search?q=${word}`);
+      const order = (ranked.body.results || []).map(result => result.movie._id);
+      logTest('Title matches rank above description matches',
+        ranked.body.total === 3 && order.indexOf(inTitle._id) < order.indexOf(inDescription._id) &&
+          ranked.body.results.every(result => result.score > 0),
+        `Scores: ${(ranked.body.results || []).map(result => result.score).join(', ')}`);
+
+      const titleHit = (ranked.body.results || []).find(result => result.movie._id === inTitle._id);
+      logTest('Matches highlighted in escaped HTML',
+        !!titleHit && titleHit.highlights.title.includes(`&lt;b&gt;${word}&lt;/b&gt;</mark>`) &&
+          !titleHit.highlights.title.includes('<b>'),
+        `Title: ${titleHit ? titleHit.highlights.title : 'not found'}`);
+
+      const typo = word.slice(0, -2) + word.slice(-1) + word.slice(-2, -1);
+      const typoSearch = await makeRequest('GET', `/api/movies/search?q=${typo}`);
+      logTest('Search tolerates typos', typoSearch.body.total === 3,
+        `"${typo}" found ${typoSearch.body.total}`);
+
+      const cyrillic = await makeRequest('GET', `/api/movies/search?q=${encodeURIComponent(`журавли ${word}`)}`);
+      const cyrillicHit = (cyrillic.body.results || [])[0];
+      logTest('Words in non-Latin scripts are searched',
+        !!cyrillicHit && cyrillicHit.movie._id === nonLatin._id &&
+          cyrillicHit.highlights.title === `Летят <mark>журавли</mark> <mark>${word}</mark>`,
+        `First: ${cyrillicHit ? cyrillicHit.highlights.title : 'none'}`);
+
+      const page = await makeRequest('GET', `/search?q=${word}`);
+      const html = typeof page.body === 'string' ? page.body : '';
+      const titlePosition = html.indexOf(`&lt;b&gt;${word}&lt;/b&gt;`);
+      logTest('Search page lists results by relevance',
+        page.statusCode === 200 && html.includes('3 movies found') &&
+          titlePosition >= 0 && titlePosition < html.indexOf('Search Test Description'),
+        `Status: ${page.statusCode}`);
+
+      const longQuery = await makeRequest('GET', `/api/movies/search?q=${encodeURIComponent(`${word} `.repeat(100))}`);
+      logTest('Very long queries are cut short, not refused', longQuery.statusCode === 200 && longQuery.body.total === 3,
+        `Status: ${longQuery.statusCode}`);
+    }
+
+    for (const res of searchMoviesAdded.filter(res => res.statusCode === 201)) {
+      await makeRequest('DELETE', `/api/movies/${res.body._id}`, null, sessionCookie);
+    }
+  }
+
+  console.log('\nTesting Cursor Pagination');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const batch = 'Page Test ' + Date.now();
+    const pagedMovies = [];
+    for (const year of [2001, 2002, 2003, 2004, 2005]) {
+      const res = await makeRequest('POST', '/api/movies', { title: `${batch} ${year}`, year }, sessionCookie);
+      if (res.statusCode === 201) pagedMovies.push(res.body);
+    }
+    const listPath = `/api/movies?title=${encodeURIComponent(batch)}&sortBy=year&limit=2`;
+    const years = res => (res.body.movies || []).map(movie => movie.year).join(',');
+
+    const firstPage = await makeRequest('GET', listPath);
+    logTest('First page has a next cursor, Link header and total',
+      years(firstPage) === '2001,2002' && !!firstPage.body.pagination.next &&
+        /rel="next"/.test(firstPage.headers['link'] || '') && firstPage.headers['x-total-count'] === '5',
+      `Years: ${years(firstPage)}, Link: ${firstPage.headers['link'] ? 'yes' : 'no'}`);
+
+    // Movies added before the cursor and deleted behind it must not shift later pages
+    const added = await makeRequest('POST', '/api/movies', { title: `${batch} 2000`, year: 2000 }, sessionCookie);
+    if (added.statusCode === 201) pagedMovies.push(added.body);
+    await makeRequest('DELETE', `/api/movies/${pagedMovies[0]._id}`, null, sessionCookie);
+
+    const nextCursor = encodeURIComponent(firstPage.body.pagination.next || '');
+    const secondPage = await makeRequest('GET', `${listPath}&cursor=${nextCursor}`);
+    logTest('Next page unaffected by inserts and deletes on earlier pages', years(secondPage) === '2003,2004',
+      `Years: ${years(secondPage)}`);
+
+    const lastPage = await makeRequest('GET',
+      `${listPath}&cursor=${encodeURIComponent(secondPage.body.pagination.next || '')}`);
+    const backPage = await makeRequest('GET',
+      `${listPath}&cursor=${encodeURIComponent(secondPage.body.pagination.prev || '')}`);
+    logTest('Walks forward to the end and back again',
+      years(lastPage) === '2005' && lastPage.body.pagination.next === null && years(backPage) === '2000,2002',
+      `Last: ${years(lastPage)}, back from page 2: ${years(backPage)}`);
+
+    // A cursor's sort key values must stay plain values, never query operators
+    const injected = Buffer.from(JSON.stringify({ d: 'next', s: { year: 1, _id: 1 }, k: [{ $ne: null }, null] }))
+      .toString('base64url');
+    const garbage = await makeRequest('GET', `${listPath}&cursor=not-a-cursor`);
+    const operator = await makeRequest('GET', `${listPath}&cursor=${injected}`);
+    const otherSort = await makeRequest('GET',
+      `/api/movies?title=${encodeURIComponent(batch)}&sortBy=title&limit=2&cursor=${nextCursor}`);
+    const badLimit = await makeRequest('GET', '/api/movies?limit=0');
+    logTest('Bad cursors and limits rejected',
+      [garbage, operator, otherSort, badLimit].every(res => res.statusCode === 400),
+      `Statuses: ${[garbage, operator, otherSort, badLimit].map(res => res.statusCode).join(', ')}`);
+
+    for (const movie of pagedMovies.slice(1)) {
+      await makeRequest('DELETE', `/api/movies/${movie._id}`, null, sessionCookie);
+    }
+  }
+
+  console.log('\nTesting Catalog Import and Export');
+  console.log('-'.repeat(60));
+
+  const csvHeaders = { headers: { 'Content-Type': 'text/csv' } };
+
+  if (sessionCookie) {
+    const importAsUser = await makeRequest('POST', '/api/movies/admin/import', 'title,year\r\nNope,2024\r\n',
+      sessionCookie, csvHeaders);
+    const exportAsUser = await makeRequest('GET', '/api/movies/admin/export', null, sessionCookie);
+    logTest('Import and export are admin only', importAsUser.statusCode === 403 && exportAsUser.statusCode === 403,
+      `Import: ${importAsUser.statusCode}, export: ${exportAsUser.statusCode}`);
+  }
+
+  if (adminSession) {
+    const batch = 'Import Test ' + Date.now();
+    // A title a spreadsheet would run as a formula
+    const formulaTitle = `=SUM(1,2) ${batch}`;
+    const csv = [
+      'title,year,director,genre',
+      `${batch} Plain,2020,Someone,Drama|Comedy`,
+      `"${formulaTitle}",2021,Someone,Drama`,
+      `${batch} Too Old,1800,Someone,Drama`
+    ].join('\r\n');
+    const importPath = '/api/movies/admin/import?format=csv';
+    const batchFilter = `title=${encodeURIComponent(batch)}`;
+
+    const dryRun = await makeRequest('POST', `${importPath}&dryRun=true`, csv,
+      adminSession.cookie, { ...csvHeaders, csrf: adminSession.csrf });
+    const afterDryRun = await makeRequest('GET', `/api/movies?${batchFilter}`);
+    const invalidRow = (dryRun.body.rows || []).find(row => row.status === 'invalid');
+    logTest('Dry run reports every row and saves nothing',
+      dryRun.statusCode === 200 && dryRun.body.summary.created === 2 && dryRun.body.summary.invalid === 1 &&
+        !!invalidRow && invalidRow.row === 3 && afterDryRun.body.total === 0,
+      `Summary: ${JSON.stringify(dryRun.body.summary)}, saved: ${afterDryRun.body.total}`);
+
+    const imported = await makeRequest('POST', importPath, csv,
+      adminSession.cookie, { ...csvHeaders, csrf: adminSession.csrf });
+    const repeated = await makeRequest('POST', importPath, csv,
+      adminSession.cookie, { ...csvHeaders, csrf: adminSession.csrf });
+    logTest('Import saves valid rows and skips duplicates the second time',
+      imported.statusCode === 200 && imported.body.summary.created === 2 && repeated.body.summary.skipped === 2,
+      `First: ${JSON.stringify(imported.body.summary)}, second: ${JSON.stringify(repeated.body.summary)}`);
+
+    const merged = await makeRequest('POST', '/api/movies/admin/import?format=json&mode=merge',
+      [{ title: `${batch} Plain`, year: 2020, director: 'Someone Else' }],
+      adminSession.cookie, { csrf: adminSession.csrf });
+    const mergedMovie = await makeRequest('GET', `/api/movies?title=${encodeURIComponent(`${batch} Plain`)}`);
+    const mergedFields = (mergedMovie.body.movies || [])[0] || {};
+    logTest('Merge updates only the fields provided',
+      merged.body.summary && merged.body.summary.updated === 1 && mergedFields.director === 'Someone Else' &&
+        (mergedFields.genre || []).join('|') === 'Drama|Comedy',
+      `Director: ${mergedFields.director}, genres: ${(mergedFields.genre || []).join('|')}`);
+
+    const exported = await makeRequest('GET', `/api/movies/admin/export?format=csv&${batchFilter}`,
+      null, adminSession.cookie);
+    const exportedCsv = typeof exported.body === 'string' ? exported.body : '';
+    logTest('CSV export guards cells a spreadsheet would run',
+      exported.statusCode === 200 && exported.headers['x-total-count'] === '2' &&
+        exportedCsv.includes(`"'${formulaTitle}"`),
+      `Rows: ${exported.headers['x-total-count']}`);
+
+    const reimported = await makeRequest('POST', `${importPath}&mode=overwrite`, exportedCsv,
+      adminSession.cookie, { ...csvHeaders, csrf: adminSession.csrf });
+    const roundTrip = await makeRequest('GET', `/api/movies?${batchFilter}&sortBy=year`);
+    const titles = (roundTrip.body.movies || []).map(movie => movie.title);
+    logTest('Exported CSV imports back unchanged',
+      reimported.body.summary && reimported.body.summary.updated === 2 && roundTrip.body.total === 2 &&
+        titles[1] === formulaTitle,
+      `Titles: ${titles.join(' / ')}`);
+
+    for (const movie of roundTrip.body.movies || []) {
+      await makeRequest('DELETE', `/api/movies/${movie._id}`, null,
+        adminSession.cookie, { csrf: adminSession.csrf });
+    }
+  }
+
+  console.log('\nTesting Poster Uploads');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie && otherSession) {
+    const postered = await makeRequest('POST', '/api/movies', {
+      title: 'Poster Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+
+    if (postered.statusCode === 201) {
+      const posterPath = `/api/movies/${postered.body._id}/poster`;
+      // A PNG signature followed by bytes unique to this run
+      const pngBytes = marker => Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        Buffer.from(`${marker}-${Date.now()}`)
+      ]);
+
+      const disguised = fileUpload('poster', 'poster.png', 'image/png', Buffer.from('<?php echo "not an image"; ?>'));
+      const disguisedRes = await makeRequest('PUT', posterPath, disguised.body, sessionCookie, disguised.options);
+      logTest('Upload checked by its bytes, not its name or type', disguisedRes.statusCode === 415,
+        `Status: ${disguisedRes.statusCode}`);
+
+      const first = fileUpload('poster', 'first.jpg', 'image/jpeg', pngBytes('first'));
+      const otherUpload = await makeRequest('PUT', posterPath, first.body,
+        otherSession.cookie, { ...first.options, csrf: otherSession.csrf });
+      logTest('Only the owner may change the poster', otherUpload.statusCode === 403,
+        `Status: ${otherUpload.statusCode}`);
+
+      const firstRes = await makeRequest('PUT', posterPath, first.body, sessionCookie, first.options);
+      const firstPoster = firstRes.body.poster || '';
+      const firstServed = await makeRequest('GET', firstPoster || '/posters/none.png');
+      logTest('Poster stored under a content-hashed name',
+        firstRes.statusCode === 200 && /^\/posters\/[a-f0-9]{32}\.png$/.test(firstPoster) &&
+          firstServed.statusCode === 200,
+        `Poster: ${firstPoster || 'none'}`);
+
+      const second = fileUpload('poster', 'second.png', 'image/png', pngBytes('second'));
+      const secondRes = await makeRequest('PUT', posterPath, second.body, sessionCookie, second.options);
+      const replacedServed = await makeRequest('GET', firstPoster || '/posters/none.png');
+      logTest('Replaced poster file removed',
+        secondRes.statusCode === 200 && secondRes.body.poster !== firstPoster && replacedServed.statusCode === 404,
+        `Old poster: ${replacedServed.statusCode}`);
+
+      if (adminSession) {
+        await makeRequest('DELETE', `/api/movies/${postered.body._id}`, null, sessionCookie);
+        const trashedServed = await makeRequest('GET', secondRes.body.poster || '/posters/none.png');
+        await makeRequest('DELETE', `/api/movies/admin/trash/${postered.body._id}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        const purgedServed = await makeRequest('GET', secondRes.body.poster || '/posters/none.png');
+        logTest('Poster kept in the trash and removed on purge',
+          trashedServed.statusCode === 200 && purgedServed.statusCode === 404,
+          `Trashed: ${trashedServed.statusCode}, purged: ${purgedServed.statusCode}`);
+      } else {
+        // Nobody can purge the movie, so remove the poster file now
+        await makeRequest('DELETE', posterPath, null, sessionCookie);
+        await makeRequest('DELETE', `/api/movies/${postered.body._id}`, null, sessionCookie);
+      }
+    }
+  }
+
+  console.log('\nTesting Movie History');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie && otherSession) {
+    const tracked = await makeRequest('POST', '/api/movies', {
+      title: 'History Test ' + Date.now(),
+      year: 2024,
+      director: 'First Director'
+    }, sessionCookie);
+
+    if (tracked.statusCode === 201) {
+      const movieId = tracked.body._id;
+      const historyPath = `/api/movies/${movieId}/history`;
+
+      await makeRequest('PUT', `/api/movies/${movieId}`, { director: 'Wrong Director' }, sessionCookie);
+      const history = await makeRequest('GET', historyPath, null, sessionCookie);
+      const [latest, created] = history.body.versions || [];
+      logTest('Every change saved as a version with a field diff',
+        history.statusCode === 200 && !!latest && latest.version === 2 && latest.action === 'update' &&
+          latest.changes.director.from === 'First Director' && latest.changes.director.to === 'Wrong Director' &&
+          latest.actor.username === testUsername && !!created && created.action === 'create',
+        `Versions: ${(history.body.versions || []).map(entry => `${entry.version}:${entry.action}`).join(', ')}`);
+
+      const anonymousHistory = await makeRequest('GET', historyPath);
+      const otherHistory = await makeRequest('GET', historyPath, null, otherSession.cookie);
+      logTest('History is for the owner and admins only',
+        anonymousHistory.statusCode === 401 && otherHistory.statusCode === 403,
+        `Anonymous: ${anonymousHistory.statusCode}, other user: ${otherHistory.statusCode}`);
+
+      const revertAsOwner = await makeRequest('POST', `${historyPath}/1/revert`, null, sessionCookie);
+      logTest('Revert is admin only', revertAsOwner.statusCode === 403,
+        `Status: ${revertAsOwner.statusCode}`);
+
+      if (adminSession) {
+        const reverted = await makeRequest('POST', `${historyPath}/1/revert`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        logTest('Admin reverts a movie to an earlier version',
+          reverted.statusCode === 200 && reverted.body.movie.director === 'First Director',
+          `Director: ${reverted.body.movie ? reverted.body.movie.director : reverted.body.error}`);
+      }
+
+      await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+      const ownerAfterDelete = await makeRequest('GET', historyPath, null, sessionCookie);
+      logTest('Trashed movie\'s history hidden from its owner', ownerAfterDelete.statusCode === 404,
+        `Status: ${ownerAfterDelete.statusCode}`);
+
+      if (adminSession) {
+        await makeRequest('DELETE', `/api/movies/admin/trash/${movieId}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        const adminHistory = await makeRequest('GET', historyPath, null, adminSession.cookie);
+        const versions = adminHistory.body.versions || [];
+        const deletion = versions[0];
+        // The newest version in which the movie was live
+        const live = versions.find(entry => !['trash', 'delete'].includes(entry.action));
+        const restored = deletion && live
+          ? await makeRequest('POST', `${historyPath}/${live.version}/revert`, null,
+            adminSession.cookie, { csrf: adminSession.csrf })
+          : null;
+        const restoredMovie = await makeRequest('GET', `/api/movies/${movieId}`);
+        logTest('Admin brings a purged movie back from its history',
+          !!deletion && deletion.action === 'delete' && restored.statusCode === 200 && restored.body.restored === true &&
+            restoredMovie.statusCode === 200,
+          `Restore: ${restored ? restored.statusCode : 'no delete version'}, movie: ${restoredMovie.statusCode}`);
+
+        await makeRequest('DELETE', `/api/movies/${movieId}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        await makeRequest('DELETE', `/api/movies/admin/trash/${movieId}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+      }
+    }
+  }
+
+  console.log('\nTesting Trash');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const word = 'trsh' + Date.now().toString(36);
+    const trashed = await makeRequest('POST', '/api/movies', {
+      title: `Trash Test ${word}`,
+      year: 2024
+    }, sessionCookie);
+
+    if (trashed.statusCode === 201) {
+      const movieId = trashed.body._id;
+
+      const deleteRes = await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+      logTest('Delete moves the movie to the trash', deleteRes.statusCode === 200 && !!deleteRes.body.purgeAt,
+        `Purge at: ${deleteRes.body.purgeAt}`);
+
+      const [byId, listed, searched, page, reviews, favorite] = await Promise.all([
+        makeRequest('GET', `/api/movies/${movieId}`),
+        makeRequest('GET', `/api/movies?title=${word}`),
+        makeRequest('GET', `/api/movies/search?q=${word}`),
+        makeRequest('GET', `/item/${movieId}`),
+        makeRequest('GET', `/api/movies/${movieId}/reviews`),
+        makeRequest('PUT', `/api/me/favorites/${movieId}`, null, sessionCookie)
+      ]);
+      logTest('Trashed movie hidden everywhere',
+        byId.statusCode === 404 && listed.body.total === 0 && searched.body.total === 0 &&
+          page.statusCode === 404 && reviews.statusCode === 404 && favorite.statusCode === 404,
+        `By id: ${byId.statusCode}, list: ${listed.body.total}, search: ${searched.body.total}, ` +
+          `page: ${page.statusCode}, reviews: ${reviews.statusCode}, favorite: ${favorite.statusCode}`);
+
+      const trashAsUser = await makeRequest('GET', '/api/movies/admin/trash', null, sessionCookie);
+      logTest('Trash is admin only', trashAsUser.statusCode === 403,
+        `Status: ${trashAsUser.statusCode}`);
+
+      if (adminSession) {
+        const trash = await makeRequest('GET', '/api/movies/admin/trash', null, adminSession.cookie);
+        const inTrash = (trash.body.movies || []).find(movie => movie._id === movieId);
+        logTest('Admin sees the movie in the trash with its purge date', !!inTrash && !!inTrash.purgeAt,
+          `Trashed movies: ${trash.body.count}`);
+
+        const restored = await makeRequest('POST', `/api/movies/admin/trash/${movieId}/restore`,
+          null, adminSession.cookie, { csrf: adminSession.csrf });
+        const visibleAgain = await makeRequest('GET', `/api/movies/${movieId}`);
+        logTest('Restored movie is back in the catalog',
+          restored.statusCode === 200 && visibleAgain.statusCode === 200,
+          `Restore: ${restored.statusCode}, movie: ${visibleAgain.statusCode}`);
+
+        await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+        const purged = await makeRequest('DELETE', `/api/movies/admin/trash/${movieId}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        const purgedAgain = await makeRequest('DELETE', `/api/movies/admin/trash/${movieId}`, null,
+          adminSession.cookie, { csrf: adminSession.csrf });
+        const afterPurge = await makeRequest('GET', '/api/movies/admin/trash', null, adminSession.cookie);
+        logTest('Purge deletes the movie for good',
+          purged.statusCode === 200 && purgedAgain.statusCode === 404 &&
+            !(afterPurge.body.movies || []).some(movie => movie._id === movieId),
+          `Purge: ${purged.statusCode}, again: ${purgedAgain.statusCode}`);
+      }
+    }
+  }
+
+  console.log('\nTesting CSRF Protection');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const noToken = await makeRequest('POST', '/api/movies', {
+      title: 'CSRF Test',
+      year: 2024
+    }, sessionCookie, { csrf: false });
+    logTest('State-changing request without CSRF token rejected', noToken.statusCode === 403,
+      `Status: ${noToken.statusCode}`);
+
+    if (otherSession) {
+      const wrongToken = await makeRequest('POST', '/api/movies', {
+        title: 'CSRF Test',
+        year: 2024
+      }, sessionCookie, { csrf: otherSession.csrf });
+      logTest('CSRF token of another session rejected', wrongToken.statusCode === 403,
+        `Status: ${wrongToken.statusCode}`);
+    }
+  }
+
   console.log('\nTesting Input Validation');
   console.log('-'.repeat(60));
 
@@ -244,6 +1038,125 @@ async function runTests() {
     }, sessionCookie);
     logTest('Invalid year rejected', invalidYear.statusCode === 400,
       `Status: ${invalidYear.statusCode}`);
+
+    const manyProblems = await makeRequest('POST', '/api/movies', {
+      title: 'Test',
+      year: 2000,
+      rating: 11,
+      age_rating: '21+'
+    }, sessionCookie);
+    const problemFields = (manyProblems.body.details || []).map(detail => detail.field);
+    logTest('Every invalid field reported',
+      manyProblems.statusCode === 400 && problemFields.includes('rating') && problemFields.includes('age_rating'),
+      `Fields: ${problemFields.join(', ') || 'none'}`);
+
+    const tooFarAhead = await makeRequest('POST', '/api/movies', {
+      title: 'Test',
+      year: new Date().getFullYear() + 6
+    }, sessionCookie);
+    logTest('Year more than five years ahead rejected', tooFarAhead.statusCode === 400,
+      `Status: ${tooFarAhead.statusCode}`);
+
+    // Forms and CSV files send numbers as strings and one genre as plain text
+    const formInput = await makeRequest('POST', '/api/movies', {
+      title: 'Form Input Test ' + Date.now(),
+      year: String(new Date().getFullYear() + 5),
+      rating: '7.5',
+      genre: 'Drama'
+    }, sessionCookie);
+    const stored = formInput.body;
+    logTest('String input stored as numbers and lists',
+      formInput.statusCode === 201 && stored.year === new Date().getFullYear() + 5 &&
+        stored.rating === 7.5 && Array.isArray(stored.genre) && stored.genre[0] === 'Drama',
+      `Status: ${formInput.statusCode}`);
+
+    if (formInput.statusCode === 201) {
+      const clearYear = await makeRequest('PUT', `/api/movies/${stored._id}`, {
+        year: ''
+      }, sessionCookie);
+      logTest('Update cannot clear a required field', clearYear.statusCode === 400,
+        `Error: ${clearYear.body.error}`);
+
+      await makeRequest('DELETE', `/api/movies/${stored._id}`, null, sessionCookie);
+    }
+  }
+
+  console.log('\nTesting HTTP Caching');
+  console.log('-'.repeat(60));
+
+  const catalogRes = await makeRequest('GET', '/api/movies');
+  const etag = catalogRes.headers['etag'];
+  logTest('Catalog sent with an ETag', !!etag && /no-cache/.test(catalogRes.headers['cache-control'] || ''),
+    `ETag: ${etag || 'none'}, Cache-Control: ${catalogRes.headers['cache-control'] || 'none'}`);
+
+  const notModified = await makeRequest('GET', '/api/movies', null, null,
+    { headers: { 'If-None-Match': etag || '' } });
+  logTest('Matching If-None-Match gets 304', notModified.statusCode === 304,
+    `Status: ${notModified.statusCode}`);
+
+  const staleEtag = await makeRequest('GET', '/api/movies', null, null,
+    { headers: { 'If-None-Match': '"stale"' } });
+  logTest('Other ETags get the full response', staleEtag.statusCode === 200,
+    `Status: ${staleEtag.statusCode}`);
+
+  const badCursor = await makeRequest('GET', '/api/movies?cursor=not-a-cursor');
+  logTest('Errors are sent without catalog validators',
+    badCursor.statusCode === 400 && !badCursor.headers['etag'] && !badCursor.headers['last-modified'],
+    `Status: ${badCursor.statusCode}`);
+
+  if (sessionCookie && etag) {
+    const cachedMovie = await makeRequest('POST', '/api/movies', {
+      title: 'Cache Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+    const afterWrite = await makeRequest('GET', '/api/movies', null, null,
+      { headers: { 'If-None-Match': etag } });
+    logTest('Catalog changes invalidate the ETag',
+      cachedMovie.statusCode === 201 && afterWrite.statusCode === 200 && afterWrite.headers['etag'] !== etag,
+      `Status: ${afterWrite.statusCode}`);
+
+    if (cachedMovie.statusCode === 201) {
+      await makeRequest('DELETE', `/api/movies/${cachedMovie.body._id}`, null, sessionCookie);
+    }
+
+    // Several changes within a second must not date the catalog in the future
+    const afterBurst = await makeRequest('GET', '/api/movies');
+    const lastModified = Date.parse(afterBurst.headers['last-modified']);
+    logTest('Last-Modified never ahead of the clock', lastModified <= Date.now(),
+      `Last-Modified: ${afterBurst.headers['last-modified']}`);
+
+    const lateMovie = await makeRequest('POST', '/api/movies', {
+      title: 'Cache Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+    const sinceBurst = await makeRequest('GET', '/api/movies', null, null,
+      { headers: { 'If-Modified-Since': afterBurst.headers['last-modified'] } });
+    logTest('If-Modified-Since sees changes in the same second', sinceBurst.statusCode === 200,
+      `Status: ${sinceBurst.statusCode}`);
+    if (lateMovie.statusCode === 201) {
+      await makeRequest('DELETE', `/api/movies/${lateMovie.body._id}`, null, sessionCookie);
+    }
+  }
+
+  if (adminSession) {
+    // ETags end in the version counter
+    const versionOf = res => parseInt(String(res.headers['etag']).split('-').pop(), 10);
+    const batch = 'Cache Import ' + Date.now();
+    const beforeImport = await makeRequest('GET', '/api/movies');
+    const cacheImport = await makeRequest('POST', '/api/movies/admin/import?format=csv',
+      `title,year\r\n${batch} A,2001\r\n${batch} B,2002\r\n${batch} C,2003\r\n`,
+      adminSession.cookie, { headers: { 'Content-Type': 'text/csv' }, csrf: adminSession.csrf });
+    const afterImport = await makeRequest('GET', '/api/movies');
+    logTest('An import moves the catalog version once',
+      cacheImport.statusCode === 200 && cacheImport.body.summary.created === 3 &&
+        versionOf(afterImport) === versionOf(beforeImport) + 1,
+      `Versions: ${versionOf(beforeImport)} -> ${versionOf(afterImport)}`);
+
+    for (const row of (cacheImport.body.rows || []).filter(row => row.id)) {
+      await makeRequest('DELETE', `/api/movies/${row.id}`, null, adminSession.cookie, { csrf: adminSession.csrf });
+      await makeRequest('DELETE', `/api/movies/admin/trash/${row.id}`, null,
+        adminSession.cookie, { csrf: adminSession.csrf });
+    }
   }
 
   console.log('\nTesting Session Persistence');
@@ -253,6 +1166,501 @@ async function runTests() {
     const meRes = await makeRequest('GET', '/api/auth/me', null, sessionCookie);
     logTest('Session persists across requests', meRes.statusCode === 200,
       meRes.body.user ? `User: ${meRes.body.user.username}` : 'No user data');
+
+    // Must match the server's SESSION_STORE
+    if ((process.env.SESSION_STORE || 'file').toLowerCase() === 'file') {
+      const sessionId = sessionCookie.split('=')[1].split('.')[0];
+      const sessionFile = path.join(DATA_DIR, 'sessions', `${sessionId}.json`);
+      const mode = fs.existsSync(sessionFile) ? fs.statSync(sessionFile).mode & 0o777 : null;
+      logTest('Session stored in a file only the server can read', mode === 0o600,
+        `Mode: ${mode === null ? 'no file' : mode.toString(8)}`);
+    }
+
+    const [sessionId, signature] = sessionCookie.split('.');
+    const forged = await makeRequest('GET', '/api/auth/me', null,
+      `${sessionId}.${signature[0] === '0' ? '1' : '0'}${signature.slice(1)}`);
+    logTest('Session cookie with a bad signature rejected', forged.statusCode === 401,
+      `Status: ${forged.statusCode}`);
+  }
+
+  console.log('\nTesting Email Verification');
+  console.log('-'.repeat(60));
+
+  // Must match the server's REQUIRE_EMAIL_VERIFICATION
+  const verificationRequired = String(process.env.REQUIRE_EMAIL_VERIFICATION).toLowerCase() === 'true';
+
+  const bogusVerify = await makeRequest('POST', '/api/auth/verify-email', {
+    token: 'not-a-real-token'
+  });
+  logTest('Unknown verification token rejected', bogusVerify.statusCode === 400,
+    `Status: ${bogusVerify.statusCode}`);
+
+  if (sessionCookie) {
+    const unverifiedCreate = await makeRequest('POST', '/api/movies', {
+      title: 'Unverified Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+    logTest(verificationRequired
+      ? 'Unverified account cannot add movies'
+      : 'Unverified account can add movies (verification not required)',
+      unverifiedCreate.statusCode === (verificationRequired ? 403 : 201),
+      `Status: ${unverifiedCreate.statusCode}`);
+    if (unverifiedCreate.statusCode === 201) {
+      await makeRequest('DELETE', `/api/movies/${unverifiedCreate.body._id}`, null, sessionCookie);
+    }
+
+    const staleSentAt = new Date().toISOString();
+    await makeRequest('POST', '/api/auth/resend-verification', null, sessionCookie);
+    const staleToken = await mailedToken('test@example.com', '/verify-email', staleSentAt);
+
+    const sentAt = new Date().toISOString();
+    const resendRes = await makeRequest('POST', '/api/auth/resend-verification', null, sessionCookie);
+    const verifyToken = await mailedToken('test@example.com', '/verify-email', sentAt);
+    logTest('Confirmation link mailed', resendRes.statusCode === 202 && !!verifyToken,
+      `Status: ${resendRes.statusCode}`);
+
+    if (verifyToken) {
+      if (staleToken && staleToken !== verifyToken) {
+        const staleVerify = await makeRequest('POST', '/api/auth/verify-email', {
+          token: staleToken
+        }, sessionCookie);
+        logTest('Replaced confirmation link rejected', staleVerify.statusCode === 400,
+          `Status: ${staleVerify.statusCode}`);
+      }
+
+      const verifyRes = await makeRequest('POST', '/api/auth/verify-email', {
+        token: verifyToken
+      }, sessionCookie);
+      const meRes = await makeRequest('GET', '/api/auth/me', null, sessionCookie);
+      logTest('Email confirmed with the mailed token',
+        verifyRes.statusCode === 200 && !!meRes.body.user && meRes.body.user.emailVerified === true,
+        `Status: ${verifyRes.statusCode}`);
+
+      const reusedVerify = await makeRequest('POST', '/api/auth/verify-email', {
+        token: verifyToken
+      }, sessionCookie);
+      logTest('Confirmation link works only once', reusedVerify.statusCode === 400,
+        `Status: ${reusedVerify.statusCode}`);
+
+      const verifiedCreate = await makeRequest('POST', '/api/movies', {
+        title: 'Verified Test ' + Date.now(),
+        year: 2024
+      }, sessionCookie);
+      logTest('Verified account can add movies', verifiedCreate.statusCode === 201,
+        `Status: ${verifiedCreate.statusCode}`);
+      if (verifiedCreate.statusCode === 201) {
+        await makeRequest('DELETE', `/api/movies/${verifiedCreate.body._id}`, null, sessionCookie);
+      }
+    }
+  }
+
+  if (otherSession && !verificationRequired) {
+    // The second account registered without an email address
+    const addedEmail = `${otherUsername}@example.com`;
+    const addSentAt = new Date().toISOString();
+    const addEmailRes = await makeRequest('POST', '/api/auth/resend-verification', {
+      email: addedEmail
+    }, otherSession.cookie, { csrf: otherSession.csrf });
+    logTest('Account without email can add one',
+      addEmailRes.statusCode === 202 && !!await mailedToken(addedEmail, '/verify-email', addSentAt),
+      `Status: ${addEmailRes.statusCode}`);
+  }
+
+  console.log('\nTesting Two-Factor Authentication');
+  console.log('-'.repeat(60));
+
+  // A separate account, so the main one keeps logging in with a password only
+  const twoFactorUsername = 'totpuser_' + Date.now();
+  const twoFactorRegister = await makeRequest('POST', '/api/auth/register', {
+    username: twoFactorUsername,
+    password: testPassword
+  });
+
+  if (twoFactorRegister.statusCode === 201) {
+    const twoFactorCookie = readSessionCookie(twoFactorRegister);
+    const twoFactorCsrf = readCsrfToken(twoFactorRegister, null);
+
+    const setupRes = await makeRequest('POST', '/api/auth/2fa/setup', null,
+      twoFactorCookie, { csrf: twoFactorCsrf });
+    const secret = setupRes.body.secret || '';
+
+    // A code from ten minutes ahead is outside the allowed clock drift
+    const wrongCode = await makeRequest('POST', '/api/auth/2fa/enable', {
+      code: generateCode(secret, Date.now() + 10 * 60 * 1000)
+    }, twoFactorCookie, { csrf: twoFactorCsrf });
+    logTest('Wrong code does not enable 2FA', wrongCode.statusCode === 400,
+      `Status: ${wrongCode.statusCode}`);
+
+    const enrollCode = generateCode(secret);
+    const enableRes = await makeRequest('POST', '/api/auth/2fa/enable', {
+      code: enrollCode
+    }, twoFactorCookie, { csrf: twoFactorCsrf });
+    const recoveryCodes = enableRes.body.recoveryCodes || [];
+    logTest('2FA enabled with a code from the secret',
+      enableRes.statusCode === 200 && recoveryCodes.length > 0,
+      `Recovery codes: ${recoveryCodes.length}`);
+
+    if (recoveryCodes.length > 0) {
+      const firstStep = await loginAs(twoFactorUsername, testPassword);
+      logTest('Password alone does not log in', !!firstStep && firstStep.body.twoFactorRequired === true,
+        firstStep ? `Message: ${firstStep.body.message}` : 'Login failed');
+
+      if (firstStep) {
+        // The code that enabled 2FA has been used
+        const replayRes = await makeRequest('POST', '/api/auth/login/2fa', {
+          code: enrollCode
+        }, firstStep.cookie, { csrf: firstStep.csrf });
+        logTest('Used TOTP code cannot be replayed', replayRes.statusCode === 401,
+          `Status: ${replayRes.statusCode}`);
+
+        const recoveryRes = await makeRequest('POST', '/api/auth/login/2fa', {
+          recoveryCode: recoveryCodes[0]
+        }, firstStep.cookie, { csrf: firstStep.csrf });
+        logTest('Recovery code completes the login', recoveryRes.statusCode === 200,
+          `Status: ${recoveryRes.statusCode}`);
+      }
+
+      const secondStep = await loginAs(twoFactorUsername, testPassword);
+      if (secondStep) {
+        const reusedRecovery = await makeRequest('POST', '/api/auth/login/2fa', {
+          recoveryCode: recoveryCodes[0]
+        }, secondStep.cookie, { csrf: secondStep.csrf });
+        logTest('Recovery code works only once', reusedRecovery.statusCode === 401,
+          `Status: ${reusedRecovery.statusCode}`);
+      }
+    }
+  } else {
+    logTest('Two-factor account registered', false, `Error: ${twoFactorRegister.body.error}`);
+  }
+
+
+  console.log('\nTesting API Tokens');
+  console.log('-'.repeat(60));
+
+  const bearer = token => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  const unknownToken = await makeRequest('GET', '/api/auth/me', null, null, bearer('mlt_not-a-real-token'));
+  logTest('Unknown API token rejected', unknownToken.statusCode === 401,
+    `Status: ${unknownToken.statusCode}`);
+
+  if (sessionCookie) {
+    const badScope = await makeRequest('POST', '/api/auth/tokens', {
+      name: 'Bad scope',
+      scopes: ['everything']
+    }, sessionCookie);
+    logTest('Unknown token scope rejected', badScope.statusCode === 400,
+      `Status: ${badScope.statusCode}`);
+
+    const readToken = await makeRequest('POST', '/api/auth/tokens', {
+      name: 'Read only',
+      scopes: ['read']
+    }, sessionCookie);
+    const writeToken = await makeRequest('POST', '/api/auth/tokens', {
+      name: 'Movie writer',
+      scopes: ['movies:write']
+    }, sessionCookie);
+    logTest('API tokens created', readToken.statusCode === 201 && writeToken.statusCode === 201,
+      `Statuses: ${readToken.statusCode}, ${writeToken.statusCode}`);
+
+    if (readToken.statusCode === 201 && writeToken.statusCode === 201) {
+      const newMovie = { title: 'Token Test ' + Date.now(), year: 2024 };
+
+      const readOnlyCreate = await makeRequest('POST', '/api/movies', newMovie, null,
+        bearer(readToken.body.token));
+      logTest('Token without movies:write cannot add movies', readOnlyCreate.statusCode === 403,
+        `Error: ${readOnlyCreate.body.error}`);
+
+      const tokenCreate = await makeRequest('POST', '/api/movies', newMovie, null,
+        bearer(writeToken.body.token));
+      logTest('Token with movies:write can add movies', tokenCreate.statusCode === 201,
+        `Status: ${tokenCreate.statusCode}`);
+      if (tokenCreate.statusCode === 201) {
+        await makeRequest('DELETE', `/api/movies/${tokenCreate.body._id}`, null, null,
+          bearer(writeToken.body.token));
+      }
+
+      const mintWithToken = await makeRequest('POST', '/api/auth/tokens', {
+        name: 'Minted by a token',
+        scopes: ['read']
+      }, null, bearer(writeToken.body.token));
+      logTest('Tokens cannot create tokens', mintWithToken.statusCode === 403,
+        `Status: ${mintWithToken.statusCode}`);
+
+      const revokeRes = await makeRequest('DELETE', `/api/auth/tokens/${writeToken.body.id}`,
+        null, sessionCookie);
+      const afterRevoke = await makeRequest('POST', '/api/movies', newMovie, null,
+        bearer(writeToken.body.token));
+      logTest('Revoked token is refused', revokeRes.statusCode === 200 && afterRevoke.statusCode === 401,
+        `Revoke: ${revokeRes.statusCode}, then: ${afterRevoke.statusCode}`);
+
+      await makeRequest('DELETE', `/api/auth/tokens/${readToken.body.id}`, null, sessionCookie);
+    }
+  }
+
+
+  console.log('\nTesting Permissions');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const meRes = await makeRequest('GET', '/api/auth/me', null, sessionCookie);
+    const permissions = meRes.body.permissions || [];
+    logTest('Users may add movies but not delete any movie',
+      permissions.includes('movies:create') && !permissions.includes('movies:delete:any'),
+      `Permissions: ${permissions.length}`);
+
+    const trashAsUser = await makeRequest('GET', '/api/movies/admin/trash', null, sessionCookie);
+    logTest('Users cannot open the trash', trashAsUser.statusCode === 403,
+      `Status: ${trashAsUser.statusCode}`);
+
+    const ownMovie = await makeRequest('POST', '/api/movies', {
+      title: 'Owned Test ' + Date.now(),
+      year: 2024
+    }, sessionCookie);
+
+    if (ownMovie.statusCode === 201 && otherSession) {
+      const movieId = ownMovie.body._id;
+
+      const otherUpdate = await makeRequest('PUT', `/api/movies/${movieId}`, {
+        title: 'Not Mine'
+      }, otherSession.cookie, { csrf: otherSession.csrf });
+      const otherDelete = await makeRequest('DELETE', `/api/movies/${movieId}`, null,
+        otherSession.cookie, { csrf: otherSession.csrf });
+      logTest('Users cannot change other users\' movies',
+        otherUpdate.statusCode === 403 && otherDelete.statusCode === 403,
+        `Update: ${otherUpdate.statusCode}, delete: ${otherDelete.statusCode}`);
+
+      if (adminSession) {
+        const adminUpdate = await makeRequest('PUT', `/api/movies/${movieId}`, {
+          title: 'Edited By Admin'
+        }, adminSession.cookie, { csrf: adminSession.csrf });
+        const trashAsAdmin = await makeRequest('GET', '/api/movies/admin/trash', null, adminSession.cookie);
+        logTest('Admins may edit any movie and open the trash',
+          adminUpdate.statusCode === 200 && trashAsAdmin.statusCode === 200,
+          `Update: ${adminUpdate.statusCode}, trash: ${trashAsAdmin.statusCode}`);
+      }
+
+      const ownerDelete = await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+      logTest('Owners may delete their own movies', ownerDelete.statusCode === 200,
+        `Status: ${ownerDelete.statusCode}`);
+    }
+  }
+
+
+  console.log('\nTesting User Administration');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const usersAsUser = await makeRequest('GET', '/api/auth/users', null, sessionCookie);
+    logTest('User list is admin only', usersAsUser.statusCode === 403,
+      `Status: ${usersAsUser.statusCode}`);
+  }
+
+  if (adminSession && otherSession) {
+    const userList = await makeRequest('GET', `/api/auth/users?q=${otherUsername}`, null, adminSession.cookie);
+    logTest('Admin finds users by name',
+      userList.statusCode === 200 && (userList.body.users || []).some(user => user._id === otherUserId),
+      `Found: ${userList.body.count}`);
+
+    const disableSelf = await makeRequest('POST', `/api/auth/users/${adminSession.body.user._id}/disable`,
+      null, adminSession.cookie, { csrf: adminSession.csrf });
+    logTest('Admin cannot disable their own account', disableSelf.statusCode === 400,
+      `Status: ${disableSelf.statusCode}`);
+
+    const disableRes = await makeRequest('POST', `/api/auth/users/${otherUserId}/disable`, {
+      reason: 'Security test'
+    }, adminSession.cookie, { csrf: adminSession.csrf });
+    const killedSession = await makeRequest('GET', '/api/auth/me', null, otherSession.cookie);
+    logTest('Disabling a user ends their sessions',
+      disableRes.statusCode === 200 && killedSession.statusCode === 401,
+      `Sessions ended: ${disableRes.body.sessionsEnded}, then: ${killedSession.statusCode}`);
+
+    const disabledLogin = await makeRequest('POST', '/api/auth/login', {
+      username: otherUsername,
+      password: testPassword
+    });
+    logTest('Disabled user cannot log in', disabledLogin.statusCode === 403,
+      `Message: ${disabledLogin.body.error}`);
+
+    const enableRes = await makeRequest('POST', `/api/auth/users/${otherUserId}/enable`,
+      null, adminSession.cookie, { csrf: adminSession.csrf });
+    logTest('Re-enabled user can log in',
+      enableRes.statusCode === 200 && !!await loginAs(otherUsername, testPassword),
+      `Status: ${enableRes.statusCode}`);
+  }
+
+
+  console.log('\nTesting Movie Pages');
+  console.log('-'.repeat(60));
+
+  if (sessionCookie) {
+    const pageWord = 'page' + Date.now().toString(36);
+    const scriptMovie = await makeRequest('POST', '/api/movies', {
+      title: `<script>alert(1)</script> ${pageWord}`,
+      year: 2024,
+      description: '<img src=x onerror=alert(1)>'
+    }, sessionCookie);
+
+    if (scriptMovie.statusCode === 201) {
+      const movieId = scriptMovie.body._id;
+      const escaped = html => typeof html === 'string' &&
+        html.includes('&lt;script&gt;alert(1)&lt;/script&gt;') &&
+        !html.includes('<script>alert(1)') && !html.includes('<img src=x');
+
+      const searchPage = await makeRequest('GET', `/search?q=${pageWord}`);
+      logTest('Search page escapes movie titles', searchPage.statusCode === 200 && escaped(searchPage.body),
+        `Status: ${searchPage.statusCode}`);
+
+      const itemPage = await makeRequest('GET', `/item/${movieId}`);
+      logTest('Movie page escapes movie fields', itemPage.statusCode === 200 && escaped(itemPage.body),
+        `Status: ${itemPage.statusCode}`);
+
+      await makeRequest('DELETE', `/api/movies/${movieId}`, null, sessionCookie);
+      const deletedPage = await makeRequest('GET', `/item/${movieId}`);
+      logTest('Deleted movie page returns 404', deletedPage.statusCode === 404,
+        `Status: ${deletedPage.statusCode}`);
+    } else {
+      logTest('Movie with markup in its title added', false, `Status: ${scriptMovie.statusCode}`);
+    }
+  }
+
+  const badCursorPage = await makeRequest('GET', '/search?q=movie&cursor=not-a-cursor');
+  logTest('Search page rejects bad cursors', badCursorPage.statusCode === 400,
+    `Status: ${badCursorPage.statusCode}`);
+
+  console.log('\nTesting Contact Form Defenses');
+  console.log('-'.repeat(60));
+
+  const contactFields = {
+    name: 'Security Test',
+    email: 'visitor@example.com'
+  };
+
+  const quickToken = await makeRequest('GET', '/api/contact/form-token');
+  const tooQuick = await makeRequest('POST', '/contact', {
+    ...contactFields,
+    message: 'Sent the moment the form loaded',
+    formToken: quickToken.body.token
+  });
+  logTest('Form sent too quickly rejected', tooQuick.statusCode === 400,
+    `Status: ${tooQuick.statusCode}`);
+
+  // One token per submission, all given the time the form must be open
+  const spamMarker = 'spamcheck' + Date.now();
+  const honeypotToken = await makeRequest('GET', '/api/contact/form-token');
+  const spamToken = await makeRequest('GET', '/api/contact/form-token');
+  await sleep(CONTACT_MIN_SECONDS * 1000 + 500);
+
+  // Bots get the usual thank-you page, but the message is dropped
+  const honeypotRes = await makeRequest('POST', '/contact', {
+    ...contactFields,
+    message: `Honeypot check ${spamMarker}`,
+    website: 'http://spam.example.com',
+    formToken: honeypotToken.body.token
+  });
+  logTest('Honeypot submission gets the normal answer', honeypotRes.statusCode === 200,
+    `Status: ${honeypotRes.statusCode}`);
+
+  const spamMessage = {
+    ...contactFields,
+    message: `Best casino bonus and payday loan offers ${spamMarker}`,
+    formToken: spamToken.body.token
+  };
+  const spamRes = await makeRequest('POST', '/contact', spamMessage);
+  logTest('Spam is accepted without telling the sender', spamRes.statusCode === 200,
+    `Status: ${spamRes.statusCode}`);
+
+  const reusedFormToken = await makeRequest('POST', '/contact', spamMessage);
+  logTest('Form token works only once', reusedFormToken.statusCode === 400,
+    `Status: ${reusedFormToken.statusCode}`);
+
+  if (adminSession) {
+    const adminOptions = { csrf: adminSession.csrf };
+    const inbox = await makeRequest('GET', `/api/messages?q=${spamMarker}`, null, adminSession.cookie);
+    const spamFolder = await makeRequest('GET', `/api/messages?folder=spam&q=${spamMarker}`,
+      null, adminSession.cookie);
+    const filed = spamFolder.body.messages || [];
+
+    logTest('Honeypot message dropped and spam kept out of the inbox',
+      inbox.body.count === 0 && filed.length === 1 && /Best casino/.test(filed[0].message),
+      `Inbox: ${inbox.body.count}, spam folder: ${filed.length}`);
+
+    for (const message of filed) {
+      await makeRequest('DELETE', `/api/messages/${message.id}`, null, adminSession.cookie, adminOptions);
+    }
+  }
+
+  console.log('\nTesting Contact Inbox');
+  console.log('-'.repeat(60));
+
+  const inboxAnonymous = await makeRequest('GET', '/api/messages');
+  logTest('Inbox requires login', inboxAnonymous.statusCode === 401,
+    `Status: ${inboxAnonymous.statusCode}`);
+
+  if (sessionCookie) {
+    const inboxAsUser = await makeRequest('GET', '/api/messages', null, sessionCookie);
+    logTest('Inbox is staff only', inboxAsUser.statusCode === 403,
+      `Status: ${inboxAsUser.statusCode}`);
+  }
+
+  // The form must be open for CONTACT_MIN_SECONDS before it is sent
+  const inboxMarker = 'inboxcheck' + Date.now();
+  const inboxFormToken = await makeRequest('GET', '/api/contact/form-token');
+  await sleep(CONTACT_MIN_SECONDS * 1000 + 500);
+  const inboxContact = await makeRequest('POST', '/contact', {
+    ...contactFields,
+    message: `Checking the admin inbox ${inboxMarker}`,
+    formToken: inboxFormToken.body.token
+  });
+  logTest('Contact message accepted', inboxContact.statusCode === 200,
+    `Status: ${inboxContact.statusCode}`);
+
+  if (adminSession) {
+    const adminOptions = { csrf: adminSession.csrf };
+
+    const inbox = await makeRequest('GET', `/api/messages?q=${inboxMarker}`, null, adminSession.cookie);
+    const saved = (inbox.body.messages || [])[0];
+    logTest('Message arrives in the inbox as new', !!saved && saved.status === 'new',
+      `Found: ${inbox.body.count}`);
+
+    if (saved) {
+      const badStatus = await makeRequest('PUT', `/api/messages/${saved.id}/status`, {
+        status: 'bogus'
+      }, adminSession.cookie, adminOptions);
+      const readStatus = await makeRequest('PUT', `/api/messages/${saved.id}/status`, {
+        status: 'read'
+      }, adminSession.cookie, adminOptions);
+      logTest('Message status is checked and saved',
+        badStatus.statusCode === 400 && readStatus.statusCode === 200 &&
+          readStatus.body.contactMessage.status === 'read',
+        `Bogus: ${badStatus.statusCode}, read: ${readStatus.statusCode}`);
+
+      await makeRequest('DELETE', `/api/messages/${saved.id}`, null, adminSession.cookie, adminOptions);
+    }
+
+    // Walk both folders once for the checks on every message
+    const allMessages = [];
+    for (const folder of ['inbox', 'spam']) {
+      let cursor = null;
+      do {
+        const page = await makeRequest('GET',
+          `/api/messages?folder=${folder}&limit=100${cursor ? `&cursor=${encodeURIComponent(cursor)}` : ''}`,
+          null, adminSession.cookie);
+        allMessages.push(...(page.body.messages || []));
+        cursor = page.body.pagination && page.body.pagination.hasMore ? page.body.pagination.next : null;
+      } while (cursor);
+    }
+
+    const unmigrated = allMessages.filter(message => typeof message.id !== 'string' || !message.status);
+    logTest('Messages from before the inbox have ids and statuses', unmigrated.length === 0,
+      `Without: ${unmigrated.length} of ${allMessages.length}`);
+
+    if (MESSAGE_RETENTION_DAYS > 0) {
+      // The server purges messages past MESSAGE_RETENTION_DAYS on start and hourly
+      const cutoff = new Date(Date.now() - MESSAGE_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+      const expired = allMessages.filter(message => message.timestamp && message.timestamp < cutoff);
+      logTest('No messages kept past the retention window', expired.length === 0,
+        `Older than ${MESSAGE_RETENTION_DAYS} days: ${expired.length}`);
+    }
   }
 
   console.log('\nTesting Logout');
@@ -272,6 +1680,87 @@ async function runTests() {
       `Status: ${afterLogout.statusCode}`);
   }
 
+  console.log('\nTesting Password Reset');
+  console.log('-'.repeat(60));
+
+  const unknownReset = await makeRequest('POST', '/api/auth/forgot-password', {
+    username: 'nobody_' + Date.now()
+  });
+  logTest('Reset request does not reveal unknown accounts', unknownReset.statusCode === 202,
+    `Status: ${unknownReset.statusCode}`);
+
+  const bogusReset = await makeRequest('POST', '/api/auth/reset-password', {
+    token: 'not-a-real-token',
+    password: 'newsecurepass456'
+  });
+  logTest('Unknown reset token rejected', bogusReset.statusCode === 400,
+    `Status: ${bogusReset.statusCode}`);
+
+  if (sessionCookie) {
+    const emailRequestedAt = new Date().toISOString();
+    await makeRequest('POST', '/api/auth/forgot-password', { email: 'Test@Example.COM' });
+    logTest('Reset email matched in any case',
+      !!await mailedToken('test@example.com', '/reset-password', emailRequestedAt));
+
+    // A session and an API token the reset must end
+    const openSession = await loginAs(testUsername, testPassword);
+    const openToken = openSession && await makeRequest('POST', '/api/auth/tokens', {
+      name: 'Before reset',
+      scopes: ['read']
+    }, openSession.cookie, { csrf: openSession.csrf });
+
+    const requestedAt = new Date().toISOString();
+    await makeRequest('POST', '/api/auth/forgot-password', { username: testUsername });
+    const resetToken = await mailedToken('test@example.com', '/reset-password', requestedAt);
+    logTest('Reset link mailed', !!resetToken,
+      resetToken ? 'Found in the mail outbox' : `No reset link in ${OUTBOX_DIR}`);
+
+    if (resetToken) {
+      const newPassword = 'newsecurepass456';
+      const resetRes = await makeRequest('POST', '/api/auth/reset-password', {
+        token: resetToken,
+        password: newPassword
+      });
+      logTest('Password reset with the mailed token', resetRes.statusCode === 200,
+        `Sessions ended: ${resetRes.body.sessionsEnded}, tokens revoked: ${resetRes.body.tokensRevoked}`);
+
+      const reusedToken = await makeRequest('POST', '/api/auth/reset-password', {
+        token: resetToken,
+        password: 'anotherpass789'
+      });
+      logTest('Reset token works only once', reusedToken.statusCode === 400,
+        `Status: ${reusedToken.statusCode}`);
+
+      if (openSession) {
+        const oldSession = await makeRequest('GET', '/api/auth/me', null, openSession.cookie);
+        logTest('Reset ends existing sessions', oldSession.statusCode === 401,
+          `Status: ${oldSession.statusCode}`);
+      }
+
+      if (openToken && openToken.statusCode === 201) {
+        const oldToken = await makeRequest('GET', '/api/auth/me', null, null,
+          { headers: { Authorization: `Bearer ${openToken.body.token}` } });
+        logTest('Reset revokes API tokens', oldToken.statusCode === 401,
+          `Status: ${oldToken.statusCode}`);
+      }
+
+      const oldPassword = await makeRequest('POST', '/api/auth/login', {
+        username: testUsername,
+        password: testPassword
+      });
+      logTest('Old password no longer works', oldPassword.statusCode === 401,
+        `Status: ${oldPassword.statusCode}`);
+
+      logTest('New password works', !!await loginAs(testUsername, newPassword));
+    }
+  }
+
+  if (adminSession) {
+    // Leave no lockouts behind for the next run
+    await makeRequest('DELETE', '/api/auth/admin/lockouts', null,
+      adminSession.cookie, { csrf: adminSession.csrf });
+  }
+
   console.log('\n' + '='.repeat(60));
   console.log('Test Summary');
   console.log('='.repeat(60));